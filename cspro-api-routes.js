@@ -3,9 +3,11 @@
  * 
  * Express router providing REST API endpoints for CSPro WASM operations.
  * Enables browsers without JSPI support to use CSPro via standard HTTP calls.
+ * Sessions run in worker threads managed by cspro-worker-pool.js.
  * 
  * Maps Windows MFC CEntryIFaz interface methods to REST endpoints:
  * - C_GoToField -> POST /advance, /previous, /next, /goto
+ * - Logic dialogs -> POST /dialog/:dialogId/respond
  * - C_EndGroup -> POST /end-group
  * - C_EndLevel -> POST /end-level
  * - C_InsertOcc/C_DeleteOcc -> POST /insert-occ, /delete-occ
@@ -14,11 +16,178 @@
  */
 
 import express from 'express';
+import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
-import { wasmService } from './cspro-wasm-service.js';
+import { workerPool } from './cspro-worker-pool.js';
+import { sessionStore } from './cspro-session-store.js';
+import { sessionEvents } from './cspro-session-events.js';
+import { verificationStats } from './cspro-verification-stats.js';
 
 const router = express.Router();
 
+/**
+ * Send an engine error response
+ * Calls made while the engine is waiting on a dialog get 409 with that dialog,
+ * and rejected duplicates get 409 with the page the engine is actually on
+ */
+function sendEngineError(res, error) {
+    if (error.duplicate) {
+        return res.status(409).json({
+            success: false,
+            error: error.message,
+            duplicate: error.duplicate,
+            page: error.page
+        });
+    }
+    if (error.pendingDialog) {
+        return res.status(409).json({
+            success: false,
+            error: error.message,
+            pendingDialog: error.pendingDialog
+        });
+    }
+    res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+    });
+}
+
+// Any request naming a session counts as activity and postpones its idle expiry.
+// Requests for a session lost with a crashed worker get 410 with the reason (except resume).
+router.param('sessionId', (req, res, next, sessionId) => {
+    if (!workerPool.getSession(sessionId)) {
+        const lost = workerPool.getLostSession(sessionId);
+        if (lost && !req.path.endsWith('/resume')) {
+            return res.status(410).json({
+                success: false,
+                error: `Session lost: ${lost.reason}`,
+                lost
+            });
+        }
+        return next();
+    }
+    workerPool.touchSession(sessionId).catch(() => {});
+    next();
+});
+
+// ==================== REQUEST SERIALIZATION ====================
+
+// Session routes that never enter the engine (or stay open), so they needn't wait behind engine calls
+const UNSERIALIZED_OPERATIONS = new Set(['heartbeat', 'messages', 'events']);
+
+// Operations where an identical request already queued or running is a duplicate (e.g. a double-clicked Next)
+const COALESCED_OPERATIONS = new Set([
+    'advance', 'next', 'previous', 'goto', 'advance-to-end',
+    'end-roster', 'end-group', 'end-level', 'end-group-occ',
+    'insert-occ', 'insert-occ-after', 'delete-occ', 'sort-occ'
+]);
+
+/**
+ * Helper: Key under which a request is coalesced with an identical one, or null
+ * Only a request naming the field it was made on (fieldName and its occurrence indexes) is told
+ * apart from a later one that happens to send the same value, so only those are coalesced.
+ */
+function getCoalescingKey(req, operation) {
+    const body = req.body || {};
+    if (req.method !== 'POST' || !COALESCED_OPERATIONS.has(operation) ||
+        !body.fieldName || !Array.isArray(body.indexes)) {
+        return null;
+    }
+    return `${operation}:${JSON.stringify(body)}`;
+}
+
+/**
+ * Run a session's requests strictly in order so two calls never enter its engine at once.
+ * A request identical to one already queued or running is coalesced: it gets that
+ * request's response, flagged with duplicate: 'coalesced'. An operation that has started
+ * runs to the end even if its client goes away, and its duplicates get its real response.
+ */
+router.use('/session/:sessionId/:operation', async (req, res, next) => {
+    const { sessionId, operation } = req.params;
+    const session = workerPool.getSession(sessionId);
+
+    if (!session || UNSERIALIZED_OPERATIONS.has(operation) || (operation === 'dialog' && req.method === 'GET')) {
+        return next();
+    }
+
+    const key = getCoalescingKey(req, operation);
+
+    // A request whose client gave up while queued settles with null: the next duplicate runs instead
+    while (key && session.inflightRequests.has(key)) {
+        console.log(`[API] Coalescing duplicate ${operation} request for session ${sessionId}`);
+        const result = await session.inflightRequests.get(key);
+        if (!result) {
+            continue;
+        }
+        if (res.destroyed) {
+            return;
+        }
+        const { status, body, contentType } = result;
+        if (body && typeof body === 'object' && !Buffer.isBuffer(body)) {
+            return res.status(status).json({
+                ...body,
+                duplicate: 'coalesced'
+            });
+        }
+        if (contentType) {
+            res.type(contentType);
+        }
+        res.set('X-Duplicate', 'coalesced');
+        return res.status(status).send(body);
+    }
+
+    let settle = null;
+    if (key) {
+        session.inflightRequests.set(key, new Promise((resolve) => {
+            settle = resolve;
+        }));
+    }
+    const finish = (result) => {
+        if (settle) {
+            session.inflightRequests.delete(key);
+            settle(result);
+            settle = null;
+        }
+    };
+
+    // The lock is held until the operation has replied, whether or not its client is still there
+    const lock = workerPool.acquireSessionLock(sessionId);
+    let released = false;
+    const releaseLock = () => {
+        if (!released) {
+            released = true;
+            lock.then((release) => release());
+        }
+    };
+
+    // Keep whatever the route replies (res.json, res.send or res.end) for the duplicates
+    let jsonBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        jsonBody = body;
+        return json(body);
+    };
+    const end = res.end.bind(res);
+    res.end = (chunk, ...args) => {
+        finish(jsonBody !== undefined
+            ? { status: res.statusCode, body: jsonBody }
+            : { status: res.statusCode, body: typeof chunk === 'function' ? undefined : chunk, contentType: res.get('Content-Type') });
+        releaseLock();
+        return end(chunk, ...args);
+    };
+
+    await lock;
+
+    // Client gave up while queued - don't run the operation on its behalf
+    if (res.destroyed) {
+        finish(null);
+        releaseLock();
+        return;
+    }
+
+    next();
+});
+
 // ==================== HEALTH & INITIALIZATION ====================
 
 /**
@@ -27,7 +196,10 @@ const router = express.Router();
 router.get('/health', (req, res) => {
     res.json({
         status: 'ok',
-        wasmInitialized: wasmService.isInitialized,
+        wasmInitialized: workerPool.isInitialized,
+        sessions: workerPool.sessionCount,
+        maxSessions: workerPool.options.maxSessions,
+        workers: workerPool.getWorkerStats(),
         timestamp: Date.now()
     });
 });
@@ -37,11 +209,11 @@ router.get('/health', (req, res) => {
  */
 router.get('/assets', async (req, res) => {
     try {
-        if (!wasmService.isInitialized) {
-            await wasmService.initialize();
+        if (!workerPool.isInitialized) {
+            await workerPool.initialize();
         }
         
-        const assets = wasmService.listEmbeddedAssets();
+        const assets = await workerPool.listEmbeddedAssets();
         res.json({
             success: true,
             applications: assets
@@ -60,7 +232,7 @@ router.get('/assets', async (req, res) => {
  */
 router.post('/init', async (req, res) => {
     try {
-        await wasmService.initialize();
+        await workerPool.initialize();
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({
@@ -78,18 +250,28 @@ router.post('/init', async (req, res) => {
  */
 router.post('/session', async (req, res) => {
     try {
-        if (!wasmService.isInitialized) {
-            await wasmService.initialize();
+        if (!workerPool.isInitialized) {
+            await workerPool.initialize();
         }
 
         const sessionId = uuidv4();
-        const session = wasmService.createSession(sessionId);
+        const session = await workerPool.createSession(sessionId);
 
         res.json({
             success: true,
-            sessionId: session.id
+            sessionId: session.id,
+            idleTimeoutMs: workerPool.options.sessionIdleTimeoutMs
         });
     } catch (error) {
+        if (error.statusCode === 503) {
+            // At capacity - ask the client to retry once idle sessions have been reaped
+            res.set('Retry-After', String(Math.ceil(workerPool.options.reapIntervalMs / 1000)));
+            return res.status(503).json({
+                success: false,
+                error: error.message,
+                maxSessions: workerPool.options.maxSessions
+            });
+        }
         res.status(500).json({
             success: false,
             error: error.message
@@ -98,13 +280,33 @@ router.post('/session', async (req, res) => {
 });
 
 /**
- * Get session status
+ * Stream the session's engine events (Server-Sent Events)
+ * See cspro-session-events.js for the event types
  */
-router.get('/session/:sessionId', (req, res) => {
+router.get('/session/:sessionId/events', (req, res) => {
     const { sessionId } = req.params;
-    const session = wasmService.getSession(sessionId);
 
-    if (!session) {
+    if (!workerPool.getSession(sessionId)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Session not found'
+        });
+    }
+
+    sessionEvents.subscribe(sessionId, req, res);
+});
+
+/**
+ * Keep a session alive while the interviewer is idle on a page
+ * Returns 404 once the session has expired
+ */
+router.post('/session/:sessionId/heartbeat', async (req, res) => {
+    const { sessionId } = req.params;
+    const lifetime = workerPool.getSession(sessionId)
+        ? await workerPool.touchSession(sessionId).catch(() => null)
+        : null;
+
+    if (!lifetime) {
         return res.status(404).json({
             success: false,
             error: 'Session not found'
@@ -113,24 +315,42 @@ router.get('/session/:sessionId', (req, res) => {
 
     res.json({
         success: true,
-        session: {
-            id: session.id,
-            applicationLoaded: session.applicationLoaded,
-            entryStarted: session.entryStarted,
-            createdAt: session.createdAt
-        }
+        ...lifetime
     });
 });
 
+/**
+ * Get session status
+ */
+router.get('/session/:sessionId', async (req, res) => {
+    const { sessionId } = req.params;
+
+    if (!workerPool.getSession(sessionId)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Session not found'
+        });
+    }
+
+    try {
+        const session = await workerPool.getSessionInfo(sessionId);
+        res.json({
+            success: true,
+            session
+        });
+    } catch (error) {
+        sendEngineError(res, error);
+    }
+});
+
 /**
  * Get session status info (isSystemControlled, pathOn, stopCode)
  * Maps to: IsSystemControlled, C_IsPathOn, GetStopCode
  */
 router.get('/session/:sessionId/status', async (req, res) => {
     const { sessionId } = req.params;
-    const session = wasmService.getSession(sessionId);
 
-    if (!session) {
+    if (!workerPool.getSession(sessionId)) {
         return res.status(404).json({
             success: false,
             error: 'Session not found'
@@ -138,19 +358,7 @@ router.get('/session/:sessionId/status', async (req, res) => {
     }
 
     try {
-        let isSystemControlled = false;
-        let stopCode = 0;
-        let pathOn = true;
-        
-        if (session.engine) {
-            // Get from engine if available
-            if (typeof session.engine.isSystemControlled === 'function') {
-                isSystemControlled = session.engine.isSystemControlled();
-            }
-            if (typeof session.engine.getStopCode === 'function') {
-                stopCode = session.engine.getStopCode();
-            }
-        }
+        const { isSystemControlled, pathOn, stopCode } = await workerPool.getStatus(sessionId);
 
         res.json({
             success: true,
@@ -159,10 +367,31 @@ router.get('/session/:sessionId/status', async (req, res) => {
             stopCode
         });
     } catch (error) {
-        res.status(500).json({
+        sendEngineError(res, error);
+    }
+});
+
+/**
+ * Get and clear messages queued for a session since its client last read them:
+ * auto-acknowledged dialogs, engine output (stdout) and warnings (stderr)
+ */
+router.get('/session/:sessionId/messages', async (req, res) => {
+    const { sessionId } = req.params;
+
+    if (!workerPool.getSession(sessionId)) {
+        return res.status(404).json({
             success: false,
-            error: error.message
+            error: 'Session not found'
+        });
+    }
+
+    try {
+        res.json({
+            success: true,
+            ...await workerPool.getAndClearSessionMessages(sessionId)
         });
+    } catch (error) {
+        sendEngineError(res, error);
     }
 });
 
@@ -181,7 +410,7 @@ router.post('/session/:sessionId/load', async (req, res) => {
     }
 
     try {
-        const result = await wasmService.loadApplication(
+        const result = await workerPool.loadApplication(
             sessionId,
             pffContent,
             applicationFiles || {}
@@ -210,7 +439,7 @@ router.post('/session/:sessionId/load-embedded', async (req, res) => {
     }
 
     try {
-        const result = await wasmService.loadEmbeddedApplication(sessionId, pffPath);
+        const result = await workerPool.loadEmbeddedApplication(sessionId, pffPath);
         res.json(result);
     } catch (error) {
         res.status(500).json({
@@ -222,19 +451,18 @@ router.post('/session/:sessionId/load-embedded', async (req, res) => {
 
 /**
  * Start data entry (C_ExentryStart)
+ * Body: { mode: 'add'|'modify'|'verify', key, operatorId } - key opens an existing case (see GET /cases),
+ * operatorId is credited in verification statistics (default: the PFF's OperatorID)
  */
 router.post('/session/:sessionId/start', async (req, res) => {
     const { sessionId } = req.params;
-    const { mode } = req.body;
+    const { mode, key, operatorId } = req.body;
 
     try {
-        const result = await wasmService.startEntry(sessionId, mode);
+        const result = await workerPool.startEntry(sessionId, mode || 'add', key ?? null, operatorId ?? null);
         res.json(result);
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendEngineError(res, error);
     }
 });
 
@@ -246,7 +474,7 @@ router.post('/session/:sessionId/stop', async (req, res) => {
     const { save } = req.body;
 
     try {
-        const result = await wasmService.stopEntry(sessionId, save !== false);
+        const result = await workerPool.stopEntry(sessionId, save !== false);
         res.json(result);
     } catch (error) {
         res.status(500).json({
@@ -259,11 +487,14 @@ router.post('/session/:sessionId/stop', async (req, res) => {
 /**
  * Destroy a session
  */
-router.delete('/session/:sessionId', (req, res) => {
+router.delete('/session/:sessionId', async (req, res) => {
     const { sessionId } = req.params;
 
     try {
-        wasmService.destroySession(sessionId);
+        await workerPool.destroySession(sessionId);
+        sessionEvents.close(sessionId);
+        // A closed session is never resumed
+        await sessionStore.deleteSnapshot(sessionId);
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({
@@ -273,6 +504,57 @@ router.delete('/session/:sessionId', (req, res) => {
     }
 });
 
+// ==================== SNAPSHOT / RESUME ====================
+// Sessions are snapshotted to disk when evicted, on shutdown, or on request
+
+/**
+ * Snapshot a session to disk (application files, data files, current field)
+ * The case is partial saved first.
+ */
+router.post('/session/:sessionId/snapshot', async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+        const snapshot = await workerPool.snapshotSession(sessionId);
+        res.json({
+            success: true,
+            ...snapshot
+        });
+    } catch (error) {
+        sendEngineError(res, error);
+    }
+});
+
+/**
+ * Resume an expired, lost or pre-restart session from its snapshot
+ * Restores it into a new engine under the same session id and returns the page
+ * of the field the interviewer was on (or a pendingDialog raised getting there)
+ */
+router.post('/session/:sessionId/resume', async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+        if (!workerPool.isInitialized) {
+            await workerPool.initialize();
+        }
+
+        const result = await workerPool.resumeSession(sessionId);
+        const response = {
+            ...result,
+            idleTimeoutMs: workerPool.options.sessionIdleTimeoutMs
+        };
+        if (!result.pendingDialog && !result.page && result.currentField) {
+            response.page = await workerPool.getCurrentPage(sessionId);
+        }
+        res.json(response);
+    } catch (error) {
+        if (error.statusCode === 503) {
+            res.set('Retry-After', String(Math.ceil(workerPool.options.reapIntervalMs / 1000)));
+        }
+        sendEngineError(res, error);
+    }
+});
+
 // ==================== FORM/PAGE STATE ====================
 // Maps to: GetFormFileInProcess, C_FldGetCurrent
 
@@ -283,16 +565,13 @@ router.get('/session/:sessionId/page', async (req, res) => {
     const { sessionId } = req.params;
 
     try {
-        const page = await wasmService.getCurrentPage(sessionId);
+        const page = await workerPool.getCurrentPage(sessionId);
         res.json({
             success: true,
             page
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendEngineError(res, error);
     }
 });
 
@@ -303,7 +582,7 @@ router.get('/session/:sessionId/form-data', async (req, res) => {
     const { sessionId } = req.params;
 
     try {
-        const formData = await wasmService.getFormData(sessionId);
+        const formData = await workerPool.getFormData(sessionId);
         res.json(formData);
     } catch (error) {
         res.status(500).json({
@@ -313,31 +592,88 @@ router.get('/session/:sessionId/form-data', async (req, res) => {
     }
 });
 
+/**
+ * Items of the dictionary the engine has loaded (names, labels, type, length, value set, capture info)
+ * Returns { name, label, items: [{ name, label, record, level, contentType, length, decimals, valueSet, capture }] }
+ */
+router.get('/session/:sessionId/dictionary', async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+        const dictionary = await workerPool.getDictionaryItems(sessionId);
+        res.json({
+            success: true,
+            ...dictionary
+        });
+    } catch (error) {
+        sendEngineError(res, error);
+    }
+});
+
+/**
+ * Languages the application defines
+ * Returns { current, languages: [{ name, label }] }
+ */
+router.get('/session/:sessionId/languages', async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+        const result = await workerPool.getLanguages(sessionId);
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        sendEngineError(res, error);
+    }
+});
+
+/**
+ * Change the engine language (setlanguage); remembered for the session's operator
+ * Body: { language }. Returns { success, language, remembered, page } with the page relabeled;
+ * remembered is false when the session has no operator ID to remember it for.
+ */
+router.post('/session/:sessionId/language', async (req, res) => {
+    const { sessionId } = req.params;
+    const { language } = req.body;
+
+    try {
+        const result = await workerPool.setLanguage(sessionId, language);
+        res.json(result);
+    } catch (error) {
+        sendEngineError(res, error);
+    }
+});
+
 // ==================== FIELD NAVIGATION ====================
 // Maps to: C_GoToField(ENGINE_NEXTFIELD/ENGINE_BACKFIELD), C_MoveToField
 
 /**
  * Advance to next field with value (C_FldPutVal + C_GoToField(ENGINE_NEXTFIELD))
+ * Body: { value, fieldName, indexes } - fieldName is optional and guards against repeated submissions;
+ * with the field's occurrence indexes, a repeat sent while the first is still running is coalesced
  */
 router.post('/session/:sessionId/advance', async (req, res) => {
     const { sessionId } = req.params;
-    const { value } = req.body;
+    const { value, fieldName } = req.body;
 
     try {
-        const result = await wasmService.advanceField(sessionId, value);
+        const result = await workerPool.advanceField(sessionId, value, fieldName);
+        
+        // Engine is suspended on a dialog - client must respond before the page is known
+        if (result.pendingDialog) {
+            return res.json(result);
+        }
         
         // Also return current page state after advancing
-        const page = await wasmService.getCurrentPage(sessionId);
+        const page = await workerPool.getCurrentPage(sessionId);
         
         res.json({
             ...result,
             page
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendEngineError(res, error);
     }
 });
 
@@ -346,37 +682,46 @@ router.post('/session/:sessionId/advance', async (req, res) => {
  */
 router.post('/session/:sessionId/next', async (req, res) => {
     const { sessionId } = req.params;
-    const session = wasmService.getSession(sessionId);
-
-    if (!session || !session.entryStarted) {
-        return res.status(400).json({
-            success: false,
-            error: 'Entry not started'
-        });
-    }
 
     try {
-        // Use engine nextField() if available
-        let page = null;
-        if (session.engine?.nextField) {
-            let result = session.engine.nextField();
-            if (result?.then) result = await result;
-            page = result;
-        }
+        const result = await workerPool.nextField(sessionId);
         
-        if (!page) {
-            page = await wasmService.getCurrentPage(sessionId);
+        if (result.pendingDialog) {
+            return res.json(result);
         }
         
+        const page = result.page || await workerPool.getCurrentPage(sessionId);
+        
         res.json({
             success: true,
             page
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
+        sendEngineError(res, error);
+    }
+});
+
+/**
+ * Advance to end: move forward to the first blank field or the end of the case (CSEntry's End key)
+ */
+router.post('/session/:sessionId/advance-to-end', async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+        const result = await workerPool.advanceToEnd(sessionId);
+
+        if (result.pendingDialog) {
+            return res.json(result);
+        }
+
+        const page = result.page || await workerPool.getCurrentPage(sessionId);
+
+        res.json({
+            success: true,
+            page
         });
+    } catch (error) {
+        sendEngineError(res, error);
     }
 });
 
@@ -387,29 +732,32 @@ router.post('/session/:sessionId/previous', async (req, res) => {
     const { sessionId } = req.params;
 
     try {
-        const result = await wasmService.previousField(sessionId);
+        const result = await workerPool.previousField(sessionId);
+        
+        if (result.pendingDialog) {
+            return res.json(result);
+        }
         
         // Also return current page state after moving back
-        const page = await wasmService.getCurrentPage(sessionId);
+        const page = await workerPool.getCurrentPage(sessionId);
         
         res.json({
             ...result,
             page
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendEngineError(res, error);
     }
 });
 
 /**
  * Go to a specific field (C_MoveToField)
+ * Body: { fieldSymbol | fieldName, occurrence1, occurrence2, occurrence3 }
+ * Returns blocked: true if logic kept entry from reaching the field
  */
 router.post('/session/:sessionId/goto', async (req, res) => {
     const { sessionId } = req.params;
-    const { fieldSymbol, fieldName } = req.body;
+    const { fieldSymbol, fieldName, occurrence1, occurrence2, occurrence3 } = req.body;
     const field = fieldSymbol || fieldName;
 
     if (!field) {
@@ -420,8 +768,13 @@ router.post('/session/:sessionId/goto', async (req, res) => {
     }
 
     try {
-        const result = await wasmService.goToField(sessionId, field);
-        const page = await wasmService.getCurrentPage(sessionId);
+        const result = await workerPool.goToField(sessionId, field, occurrence1, occurrence2, occurrence3);
+        
+        if (result.pendingDialog) {
+            return res.json(result);
+        }
+        
+        const page = await workerPool.getCurrentPage(sessionId);
         
         res.json({
             success: true,
@@ -429,11 +782,77 @@ router.post('/session/:sessionId/goto', async (req, res) => {
             page
         });
     } catch (error) {
-        res.status(500).json({
+        sendEngineError(res, error);
+    }
+});
+
+// ==================== INTERACTIVE DIALOGS ====================
+// Logic dialogs (errmsg, accept, prompt, select...) suspend the engine until the client answers
+
+/**
+ * Get the dialog the engine is waiting on, if any
+ */
+router.get('/session/:sessionId/dialog', async (req, res) => {
+    const { sessionId } = req.params;
+
+    if (!workerPool.getSession(sessionId)) {
+        return res.status(404).json({
             success: false,
-            error: error.message
+            error: 'Session not found'
         });
     }
+
+    try {
+        res.json({
+            success: true,
+            pendingDialog: await workerPool.getPendingDialog(sessionId)
+        });
+    } catch (error) {
+        sendEngineError(res, error);
+    }
+});
+
+/**
+ * Respond to a pending dialog and resume the engine
+ * Body: { result } - the dialog result, e.g. { index: 2 } for errmsg or { rowIndices: [0] } for select
+ * Returns the outcome of the resumed call: its page, or the next pending dialog
+ */
+router.post('/session/:sessionId/dialog/:dialogId/respond', async (req, res) => {
+    const { sessionId, dialogId } = req.params;
+    const { result } = req.body;
+
+    if (!workerPool.getSession(sessionId)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Session not found'
+        });
+    }
+
+    try {
+        const pendingDialog = await workerPool.getPendingDialog(sessionId);
+        if (!pendingDialog || pendingDialog.id !== dialogId) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dialog not found',
+                pendingDialog
+            });
+        }
+
+        const outcome = await workerPool.respondToDialog(sessionId, dialogId, result);
+        
+        if (outcome.pendingDialog) {
+            return res.json(outcome);
+        }
+        
+        const page = outcome.page || await workerPool.getCurrentPage(sessionId);
+        
+        res.json({
+            ...outcome,
+            page
+        });
+    } catch (error) {
+        sendEngineError(res, error);
+    }
 });
 
 // ==================== GROUP/LEVEL OPERATIONS ====================
@@ -446,10 +865,15 @@ router.post('/session/:sessionId/end-roster', async (req, res) => {
     const { sessionId } = req.params;
 
     try {
-        const result = await wasmService.endRoster(sessionId);
+        const result = await workerPool.endRoster(sessionId);
+        
+        // Engine is suspended on a dialog - client must respond before the page is known
+        if (result.pendingDialog) {
+            return res.json(result);
+        }
         
         // Return current page state after ending roster
-        const page = await wasmService.getCurrentPage(sessionId);
+        const page = await workerPool.getCurrentPage(sessionId);
         
         res.json({
             success: true,
@@ -457,10 +881,7 @@ router.post('/session/:sessionId/end-roster', async (req, res) => {
             page
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendEngineError(res, error);
     }
 });
 
@@ -472,10 +893,15 @@ router.post('/session/:sessionId/end-group', async (req, res) => {
     const { postProc } = req.body;
 
     try {
-        const result = await wasmService.endGroup(sessionId);
+        const result = await workerPool.endGroup(sessionId);
+        
+        // Engine is suspended on a dialog - client must respond before the page is known
+        if (result.pendingDialog) {
+            return res.json(result);
+        }
         
         // Return current page state after ending group
-        const page = await wasmService.getCurrentPage(sessionId);
+        const page = await workerPool.getCurrentPage(sessionId);
         
         res.json({
             success: true,
@@ -483,10 +909,7 @@ router.post('/session/:sessionId/end-group', async (req, res) => {
             page
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendEngineError(res, error);
     }
 });
 
@@ -498,10 +921,15 @@ router.post('/session/:sessionId/end-level', async (req, res) => {
     const { nextLevel, writeNode } = req.body;
 
     try {
-        const result = await wasmService.endLevel(sessionId);
+        const result = await workerPool.endLevel(sessionId);
+        
+        // Engine is suspended on a dialog - client must respond before the page is known
+        if (result.pendingDialog) {
+            return res.json(result);
+        }
         
         // Return current page state after ending level
-        const page = await wasmService.getCurrentPage(sessionId);
+        const page = await workerPool.getCurrentPage(sessionId);
         
         res.json({
             success: true,
@@ -509,10 +937,7 @@ router.post('/session/:sessionId/end-level', async (req, res) => {
             page
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendEngineError(res, error);
     }
 });
 
@@ -522,36 +947,22 @@ router.post('/session/:sessionId/end-level', async (req, res) => {
 router.post('/session/:sessionId/end-group-occ', async (req, res) => {
     const { sessionId } = req.params;
     const { postProc } = req.body;
-    const session = wasmService.getSession(sessionId);
-
-    if (!session || !session.entryStarted) {
-        return res.status(400).json({
-            success: false,
-            error: 'Entry not started'
-        });
-    }
 
     try {
-        let page = null;
-        if (session.engine?.endLevelOcc) {
-            let result = session.engine.endLevelOcc();
-            if (result?.then) result = await result;
-            page = result;
-        }
+        const result = await workerPool.endLevelOcc(sessionId);
         
-        if (!page) {
-            page = await wasmService.getCurrentPage(sessionId);
+        // Engine is suspended on a dialog - client must respond before the page is known
+        if (result.pendingDialog) {
+            return res.json(result);
         }
+        const page = result.page || await workerPool.getCurrentPage(sessionId);
         
         res.json({
             success: true,
             page
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendEngineError(res, error);
     }
 });
 
@@ -565,8 +976,13 @@ router.post('/session/:sessionId/insert-occ', async (req, res) => {
     const { sessionId } = req.params;
 
     try {
-        const result = await wasmService.insertOcc(sessionId);
-        const page = await wasmService.getCurrentPage(sessionId);
+        const result = await workerPool.insertOcc(sessionId);
+        
+        // Engine is suspended on a dialog - client must respond before the page is known
+        if (result.pendingDialog) {
+            return res.json(result);
+        }
+        const page = await workerPool.getCurrentPage(sessionId);
         
         res.json({
             success: true,
@@ -574,10 +990,7 @@ router.post('/session/:sessionId/insert-occ', async (req, res) => {
             page
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendEngineError(res, error);
     }
 });
 
@@ -586,34 +999,23 @@ router.post('/session/:sessionId/insert-occ', async (req, res) => {
  */
 router.post('/session/:sessionId/insert-occ-after', async (req, res) => {
     const { sessionId } = req.params;
-    const session = wasmService.getSession(sessionId);
-
-    if (!session || !session.entryStarted) {
-        return res.status(400).json({
-            success: false,
-            error: 'Entry not started'
-        });
-    }
 
     try {
-        let success = false;
-        if (session.engine?.insertOccAfter) {
-            let result = session.engine.insertOccAfter();
-            if (result?.then) result = await result;
-            success = result;
+        const result = await workerPool.insertOccAfter(sessionId);
+        
+        if (result.pendingDialog) {
+            return res.json(result);
         }
         
-        const page = await wasmService.getCurrentPage(sessionId);
+        const { success } = result;
+        const page = await workerPool.getCurrentPage(sessionId);
         
         res.json({
             success,
             page
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendEngineError(res, error);
     }
 });
 
@@ -624,8 +1026,13 @@ router.post('/session/:sessionId/delete-occ', async (req, res) => {
     const { sessionId } = req.params;
 
     try {
-        const result = await wasmService.deleteOcc(sessionId);
-        const page = await wasmService.getCurrentPage(sessionId);
+        const result = await workerPool.deleteOcc(sessionId);
+        
+        // Engine is suspended on a dialog - client must respond before the page is known
+        if (result.pendingDialog) {
+            return res.json(result);
+        }
+        const page = await workerPool.getCurrentPage(sessionId);
         
         res.json({
             success: true,
@@ -633,10 +1040,7 @@ router.post('/session/:sessionId/delete-occ', async (req, res) => {
             page
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendEngineError(res, error);
     }
 });
 
@@ -647,8 +1051,13 @@ router.post('/session/:sessionId/sort-occ', async (req, res) => {
     const { sessionId } = req.params;
 
     try {
-        const result = await wasmService.sortOcc(sessionId);
-        const page = await wasmService.getCurrentPage(sessionId);
+        const result = await workerPool.sortOcc(sessionId);
+        
+        // Engine is suspended on a dialog - client must respond before the page is known
+        if (result.pendingDialog) {
+            return res.json(result);
+        }
+        const page = await workerPool.getCurrentPage(sessionId);
         
         res.json({
             success: true,
@@ -656,10 +1065,7 @@ router.post('/session/:sessionId/sort-occ', async (req, res) => {
             page
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendEngineError(res, error);
     }
 });
 
@@ -674,16 +1080,13 @@ router.get('/session/:sessionId/question', async (req, res) => {
     const { field } = req.query;
 
     try {
-        const result = await wasmService.getQuestionText(sessionId, field);
+        const result = await workerPool.getQuestionText(sessionId, field);
         res.json({
             success: true,
             ...result
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendEngineError(res, error);
     }
 });
 
@@ -695,16 +1098,13 @@ router.get('/session/:sessionId/responses', async (req, res) => {
     const { field } = req.query;
 
     try {
-        const responses = await wasmService.getResponses(sessionId, field);
+        const responses = await workerPool.getResponses(sessionId, field);
         res.json({
             success: true,
             responses
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendEngineError(res, error);
     }
 });
 
@@ -718,11 +1118,239 @@ router.get('/session/:sessionId/case-tree', async (req, res) => {
     const { sessionId } = req.params;
 
     try {
-        const caseTree = await wasmService.getCaseTree(sessionId);
+        const caseTree = await workerPool.getCaseTree(sessionId);
         res.json({
             success: true,
             caseTree
         });
+    } catch (error) {
+        sendEngineError(res, error);
+    }
+});
+
+// ==================== SESSION FILES ====================
+// Photos, signatures and recordings captured in the browser, kept beside the application
+// so logic reads them by the relative path stored in the field (Image.load etc.)
+
+const SESSION_FILE_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.webm': 'audio/webm',
+    '.ogg': 'audio/ogg',
+    '.m4a': 'audio/mp4',
+    '.wav': 'audio/wav'
+};
+
+/**
+ * Write a captured file under the session's files directory (see CSProWasmService SESSION FILES)
+ * Body: { name: 'photos/PHOTO-lq3k2x.jpg', data: base64 }
+ * Returns { name, path }
+ */
+router.post('/session/:sessionId/files', async (req, res) => {
+    const { sessionId } = req.params;
+    const { name, data } = req.body || {};
+
+    if (!name || typeof data !== 'string') {
+        return res.status(400).json({ success: false, error: 'name and data are required' });
+    }
+
+    try {
+        const file = await workerPool.writeSessionFile(sessionId, name, data);
+        res.json({ success: true, ...file });
+    } catch (error) {
+        sendEngineError(res, error);
+    }
+});
+
+/**
+ * Read a captured file, or one shipped with the application, e.g. for photo thumbnails
+ * Query: ?name=photos/PHOTO-lq3k2x.jpg
+ */
+router.get('/session/:sessionId/files', async (req, res) => {
+    const { sessionId } = req.params;
+    const name = String(req.query.name || '');
+
+    if (!name) {
+        return res.status(400).json({ success: false, error: 'name is required' });
+    }
+
+    try {
+        const data = await workerPool.readSessionFile(sessionId, name);
+        const extension = path.extname(name).toLowerCase();
+        res.setHeader('Content-Type', SESSION_FILE_TYPES[extension] || 'application/octet-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.send(Buffer.from(data, 'base64'));
+    } catch (error) {
+        sendEngineError(res, error);
+    }
+});
+
+/**
+ * Save an interview recording next to the session's data file (see CSProWasmService SESSION FILES)
+ * Recordings logic stops come with the client's answer to its dialog; this is for those that end with the case.
+ * Body: { name: '1001-lq3k2x.webm', data: base64 }
+ * Returns { path }
+ */
+router.post('/session/:sessionId/recordings', async (req, res) => {
+    const { sessionId } = req.params;
+    const { name, data } = req.body || {};
+
+    if (!name || typeof data !== 'string') {
+        return res.status(400).json({ success: false, error: 'name and data are required' });
+    }
+
+    try {
+        const recording = await workerPool.saveRecording(sessionId, name, data);
+        res.json({ success: true, ...recording });
+    } catch (error) {
+        sendEngineError(res, error);
+    }
+});
+
+// ==================== CASE OPERATIONS ====================
+// Maps to: C_IsNewCase, PartialSave, case listing, Edit menu case insert/delete/undelete
+
+/**
+ * List the cases in the session's data file, for modify mode's case listing
+ * Query: ?deleted=true lists the deleted cases instead (for undelete)
+ * Returns [{ uuid, key, label, status: 'partial'|'complete', partialSaveMode, partialSaveField, verified, deleted }]
+ */
+router.get('/session/:sessionId/cases', async (req, res) => {
+    const { sessionId } = req.params;
+    const deleted = req.query.deleted === 'true' || req.query.deleted === '1';
+
+    try {
+        const cases = await workerPool.listCases(sessionId, deleted);
+        res.json({
+            success: true,
+            cases
+        });
+    } catch (error) {
+        sendEngineError(res, error);
+    }
+});
+
+/**
+ * Find Case: search the session's data file
+ * Query: ?caseId= (key or uuid), ?keyPrefix=, or ?item=&value= (any dictionary item)
+ * Returns the matching cases as GET /cases does
+ */
+router.get('/session/:sessionId/cases/search', async (req, res) => {
+    const { sessionId } = req.params;
+    const { caseId, keyPrefix, item, value } = req.query;
+
+    try {
+        const cases = await workerPool.searchCases(sessionId, { caseId, keyPrefix, item, value });
+        res.json({
+            success: true,
+            cases
+        });
+    } catch (error) {
+        sendEngineError(res, error);
+    }
+});
+
+/**
+ * Dictionary items the Find Case search accepts
+ * Returns [{ name, label, record, level, contentType }]
+ */
+router.get('/session/:sessionId/cases/items', async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+        const items = await workerPool.getSearchableItems(sessionId);
+        res.json({
+            success: true,
+            items
+        });
+    } catch (error) {
+        sendEngineError(res, error);
+    }
+});
+
+/**
+ * Mark a case as deleted (it stays in the data file and can be undeleted)
+ * Body: { key }. 403 if the PFF has Lock=Delete, 409 if the case is open in entry.
+ */
+router.post('/session/:sessionId/delete-case', async (req, res) => {
+    const { sessionId } = req.params;
+    const { key } = req.body;
+
+    if (key === undefined || key === null) {
+        return res.status(400).json({
+            success: false,
+            error: 'Case key is required'
+        });
+    }
+
+    try {
+        const result = await workerPool.deleteCase(sessionId, key);
+        res.json(result);
+    } catch (error) {
+        sendEngineError(res, error);
+    }
+});
+
+/**
+ * Recover a deleted case
+ * Body: { key }. 403 if the PFF has Lock=Delete.
+ */
+router.post('/session/:sessionId/undelete-case', async (req, res) => {
+    const { sessionId } = req.params;
+    const { key } = req.body;
+
+    if (key === undefined || key === null) {
+        return res.status(400).json({
+            success: false,
+            error: 'Case key is required'
+        });
+    }
+
+    try {
+        const result = await workerPool.undeleteCase(sessionId, key);
+        res.json(result);
+    } catch (error) {
+        sendEngineError(res, error);
+    }
+});
+
+/**
+ * Start adding a case that is inserted before an existing case
+ * Body: { beforeKey }. 403 if the PFF has Lock=Add.
+ */
+router.post('/session/:sessionId/insert-case', async (req, res) => {
+    const { sessionId } = req.params;
+    const { beforeKey } = req.body;
+
+    if (beforeKey === undefined || beforeKey === null) {
+        return res.status(400).json({
+            success: false,
+            error: 'beforeKey is required'
+        });
+    }
+
+    try {
+        const result = await workerPool.insertCase(sessionId, beforeKey);
+        res.json(result);
+    } catch (error) {
+        sendEngineError(res, error);
+    }
+});
+
+/**
+ * Verify mode statistics per operator (see cspro-verification-stats.js)
+ * Query: ?operatorId= for one operator
+ */
+router.get('/verification/stats', async (req, res) => {
+    try {
+        const operators = await verificationStats.getStats(req.query.operatorId || null);
+        res.json({
+            success: true,
+            operators
+        });
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -731,9 +1359,6 @@ router.get('/session/:sessionId/case-tree', async (req, res) => {
     }
 });
 
-// ==================== CASE OPERATIONS ====================
-// Maps to: C_IsNewCase, PartialSave
-
 /**
  * Partial save the current case
  * This saves the case in its current state without completing entry
@@ -742,20 +1367,17 @@ router.post('/session/:sessionId/partial-save', async (req, res) => {
     const { sessionId } = req.params;
 
     try {
-        const result = await wasmService.partialSave(sessionId);
+        const result = await workerPool.partialSave(sessionId);
         
         // Return current page state after partial save
-        const page = await wasmService.getCurrentPage(sessionId);
+        const page = await workerPool.getCurrentPage(sessionId);
         
         res.json({
             success: result,
             page
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendEngineError(res, error);
     }
 });
 
@@ -764,7 +1386,9 @@ router.post('/session/:sessionId/partial-save', async (req, res) => {
  */
 router.get('/session/:sessionId/is-new-case', async (req, res) => {
     const { sessionId } = req.params;
-    const session = wasmService.getSession(sessionId);
+    const session = workerPool.getSession(sessionId)
+        ? await workerPool.getSessionInfo(sessionId).catch(() => null)
+        : null;
 
     if (!session || !session.entryStarted) {
         return res.status(400).json({
@@ -774,10 +1398,10 @@ router.get('/session/:sessionId/is-new-case', async (req, res) => {
     }
 
     try {
-        // Note: isNewCase might need to be added to WASM bindings
+        // Cases opened by key (modify/verify) already exist in the data file
         res.json({
             success: true,
-            isNewCase: true // Default for now
+            isNewCase: !session.caseKey
         });
     } catch (error) {
         res.status(500).json({
@@ -805,7 +1429,7 @@ router.post('/session/:sessionId/invoke-function', async (req, res) => {
     }
 
     try {
-        const result = await wasmService.invokeLogicFunction(
+        const result = await workerPool.invokeLogicFunction(
             sessionId,
             functionName,
             args || {}
@@ -835,7 +1459,7 @@ router.post('/session/:sessionId/eval-logic', async (req, res) => {
     }
 
     try {
-        const result = await wasmService.evalLogic(sessionId, logic);
+        const result = await workerPool.evalLogic(sessionId, logic);
         res.json(result);
     } catch (error) {
         res.status(500).json({
@@ -860,7 +1484,7 @@ router.post('/session/:sessionId/action', async (req, res) => {
     }
 
     try {
-        const result = await wasmService.executeAction(
+        const result = await workerPool.executeAction(
             sessionId,
             action,
             args || {},
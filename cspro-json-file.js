@@ -0,0 +1,81 @@
+/**
+ * CSPro JSON Files - JSON documents on the host disk shared by the server's stores
+ *
+ * readJsonFile/writeJsonFile read and replace a whole file; writes go to a temporary
+ * file that is renamed over the old one so a crash mid-write never leaves it truncated.
+ * CSProJsonFile keeps one document in memory and serializes its reads and updates.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * @returns {Promise<*>} The parsed file, or null if it doesn't exist
+ */
+export async function readJsonFile(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Replace a file with a value as JSON, creating its directory if needed
+ * @param {number} [space] - Indentation, as for JSON.stringify
+ */
+export async function writeJsonFile(filePath, value, space) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(value, null, space));
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * A JSON object kept in one file, loaded on first use
+ */
+export class CSProJsonFile {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = null;               // loaded on first use
+        this.queue = Promise.resolve(); // serializes loads and writes
+    }
+
+    /**
+     * @param {Function} task - Called with the document; must not change it
+     * @returns {Promise<*>} What task returns
+     */
+    read(task) {
+        return this._enqueue(async () => task(await this._load()));
+    }
+
+    /**
+     * Change the document and write it back
+     * @param {Function} task - Called with the document to change in place
+     * @returns {Promise<*>} What task returns
+     */
+    update(task) {
+        return this._enqueue(async () => {
+            const data = await this._load();
+            const result = await task(data);
+            await writeJsonFile(this.filePath, data, 2);
+            return result;
+        });
+    }
+
+    _enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async _load() {
+        this.data ??= await readJsonFile(this.filePath) ?? {};
+        return this.data;
+    }
+}
+
+export default CSProJsonFile;
@@ -0,0 +1,48 @@
+/**
+ * CSPro Operator Preferences - settings remembered per operator across sessions
+ *
+ * Preferences:
+ *   language - the language last chosen with Change Language, applied when the operator starts entry
+ *
+ * Configuration (environment):
+ *   CSPRO_OPERATOR_PREFERENCES_FILE - where preferences are kept (default: storage/operator-preferences.json)
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CSProJsonFile } from './cspro-json-file.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+class CSProOperatorPreferences {
+    constructor() {
+        // operatorId -> preferences
+        this.file = new CSProJsonFile(process.env.CSPRO_OPERATOR_PREFERENCES_FILE || path.join(__dirname, 'storage', 'operator-preferences.json'));
+    }
+
+    /**
+     * @param {string} operatorId
+     * @returns {Promise<object>} The operator's preferences ({} if none were saved)
+     */
+    get(operatorId) {
+        return this.file.read((operators) => ({ ...(operators[operatorId] || {}) }));
+    }
+
+    /**
+     * Merge preferences into the operator's saved ones
+     * @param {string} operatorId
+     * @param {object} preferences - e.g. { language }
+     */
+    set(operatorId, preferences) {
+        return this.file.update((operators) => {
+            operators[operatorId] = { ...operators[operatorId], ...preferences, updatedAt: new Date().toISOString() };
+        });
+    }
+}
+
+// Singleton instance
+const operatorPreferences = new CSProOperatorPreferences();
+
+export { CSProOperatorPreferences, operatorPreferences };
+export default operatorPreferences;
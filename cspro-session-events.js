@@ -0,0 +1,102 @@
+/**
+ * CSPro Session Events - per-session Server-Sent Events streams
+ *
+ * Streams what the engine does for a session as it happens, so the client can react to
+ * logic-driven moves ('move to', 'endlevel'...) without polling /page and /status:
+ *   page     - { page } the engine moved to another field
+ *   status   - { stopCode, isSystemControlled, pathOn } changed
+ *   dialog   - a logic dialog was shown (pending, or autoAcknowledged)
+ *   output   - { text } engine output, e.g. trace()
+ *   warning  - { text } engine error output
+ *   expiring - { expiresAt } the session is about to expire from inactivity
+ *   expired  - { reason, partialSaved, resumable } the session was evicted (stream ends)
+ *   lost     - { reason } the session's worker failed (stream ends)
+ */
+
+import { workerPool } from './cspro-worker-pool.js';
+
+const KEEPALIVE_INTERVAL_MS = 25 * 1000;
+
+class CSProSessionEvents {
+    constructor(pool) {
+        this.pool = pool;
+        this.subscribers = new Map(); // sessionId -> Set of responses
+
+        pool.on('sessionEvent', ({ sessionId, type, data }) => {
+            this._send(sessionId, type, data);
+        });
+        pool.on('sessionReaped', ({ sessionId, reason, partialSaved, resumable }) => {
+            this._send(sessionId, 'expired', { reason, partialSaved, resumable });
+            this.close(sessionId);
+        });
+        pool.on('sessionsLost', ({ reason, sessionIds }) => {
+            for (const sessionId of sessionIds) {
+                this._send(sessionId, 'lost', { reason });
+                this.close(sessionId);
+            }
+        });
+    }
+
+    /**
+     * Start streaming a session's events on an HTTP response
+     * The first events are the session's current page and status.
+     */
+    subscribe(sessionId, req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        if (!this.subscribers.has(sessionId)) {
+            this.subscribers.set(sessionId, new Set());
+        }
+        this.subscribers.get(sessionId).add(res);
+
+        // Comments keep proxies from closing an idle stream
+        const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+
+        req.on('close', () => {
+            clearInterval(keepalive);
+            const subscribers = this.subscribers.get(sessionId);
+            subscribers?.delete(res);
+            if (subscribers?.size === 0) {
+                this.subscribers.delete(sessionId);
+                this.pool.setSessionEvents(sessionId, false).catch(() => {});
+            }
+        });
+
+        this.pool.setSessionEvents(sessionId, true).catch((error) => {
+            console.warn(`[CSProSessionEvents] Could not enable events for ${sessionId}:`, error.message);
+        });
+    }
+
+    /**
+     * End every stream of a session
+     */
+    close(sessionId) {
+        for (const res of this.subscribers.get(sessionId) || []) {
+            res.end();
+        }
+        this.subscribers.delete(sessionId);
+    }
+
+    _send(sessionId, type, data) {
+        const subscribers = this.subscribers.get(sessionId);
+        if (!subscribers) {
+            return;
+        }
+        const frame = `event: ${type}\ndata: ${JSON.stringify(data ?? {})}\n\n`;
+        for (const res of subscribers) {
+            res.write(frame);
+        }
+    }
+}
+
+// Singleton instance
+const sessionEvents = new CSProSessionEvents(workerPool);
+
+export { CSProSessionEvents, sessionEvents };
+export default sessionEvents;
@@ -0,0 +1,59 @@
+/**
+ * CSPro Session Store - session snapshots on the host disk
+ *
+ * Snapshots (see CSProWasmService.snapshotSession) are written as one JSON file
+ * per session so a session can be resumed in a new engine after it was evicted,
+ * its worker failed or the server restarted.
+ *
+ * Configuration (environment):
+ *   CSPRO_SNAPSHOT_DIR - where snapshots are kept (default: storage/sessions)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJsonFile, writeJsonFile } from './cspro-json-file.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+class CSProSessionStore {
+    constructor() {
+        this.directory = process.env.CSPRO_SNAPSHOT_DIR || path.join(__dirname, 'storage', 'sessions');
+    }
+
+    /**
+     * Helper: Snapshot file for a session id (ids come from URLs, so reject anything path-like)
+     */
+    _snapshotPath(sessionId) {
+        if (!/^[\w-]+$/.test(sessionId)) {
+            throw new Error(`Invalid session id: ${sessionId}`);
+        }
+        return path.join(this.directory, `${sessionId}.json`);
+    }
+
+    /**
+     * Write a snapshot, replacing any earlier one for the same session
+     */
+    async saveSnapshot(snapshot) {
+        await writeJsonFile(this._snapshotPath(snapshot.sessionId), snapshot);
+        console.log(`[CSProSessionStore] Saved snapshot: ${snapshot.sessionId}`);
+    }
+
+    /**
+     * @returns {Promise<object|null>} The session's snapshot, or null if there is none
+     */
+    loadSnapshot(sessionId) {
+        return readJsonFile(this._snapshotPath(sessionId));
+    }
+
+    async deleteSnapshot(sessionId) {
+        await fs.rm(this._snapshotPath(sessionId), { force: true });
+    }
+}
+
+// Singleton instance
+const sessionStore = new CSProSessionStore();
+
+export { CSProSessionStore, sessionStore };
+export default sessionStore;
@@ -0,0 +1,84 @@
+/**
+ * CSPro Verification Stats - verify mode (double keying) statistics per operator
+ *
+ * Counts the 'verification' outcomes reported by the engine service:
+ *   caseStarted   - a case was opened in verify mode
+ *   match         - the keyed value matched the stored value
+ *   keyingError   - the verifier mis-keyed, then keyed the stored value
+ *   originalError - the verifier keyed the same different value twice, so the stored value was wrong
+ *
+ * Configuration (environment):
+ *   CSPRO_VERIFICATION_STATS_FILE - where statistics are kept (default: storage/verification-stats.json)
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CSProJsonFile } from './cspro-json-file.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Operator the outcome is credited to when none was given at start or in the PFF
+const UNKNOWN_OPERATOR = '(unknown)';
+
+class CSProVerificationStats {
+    constructor() {
+        // operatorId -> counters
+        this.file = new CSProJsonFile(process.env.CSPRO_VERIFICATION_STATS_FILE || path.join(__dirname, 'storage', 'verification-stats.json'));
+    }
+
+    /**
+     * Record a verification outcome
+     * @param {object} event - 'verification' payload { operatorId, outcome, timestamp }
+     */
+    record({ operatorId, outcome, timestamp }) {
+        return this.file.update((operators) => {
+            const id = operatorId || UNKNOWN_OPERATOR;
+            const stats = operators[id] ??= {
+                casesStarted: 0,
+                fieldsVerified: 0,
+                keyingErrors: 0,
+                originalErrors: 0,
+                firstVerifiedAt: null,
+                lastVerifiedAt: null
+            };
+
+            if (outcome === 'caseStarted') {
+                stats.casesStarted++;
+            } else {
+                stats.fieldsVerified++;
+                if (outcome === 'keyingError') stats.keyingErrors++;
+                if (outcome === 'originalError') stats.originalErrors++;
+            }
+            const at = new Date(timestamp || Date.now()).toISOString();
+            stats.firstVerifiedAt ??= at;
+            stats.lastVerifiedAt = at;
+        });
+    }
+
+    /**
+     * @param {string} [operatorId] - Only this operator's statistics
+     * @returns {Promise<object>} operatorId -> counters with keying/original error rates
+     */
+    getStats(operatorId = null) {
+        return this.file.read((operators) => {
+            const result = {};
+            for (const [id, stats] of Object.entries(operators)) {
+                if (operatorId && id !== operatorId) continue;
+                const rate = (count) => stats.fieldsVerified ? count / stats.fieldsVerified : 0;
+                result[id] = {
+                    ...stats,
+                    keyingErrorRate: rate(stats.keyingErrors),
+                    originalErrorRate: rate(stats.originalErrors)
+                };
+            }
+            return result;
+        });
+    }
+}
+
+// Singleton instance
+const verificationStats = new CSProVerificationStats();
+
+export { CSProVerificationStats, verificationStats };
+export default verificationStats;
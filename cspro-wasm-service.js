@@ -15,21 +15,85 @@
  *   - getFormData(): object
  *   - getQuestionText(): object
  *   - etc.
+ * 
+ * Session lifetime is limited by an idle timeout and a maximum session count,
+ * configurable through CSPRO_SESSION_IDLE_TIMEOUT_MS and CSPRO_MAX_SESSIONS.
+ * Emits 'sessionReaped' when an idle session is evicted; with snapshotOnEvict
+ * the payload carries a snapshot (see snapshotSession) so the session can be resumed.
+ *
+ * Emits 'sessionEvent' { sessionId, type, data, timestamp } for clients subscribed to a
+ * session's event stream. Types: page, status, dialog, output, warning, expiring.
+ *
+ * Emits 'verification' { operatorId, caseKey, outcome, field } for verify mode statistics,
+ * with outcome 'caseStarted', 'match', 'keyingError' or 'originalError'.
+ *
+ * Emits 'languageChanged' { operatorId, language } when the operator switches languages.
  */
 
 import fs from 'fs';
 import path from 'path';
+import { EventEmitter } from 'events';
 import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+import { setPffEntries } from './web/components/csentry-mfc-view/utils/pff-parser.js';
+import { forEachDictionaryItem, listDictionaryItems } from './web/components/csentry-mfc-view/utils/dictionary.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-class CSProWasmService {
+const DEFAULT_SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+const DEFAULT_MAX_SESSIONS = 50;
+const DEFAULT_REAP_INTERVAL_MS = 60 * 1000;
+const EXPIRY_WARNING_MS = 5 * 60 * 1000;
+const CASE_SEARCH_LIMIT = 1000;
+const ADVANCE_TO_END_MAX_FIELDS = 10000;
+// Unread dialogs/output/warnings kept per session; older entries are dropped (they also go out as events)
+const SESSION_MESSAGE_LIMIT = 200;
+
+// HTML dialog logic shows to start and stop the browser's interview recording
+// (same name as INTERVIEW_RECORDING_DIALOG in the web component's constants)
+const INTERVIEW_RECORDING_DIALOG = 'Audio-backgroundRecording';
+
+// Entry modes accepted by startEntry and their PFF StartMode values.
+// Verification is done by this service (see VERIFY MODE), so the engine opens
+// verified cases as in modify mode, keeping their stored values readable.
+const START_MODES = { add: 'Add', modify: 'Modify', verify: 'Modify' };
+
+// Engine calls that can move the interviewer or stop entry (including through logic such as
+// 'move to' or 'endlevel'); after each one, subscribers are sent the page and status if they changed
+const STATE_CHANGING_METHODS = new Set([
+    'start', 'onStop', 'setFieldValueAndAdvance', 'nextField', 'previousField', 'goToField',
+    'endGroup', 'endLevel', 'endLevelOcc', 'insertOcc', 'insertOccAfter', 'deleteOcc', 'sortOcc',
+    'invokeLogicFunction', 'evalLogic', 'processAction'
+]);
+
+class CSProWasmService extends EventEmitter {
     constructor() {
+        super();
         this.Module = null;
         this.isInitialized = false;
         this.sessions = new Map(); // Track multiple entry sessions (each has its own CSProEngine)
+        this._activeSessionId = null; // Session whose engine call is currently running
         this.wasmPath = path.join(__dirname, 'web');
+        this.options = {
+            sessionIdleTimeoutMs: Number(process.env.CSPRO_SESSION_IDLE_TIMEOUT_MS) || DEFAULT_SESSION_IDLE_TIMEOUT_MS,
+            maxSessions: Number(process.env.CSPRO_MAX_SESSIONS) || DEFAULT_MAX_SESSIONS,
+            reapIntervalMs: DEFAULT_REAP_INTERVAL_MS,
+            snapshotOnEvict: false
+        };
+        this._reapTimer = null;
+    }
+
+    /**
+     * Override session limits
+     * @param {object} options - { sessionIdleTimeoutMs, maxSessions, reapIntervalMs, snapshotOnEvict }
+     */
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+        if (this._reapTimer) {
+            this.stopSessionReaper();
+            this.startSessionReaper();
+        }
     }
 
     /**
@@ -41,9 +105,6 @@ class CSProWasmService {
         }
 
         console.log('[CSProWasmService] Initializing WASM module...');
-        
-        // Initialize pending dialogs queue for each session
-        this.pendingDialogs = new Map();
 
         try {
             // Set up server-side dialog handler BEFORE loading WASM
@@ -63,42 +124,52 @@ class CSProWasmService {
                         console.warn('[CSProWasmService] Could not parse dialog input:', e);
                     }
                     
-                    // Store dialog info for client display (informational)
-                    const dialogInfo = {
-                        dialogName,
-                        inputData,
-                        timestamp: Date.now(),
-                        autoAcknowledged: true
-                    };
-                    
-                    // Add to pending dialogs for the current session
-                    // Note: We don't have session context here, so store globally
-                    // This will be retrieved by the next API response
-                    if (!self._lastDialogs) self._lastDialogs = [];
-                    self._lastDialogs.push(dialogInfo);
-                    // Keep only last 10 dialogs
-                    if (self._lastDialogs.length > 10) {
-                        self._lastDialogs.shift();
+                    // If an engine call for a session is waiting on us, hand the dialog to that
+                    // session's client and keep the engine suspended until the client responds
+                    const session = self._getActiveSession();
+                    if (session && session.onDialogShown) {
+                        return new Promise((resolve) => {
+                            session.pendingDialog = {
+                                id: randomUUID(),
+                                dialogName,
+                                inputData,
+                                timestamp: Date.now(),
+                                resolve
+                            };
+                            const dialog = self._describeDialog(session.pendingDialog);
+                            self._emitSessionEvent(session, 'dialog', dialog);
+                            session.onDialogShown(dialog);
+                        });
                     }
                     
-                    // Handle errmsg dialogs - just acknowledge them server-side
-                    // The actual display will happen on the client
-                    // WASM expects { index: N } directly (extracted from CS.UI.closeDialog({ result: { index: N } }))
-                    if (dialogName === 'errmsg') {
-                        console.log(`[CSProWasmService] Error message: ${inputData.message}`);
-                        // Return index 1 (OK button) - matches errmsg.html format
-                        return JSON.stringify({ index: 1 });
+                    // No client is waiting (e.g. a status call triggered logic) - acknowledge
+                    // with the default answer and queue the dialog for that session's client
+                    if (session) {
+                        const dialog = {
+                            dialogName,
+                            inputData,
+                            timestamp: Date.now(),
+                            autoAcknowledged: true
+                        };
+                        self._queueSessionMessage(session.dialogs, dialog);
+                        self._emitSessionEvent(session, 'dialog', dialog);
+                    } else {
+                        console.warn(`[CSProWasmService] Dialog ${dialogName} shown outside of a session call`);
                     }
                     
-                    // Handle select dialogs (value set selection)
-                    if (dialogName === 'select') {
-                        console.log(`[CSProWasmService] Select dialog - storing for client`);
-                        // Return empty/cancel - the client will handle the actual selection
-                        return JSON.stringify({ cancelled: true });
+                    return self._defaultDialogResult(dialogName);
+                },
+                
+                // The only HTML dialog the browser handles for a server session is the one logic uses
+                // to control the interview recording (the microphone is the browser's). Other HTML
+                // dialogs have no server-side display.
+                showHtmlDialogAsync: async (dialogPath, inputDataJson) => {
+                    const fileName = path.posix.basename(String(dialogPath).replace(/\\/g, '/'));
+                    if (fileName.toLowerCase() !== `${INTERVIEW_RECORDING_DIALOG}.html`.toLowerCase()) {
+                        console.warn(`[CSProWasmService] HTML dialog not supported on the server: ${dialogPath}`);
+                        return null;
                     }
-                    
-                    // For other dialogs, return a default response
-                    return JSON.stringify({ index: 1 });
+                    return self._forwardInterviewRecordingRequest(inputDataJson);
                 }
             };
             
@@ -113,11 +184,22 @@ class CSProWasmService {
                 locateFile: (filename) => {
                     return path.join(this.wasmPath, filename);
                 },
+                // Engine output is also queued on the session whose call produced it
                 print: (text) => {
                     console.log('[WASM]', text);
+                    const session = this._getActiveSession();
+                    if (session) {
+                        this._queueSessionMessage(session.output, { text, timestamp: Date.now() });
+                        this._emitSessionEvent(session, 'output', { text });
+                    }
                 },
                 printErr: (text) => {
                     console.error('[WASM Error]', text);
+                    const session = this._getActiveSession();
+                    if (session) {
+                        this._queueSessionMessage(session.warnings, { text, timestamp: Date.now() });
+                        this._emitSessionEvent(session, 'warning', { text });
+                    }
                 },
                 // Pre-loaded file system for applications
                 preRun: [],
@@ -135,6 +217,8 @@ class CSProWasmService {
             this.isInitialized = true;
             console.log('[CSProWasmService] WASM module initialized successfully');
             
+            this.startSessionReaper();
+            
             // Verify CSProEngine class is available
             if (this.Module.CSProEngine) {
                 console.log('[CSProWasmService] CSProEngine class available via Embind');
@@ -157,6 +241,12 @@ class CSProWasmService {
             throw new Error('WASM module not initialized');
         }
 
+        if (this.sessions.size >= this.options.maxSessions) {
+            const error = new Error(`Session limit reached (${this.options.maxSessions} active sessions)`);
+            error.statusCode = 503;
+            throw error;
+        }
+
         console.log(`[CSProWasmService] Creating session: ${sessionId}`);
 
         // Create a new CSProEngine instance for this session
@@ -173,15 +263,33 @@ class CSProWasmService {
         
         // Note: With JSPI, Embind methods are already properly handled by the runtime
         // WebAssembly.promising is for raw exports, not Embind methods
-        // So we don't need to wrap them - just use the engine directly
+        // The engine is only wrapped so its dialogs and output are attributed to this session
         
         const session = {
             id: sessionId,
-            engine: engine,  // Use engine directly - Embind handles JSPI
+            engine: this._attributeEngineCalls(engine, sessionId),
             rawEngine: engine,
             applicationLoaded: false,
             entryStarted: false,
-            createdAt: Date.now()
+            pffPath: null,
+            filesDir: null,       // Where captured files (photos, signatures, recordings) are written
+            startPffPath: null,   // Session copy of the PFF with StartMode/Key, if entry was started with them
+            mode: null,
+            caseKey: null,
+            operatorId: null,
+            verification: null,   // Verify mode state: { pending } re-entry of a mismatched field, the case's row
+            insertBefore: null,   // Insert case: where the case being added goes in the data file
+            createdAt: Date.now(),
+            lastActivityAt: Date.now(),
+            dialogs: [],          // Auto-acknowledged dialogs not yet read by the client
+            output: [],           // Engine stdout not yet read by the client
+            warnings: [],         // Engine stderr not yet read by the client
+            engineCall: null,     // In-flight engine call (may be suspended on a dialog)
+            pendingDialog: null,  // Dialog the engine is waiting on, if any
+            onDialogShown: null,
+            eventsEnabled: false, // A client is subscribed to the session's event stream
+            published: { pageKey: null, stopCode: null, isSystemControlled: null },
+            expiryWarned: false
         };
 
         this.sessions.set(sessionId, session);
@@ -190,6 +298,48 @@ class CSProWasmService {
         return session;
     }
     
+    /**
+     * Wrap a session's CSProEngine so every call marks the session as active
+     * Dialogs and output produced while the engine runs are then queued on that session
+     */
+    _attributeEngineCalls(engine, sessionId) {
+        const self = this;
+        return new Proxy(engine, {
+            get(target, prop) {
+                const value = target[prop];
+                if (typeof value !== 'function') {
+                    return value;
+                }
+                return (...args) => {
+                    self._activeSessionId = sessionId;
+                    const result = value.apply(target, args);
+                    if (!STATE_CHANGING_METHODS.has(prop)) {
+                        return result;
+                    }
+                    if (result?.then) {
+                        return result.then(async (resolved) => {
+                            await self._placeInsertedCase(sessionId);
+                            await self._markVerifiedCase(sessionId);
+                            await self._publishEngineState(sessionId);
+                            return resolved;
+                        });
+                    }
+                    self._placeInsertedCase(sessionId);
+                    self._markVerifiedCase(sessionId);
+                    self._publishEngineState(sessionId);
+                    return result;
+                };
+            }
+        });
+    }
+
+    /**
+     * Helper: Session whose engine call is currently running, if any
+     */
+    _getActiveSession() {
+        return this._activeSessionId ? this.sessions.get(this._activeSessionId) : undefined;
+    }
+
     /**
      * Wrap CSProEngine methods with WebAssembly.promising for JSPI
      * This enables proper async/await support for methods that may suspend
@@ -254,6 +404,251 @@ class CSProWasmService {
         return this.sessions.get(sessionId);
     }
 
+    /**
+     * Get a serializable summary of a session
+     * @returns {object|null} Session info, or null if the session doesn't exist
+     */
+    getSessionInfo(sessionId) {
+        const session = this.getSession(sessionId);
+        if (!session) {
+            return null;
+        }
+        return {
+            id: session.id,
+            applicationLoaded: session.applicationLoaded,
+            entryStarted: session.entryStarted,
+            mode: session.mode,
+            caseKey: session.caseKey,
+            createdAt: session.createdAt,
+            lastActivityAt: session.lastActivityAt,
+            pendingDialog: session.pendingDialog ? this._describeDialog(session.pendingDialog) : null
+        };
+    }
+
+    /**
+     * Get engine status flags
+     * Maps to IsSystemControlled, C_IsPathOn, GetStopCode
+     */
+    async getStatus(sessionId) {
+        const session = this.getSession(sessionId);
+        if (!session) {
+            throw new Error(`Session not found: ${sessionId}`);
+        }
+
+        let isSystemControlled = false;
+        let stopCode = 0;
+        
+        if (typeof session.engine.isSystemControlled === 'function') {
+            isSystemControlled = session.engine.isSystemControlled();
+        }
+        if (typeof session.engine.getStopCode === 'function') {
+            stopCode = session.engine.getStopCode();
+        }
+
+        return { isSystemControlled, pathOn: true, stopCode };
+    }
+
+    // ==================== SESSION EVENTS ====================
+
+    /**
+     * Turn a session's event stream on or off (page and status changes are only tracked while on)
+     */
+    setSessionEvents(sessionId, enabled) {
+        const session = this.getSession(sessionId);
+        if (!session) {
+            return false;
+        }
+        session.eventsEnabled = !!enabled;
+        // A new subscriber gets the current page and status as its first events. While an engine
+        // call is running or suspended on a dialog the engine can't be read; that call publishes when it ends.
+        session.published = { pageKey: null, stopCode: null, isSystemControlled: null };
+        if (session.eventsEnabled && !session.engineCall && !session.pendingDialog) {
+            this._publishEngineState(sessionId);
+        }
+        return true;
+    }
+
+    /**
+     * Helper: Emit an event for a session's subscribers
+     */
+    _emitSessionEvent(session, type, data) {
+        if (!session.eventsEnabled) {
+            return;
+        }
+        try {
+            this.emit('sessionEvent', { sessionId: session.id, type, data, timestamp: Date.now() });
+        } catch (error) {
+            console.error('[CSProWasmService] sessionEvent listener error:', error);
+        }
+    }
+
+    /**
+     * Helper: Send the session's page and status to subscribers if they changed since last sent
+     * Uses the raw engine so these reads aren't themselves treated as session calls.
+     */
+    async _publishEngineState(sessionId) {
+        const session = this.getSession(sessionId);
+        if (!session?.eventsEnabled || !session.applicationLoaded) {
+            return;
+        }
+
+        try {
+            const engine = session.rawEngine;
+            let page = engine.getCurrentPage();
+            if (page?.then) page = await page;
+
+            const field = page?.fields?.[page.currentFieldIndex ?? 0];
+            const pageKey = field ? `${field.name}(${(field.indexes || []).join(',')})` : '';
+            if (pageKey !== session.published.pageKey) {
+                session.published.pageKey = pageKey;
+                this._emitSessionEvent(session, 'page', { page: this._hideVerifyValues(session, page) });
+            }
+
+            const stopCode = typeof engine.getStopCode === 'function' ? engine.getStopCode() : 0;
+            const isSystemControlled = typeof engine.isSystemControlled === 'function' ? engine.isSystemControlled() : false;
+            if (stopCode !== session.published.stopCode || isSystemControlled !== session.published.isSystemControlled) {
+                session.published.stopCode = stopCode;
+                session.published.isSystemControlled = isSystemControlled;
+                this._emitSessionEvent(session, 'status', { stopCode, isSystemControlled, pathOn: true });
+            }
+        } catch (error) {
+            // No page before entry starts or after it stops
+        }
+    }
+
+    // ==================== SESSION LIFETIME ====================
+
+    /**
+     * Record client activity on a session, postponing its idle expiry
+     * @returns {object|null} { expiresAt, idleTimeoutMs } or null if the session is gone
+     */
+    touchSession(sessionId) {
+        const session = this.getSession(sessionId);
+        if (!session) {
+            return null;
+        }
+        session.lastActivityAt = Date.now();
+        session.expiryWarned = false;
+        return {
+            expiresAt: session.lastActivityAt + this.options.sessionIdleTimeoutMs,
+            idleTimeoutMs: this.options.sessionIdleTimeoutMs
+        };
+    }
+
+    /**
+     * Start periodically evicting idle sessions
+     */
+    startSessionReaper() {
+        if (this._reapTimer) {
+            return;
+        }
+        this._reapTimer = setInterval(() => {
+            this.reapIdleSessions().catch((error) => {
+                console.error('[CSProWasmService] Session reaper error:', error);
+            });
+        }, this.options.reapIntervalMs);
+        // Don't keep the process alive just for the reaper
+        this._reapTimer.unref();
+    }
+
+    /**
+     * Stop the idle session reaper
+     */
+    stopSessionReaper() {
+        clearInterval(this._reapTimer);
+        this._reapTimer = null;
+    }
+
+    /**
+     * Evict every session idle for longer than the idle timeout
+     * @returns {Promise<string[]>} IDs of the evicted sessions
+     */
+    async reapIdleSessions() {
+        const now = Date.now();
+        const expired = [...this.sessions.values()].filter(
+            (session) => now - session.lastActivityAt > this.options.sessionIdleTimeoutMs
+        );
+
+        // Warn subscribers a little before expiry, so a client whose heartbeat stalled can still save it
+        const warnAfterMs = this.options.sessionIdleTimeoutMs - Math.min(EXPIRY_WARNING_MS, this.options.sessionIdleTimeoutMs / 2);
+        for (const session of this.sessions.values()) {
+            if (!session.expiryWarned && !expired.includes(session) && now - session.lastActivityAt > warnAfterMs) {
+                session.expiryWarned = true;
+                this._emitSessionEvent(session, 'expiring', {
+                    expiresAt: session.lastActivityAt + this.options.sessionIdleTimeoutMs
+                });
+            }
+        }
+
+        for (const session of expired) {
+            await this._evictSession(session, 'idle');
+        }
+        return expired.map((session) => session.id);
+    }
+
+    /**
+     * Partial save a session's case and destroy the session
+     * Emits 'sessionReaped' with { sessionId, reason, idleMs, partialSaved, appDir } before the
+     * session's files are removed, so listeners can copy the partial save out of the WASM FS.
+     */
+    async _evictSession(session, reason) {
+        const idleMs = Date.now() - session.lastActivityAt;
+        console.log(`[CSProWasmService] Evicting session ${session.id} (${reason}, idle ${Math.round(idleMs / 1000)}s)`);
+
+        // An abandoned dialog is answered with its default so the engine call can unwind
+        await this._releaseEngineCall(session);
+
+        let partialSaved = false;
+        let snapshot = null;
+        if (this.options.snapshotOnEvict && session.applicationLoaded) {
+            try {
+                snapshot = await this.snapshotSession(session.id);
+                partialSaved = snapshot.partialSaved;
+            } catch (error) {
+                console.warn(`[CSProWasmService] Snapshot before eviction failed for ${session.id}:`, error);
+            }
+        }
+        if (!snapshot && session.entryStarted) {
+            try {
+                let result = session.engine.partialSave();
+                if (result?.then) result = await result;
+                partialSaved = result !== false;
+            } catch (error) {
+                console.warn(`[CSProWasmService] Partial save before eviction failed for ${session.id}:`, error);
+            }
+        }
+
+        try {
+            this.emit('sessionReaped', {
+                sessionId: session.id,
+                reason,
+                idleMs,
+                partialSaved,
+                appDir: session.appDir || null,
+                snapshot
+            });
+        } catch (error) {
+            console.error('[CSProWasmService] sessionReaped listener error:', error);
+        }
+
+        await this.destroySession(session.id);
+    }
+
+    /**
+     * Helper: Answer a pending dialog with its default and wait for the engine call to finish
+     */
+    async _releaseEngineCall(session) {
+        if (session.pendingDialog) {
+            const dialog = session.pendingDialog;
+            session.pendingDialog = null;
+            session.onDialogShown = null;
+            dialog.resolve(this._defaultDialogResult(dialog.dialogName));
+        }
+        if (session.engineCall) {
+            await session.engineCall.catch(() => {});
+        }
+    }
+
     /**
      * Load an application for a session (files provided via request)
      */
@@ -298,6 +693,9 @@ class CSProWasmService {
             
             session.applicationLoaded = result;
             session.appDir = appDir;
+            session.filesDir = appDir;
+            session.pffPath = pffPath;
+            session.language = null;
             
             return {
                 success: session.applicationLoaded,
@@ -337,6 +735,9 @@ class CSProWasmService {
             
             session.applicationLoaded = result;
             session.appDir = pffPath.substring(0, pffPath.lastIndexOf('/'));
+            session.filesDir = this._getEmbeddedFilesDir(sessionId);
+            session.pffPath = pffPath;
+            session.language = null;
             
             console.log(`[CSProWasmService] initApplication returned: ${result}`);
             
@@ -352,8 +753,13 @@ class CSProWasmService {
 
     /**
      * Start data entry for a session
+     * Modify and verify modes are applied through the PFF's StartMode/Key parameters,
+     * so the application is reloaded from a session copy of the PFF when they change.
+     * @param {string} mode - 'add', 'modify' or 'verify'
+     * @param {string} [key] - Case key to open (modify/verify)
+     * @param {string} [operatorId] - Operator credited in verification statistics (default: PFF OperatorID)
      */
-    async startEntry(sessionId, mode = 'add') {
+    async startEntry(sessionId, mode = 'add', key = null, operatorId = null) {
         const session = this.getSession(sessionId);
         if (!session) {
             throw new Error(`Session not found: ${sessionId}`);
@@ -363,89 +769,1267 @@ class CSProWasmService {
             throw new Error('Application not loaded');
         }
 
+        const startMode = START_MODES[String(mode).toLowerCase()];
+        if (!startMode) {
+            const error = new Error(`Unknown entry mode: ${mode}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (mode === 'verify' && (key === null || key === undefined)) {
+            const error = new Error('Verify mode needs the key of the case to verify');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        try {
+            const caseKey = key ?? null;
+            if (caseKey !== null || startMode !== 'Add' || session.startPffPath) {
+                await this._reloadWithStartParameters(session, startMode, caseKey);
+            }
+
+            // Use Embind CSProEngine.start()
+            // With JSPI, this is now marked async() and returns a Promise
+            const startResult = session.engine.start();
+            let result;
+            if (startResult && typeof startResult.then === 'function') {
+                console.log(`[CSProWasmService] start() returned a promise, awaiting...`);
+                result = await startResult;
+            } else {
+                result = startResult;
+            }
+            
+            session.entryStarted = result;
+            session.mode = mode;
+            session.caseKey = caseKey;
+            session.operatorId = operatorId
+                || this._getPffEntry(session, 'DataEntryInit', 'OperatorID')
+                || null;
+            session.verification = null;
+            session.insertBefore = null;
+            if (result && mode === 'verify') {
+                session.verification = { pending: null, keyed: new Set(), ...await this._getVerifiedCaseRow(session, caseKey) };
+                this._emitVerification(session, 'caseStarted', null);
+            }
+
+            // Starting a case can reload the application, which resets the language
+            if (result && session.language) {
+                await this._applyLanguage(session, session.language).catch((error) => {
+                    console.warn(`[CSProWasmService] Could not restore language ${session.language}:`, error.message);
+                });
+            }
+            
+            return {
+                success: session.entryStarted,
+                error: session.entryStarted ? null : 'Failed to start entry',
+                operatorId: session.operatorId,
+                language: session.language ?? null
+            };
+        } catch (error) {
+            console.error(`[CSProWasmService] startEntry error:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Helper: Stop any entry in progress and reload the application with StartMode/Key set
+     * A case key must exist in the data file.
+     */
+    async _reloadWithStartParameters(session, startMode, caseKey) {
+        if (caseKey !== null) {
+            const cases = await this.listCases(session.id);
+            if (!cases.some((entry) => entry.key === caseKey)) {
+                const error = new Error(`Case not found: ${caseKey}`);
+                error.statusCode = 404;
+                throw error;
+            }
+        }
+
+        if (session.entryStarted) {
+            session.engine.onStop();
+            session.entryStarted = false;
+        }
+
+        const FS = this.Module.FS;
+        const entries = { StartMode: startMode, Key: caseKey ?? '' };
+        const pffContent = setPffEntries(FS.readFile(session.pffPath, { encoding: 'utf8' }), 'DataEntryInit', entries);
+
+        // Same directory as the original so the PFF's relative paths still resolve
+        const startPffPath = `${path.posix.dirname(session.pffPath)}/.${session.id}.pff`;
+        FS.writeFile(startPffPath, pffContent);
+        session.startPffPath = startPffPath;
+
+        let loaded = session.engine.initApplication(startPffPath);
+        if (loaded?.then) loaded = await loaded;
+        if (!loaded) {
+            throw new Error(`Failed to reload application for ${startMode} mode`);
+        }
+        console.log(`[CSProWasmService] Reloaded ${session.id} with StartMode=${startMode}${caseKey !== null ? `, Key=${caseKey}` : ''}`);
+    }
+
+    // ==================== VERIFY MODE ====================
+    // Double keying: each value keyed in verify mode is compared with the stored value.
+    // A mismatch is re-keyed; keying the stored value again was a verifier keying error,
+    // keying the same new value twice means the original was wrong and is replaced.
+
+    /**
+     * Helper: Check a value keyed in verify mode against the current field's stored value
+     * @returns {Promise<object|null>} A verifyMismatch response, or null if the value may be entered
+     */
+    async _verifyKeyedValue(session, keyedValue) {
+        let page = session.engine.getCurrentPage();
+        if (page?.then) page = await page;
+        const field = page?.fields?.[page.currentFieldIndex ?? 0];
+        if (!field) {
+            return null;
+        }
+
+        const fieldKey = `${field.name}(${(field.indexes || []).join(',')})`;
+        const stored = this._getStoredFieldValue(field);
+        const pending = session.verification.pending?.fieldKey === fieldKey ? session.verification.pending : null;
+
+        if (this._valuesMatch(keyedValue, stored)) {
+            session.verification.pending = null;
+            session.verification.keyed.add(fieldKey);
+            this._emitVerification(session, pending ? 'keyingError' : 'match', field);
+            return null;
+        }
+
+        if (pending && this._valuesMatch(keyedValue, pending.value)) {
+            session.verification.pending = null;
+            session.verification.keyed.add(fieldKey);
+            this._emitVerification(session, 'originalError', field);
+            return null;
+        }
+
+        const attempt = pending ? pending.attempt + 1 : 1;
+        session.verification.pending = { fieldKey, value: keyedValue, attempt };
+        return {
+            success: true,
+            verifyMismatch: {
+                field: field.name,
+                indexes: field.indexes || [],
+                attempt,
+                message: attempt === 1
+                    ? `${field.name}: value does not match the original. Re-enter the value.`
+                    : `${field.name}: value does not match the original or your previous entry. Re-enter the value.`
+            },
+            page: this._hideVerifyValues(session, page),
+            dialogs: []
+        };
+    }
+
+    /**
+     * Helper: Data file row of the case being verified, to tell when verify mode has written it
+     * @returns {Promise<object>} { dataPath, caseId, revision }, or {} if the case can't be found
+     */
+    async _getVerifiedCaseRow(session, caseKey) {
+        const dataPath = this._getDataFilePath(session);
+        if (!dataPath) {
+            return {};
+        }
+        const [row] = await this._querySqlite(session, dataPath,
+            `SELECT id, last_modified_revision FROM cases WHERE key = ${this._sqlString(caseKey)} AND deleted = 0`);
+        if (!row) {
+            return {};
+        }
+        const [caseId, revision] = Array.isArray(row) ? row : [row.id, row.last_modified_revision];
+        return { dataPath, caseId, revision };
+    }
+
+    /**
+     * Helper: Set the verified flag once verify mode has written the case
+     * Writing the case changes its row's revision; a partial save leaves it partial, so it isn't verified yet.
+     * Runs after every state-changing engine call while verifying.
+     */
+    async _markVerifiedCase(sessionId) {
+        const session = this.getSession(sessionId);
+        const verification = session?.verification;
+        if (!verification?.caseId || verification.verified || verification.checking) {
+            return;
+        }
+
+        // The queries below are engine calls too
+        verification.checking = true;
+        try {
+            const caseId = this._sqlString(verification.caseId);
+            const [row] = await this._querySqlite(session, verification.dataPath,
+                `SELECT last_modified_revision, partial_save_mode FROM cases WHERE id = ${caseId}`);
+            if (!row) {
+                return;
+            }
+            const [revision, partialSaveMode] = Array.isArray(row) ? row : [row.last_modified_revision, row.partial_save_mode];
+            if (revision === verification.revision || partialSaveMode) {
+                return;
+            }
+            await this._querySqlite(session, verification.dataPath,
+                `UPDATE cases SET verified = 1 WHERE id = ${caseId}`, 'readWrite');
+            verification.verified = true;
+            console.log(`[CSProWasmService] Case ${session.caseKey} verified in ${session.id}`);
+        } catch (error) {
+            console.error(`[CSProWasmService] Failed to mark case ${session.caseKey} verified:`, error);
+        } finally {
+            verification.checking = false;
+        }
+    }
+
+    /**
+     * Helper: Stored value of a page field as a string
+     * Numeric fields can report an empty alphaValue next to their numericValue.
+     */
+    _getStoredFieldValue(field) {
+        if (field.alphaValue !== undefined && field.alphaValue !== null && field.alphaValue !== '') {
+            return String(field.alphaValue);
+        }
+        return field.numericValue !== undefined && field.numericValue !== null ? String(field.numericValue) : '';
+    }
+
+    /**
+     * Helper: Compare keyed and stored values - numerically when both are numbers, else ignoring trailing blanks
+     */
+    _valuesMatch(a, b) {
+        const left = String(a ?? '').trimEnd();
+        const right = String(b ?? '').trimEnd();
+        if (left.trim() !== '' && right.trim() !== '' && !isNaN(left) && !isNaN(right)) {
+            return Number(left) === Number(right);
+        }
+        return left === right;
+    }
+
+    /**
+     * Helper: Copy of a page with the stored values hidden from the verifier
+     * Fields already keyed in verify mode keep their values; all of them are shown outside verify mode.
+     */
+    _hideVerifyValues(session, page) {
+        if (!session?.verification || !Array.isArray(page?.fields)) {
+            return page;
+        }
+        const keyed = session.verification.keyed;
+        return {
+            ...page,
+            fields: page.fields.map((field) => keyed.has(`${field.name}(${(field.indexes || []).join(',')})`)
+                ? field
+                : { ...field, alphaValue: '', numericValue: null })
+        };
+    }
+
+    /**
+     * Helper: Copy of a case tree with the stored values of fields not yet keyed in verify mode blanked
+     */
+    _hideVerifyTreeValues(session, node) {
+        if (!session?.verification || !node || typeof node !== 'object') {
+            return node;
+        }
+        if (Array.isArray(node)) {
+            return node.map((child) => this._hideVerifyTreeValues(session, child));
+        }
+        const copy = { ...node };
+        if (Array.isArray(node.children)) {
+            copy.children = node.children.map((child) => this._hideVerifyTreeValues(session, child));
+        }
+        if (node.value !== undefined && !session.verification.keyed.has(`${node.name}(${(node.indexes || []).join(',')})`)) {
+            copy.value = '';
+        }
+        return copy;
+    }
+
+    /**
+     * Helper: Report a verification outcome for the operator's statistics
+     */
+    _emitVerification(session, outcome, field) {
+        try {
+            this.emit('verification', {
+                sessionId: session.id,
+                operatorId: session.operatorId,
+                caseKey: session.caseKey,
+                outcome,
+                field: field ? { name: field.name, indexes: field.indexes || [] } : null,
+                timestamp: Date.now()
+            });
+        } catch (error) {
+            console.error('[CSProWasmService] verification listener error:', error);
+        }
+    }
+
+    // ==================== CASE LISTING ====================
+
+    /**
+     * List the cases in the session's data file (the PFF's InputData)
+     * Read through the engine's Action Invoker SQLite support, as CSEntry's case listing would.
+     * @param {boolean} [deleted] - List the deleted cases (for undelete) instead
+     * @returns {Promise<Array>} [{ uuid, key, label, status: 'partial'|'complete', partialSaveMode, partialSaveField, verified, deleted }]
+     */
+    async listCases(sessionId, deleted = false) {
+        const session = this._getLoadedSession(sessionId);
+        const dataPath = this._getDataFilePath(session);
+        if (!dataPath) {
+            return [];
+        }
+
+        const rows = await this._querySqlite(session, dataPath,
+            'SELECT id, key, label, verified, partial_save_mode, partial_save_field_name ' +
+            `FROM cases WHERE deleted = ${deleted ? 1 : 0} ORDER BY file_order`);
+
+        return rows.map((row) => this._mapCaseRow(row, deleted));
+    }
+
+    /**
+     * Helper: Case listing entry from a cases row (id, key, label, verified, partial_save_mode, partial_save_field_name)
+     */
+    _mapCaseRow(row, deleted = false) {
+        // Rows come back as objects, or as arrays in column order
+        const [uuid, key, label, verified, partialSaveMode, partialSaveField] = Array.isArray(row)
+            ? row
+            : [row.id, row.key, row.label, row.verified, row.partial_save_mode, row.partial_save_field_name];
+        return {
+            uuid,
+            key,
+            label: label || '',
+            status: partialSaveMode ? 'partial' : 'complete',
+            partialSaveMode: partialSaveMode || null,
+            partialSaveField: partialSaveField || null,
+            verified: !!verified,
+            deleted
+        };
+    }
+
+    /**
+     * Helper: Session with an application loaded
+     */
+    _getLoadedSession(sessionId) {
+        const session = this.getSession(sessionId);
+        if (!session) {
+            throw new Error(`Session not found: ${sessionId}`);
+        }
+        if (!session.applicationLoaded) {
+            throw new Error('Application not loaded');
+        }
+        return session;
+    }
+
+    /**
+     * Helper: WASM FS path of the session's data file, or null if it has no cases yet
+     */
+    _getDataFilePath(session) {
+        const FS = this.Module.FS;
+        const inputData = this._readPff(FS, session.pffPath).files?.InputData;
+        if (!inputData) {
+            return null;
+        }
+        const dataPath = this._resolvePffPath(session.pffPath, inputData);
+        try {
+            FS.stat(dataPath);
+        } catch (e) {
+            // No cases have been saved yet
+            return null;
+        }
+        return dataPath;
+    }
+
+    /**
+     * Helper: Run a query against a SQLite file in the WASM FS (read-only unless openFlags says otherwise)
+     */
+    async _querySqlite(session, dbPath, sql, openFlags = 'readOnly') {
+        const db = await this._processAction(session, 'Sqlite.open', { path: dbPath, openFlags });
+        try {
+            return await this._processAction(session, 'Sqlite.exec', { db, sql });
+        } finally {
+            await this._processAction(session, 'Sqlite.close', { db }).catch(() => {});
+        }
+    }
+
+    /**
+     * Helper: Run an Action Invoker action on a session's engine and parse its result
+     */
+    async _processAction(session, actionName, args) {
+        let resultJson = session.engine.processAction(actionName, JSON.stringify(args));
+        if (resultJson?.then) resultJson = await resultJson;
+
+        let result;
+        try {
+            result = JSON.parse(resultJson);
+        } catch (e) {
+            result = resultJson;
+        }
+        if (result && typeof result === 'object' && result.type === 'exception') {
+            throw new Error(`${actionName}: ${result.message || result.value || 'action failed'}`);
+        }
+        return result?.value !== undefined ? result.value : result;
+    }
+
+    // ==================== CASE SEARCH ====================
+    // Find Case. A CSPro DB data file keeps each record in its own table with a column per item
+    // (id items in the `level-N` tables), so any item can be searched with SQL.
+
+    /**
+     * Dictionary items the session's data file can be searched by
+     * @returns {Promise<Array>} [{ name, label, record, level, contentType }] - record is null for id items
+     */
+    async getSearchableItems(sessionId) {
+        const session = this._getLoadedSession(sessionId);
+        const dataPath = this._getDataFilePath(session);
+        if (!dataPath) {
+            return [];
+        }
+        const items = await this._getDataItems(session, dataPath);
+        return items.map(({ name, label, record, level, contentType }) => ({ name, label, record, level, contentType }));
+    }
+
+    /**
+     * Search the session's data file (deleted cases are not searched)
+     * @param {object} query - One of: { caseId } key or uuid, { keyPrefix }, { item, value } item value
+     * @returns {Promise<Array>} Matching cases, as listCases returns them
+     */
+    async searchCases(sessionId, query = {}) {
+        const session = this._getLoadedSession(sessionId);
+        const { caseId, keyPrefix, item, value } = query;
+
+        let joins = '';
+        let condition;
+        if (caseId !== undefined && caseId !== null && caseId !== '') {
+            condition = `(c.key = ${this._sqlString(caseId)} OR c.id = ${this._sqlString(caseId)})`;
+        } else if (keyPrefix !== undefined && keyPrefix !== null && keyPrefix !== '') {
+            const pattern = String(keyPrefix).replace(/[\\%_]/g, (ch) => `\\${ch}`);
+            condition = `c.key LIKE ${this._sqlString(`${pattern}%`)} ESCAPE '\\'`;
+        } else if (item) {
+            ({ joins, condition } = await this._buildItemCondition(session, item, value));
+        } else {
+            const error = new Error('Search needs a caseId, keyPrefix or item');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const dataPath = this._getDataFilePath(session);
+        if (!dataPath) {
+            return [];
+        }
+
+        const rows = await this._querySqlite(session, dataPath,
+            'SELECT DISTINCT c.id, c.key, c.label, c.verified, c.partial_save_mode, c.partial_save_field_name, c.file_order ' +
+            `FROM cases c ${joins} WHERE c.deleted = 0 AND ${condition} ORDER BY c.file_order LIMIT ${CASE_SEARCH_LIMIT}`);
+        return rows.map((row) => this._mapCaseRow(row));
+    }
+
+    /**
+     * Helper: Joins from cases to an item's table and the condition matching its value
+     */
+    async _buildItemCondition(session, itemName, value) {
+        const dataPath = this._getDataFilePath(session);
+        const items = dataPath ? await this._getDataItems(session, dataPath) : [];
+        const item = items.find((entry) => entry.name.toUpperCase() === String(itemName).toUpperCase());
+        if (!item) {
+            const error = new Error(`Item not found in the data file: ${itemName}`);
+            error.statusCode = 404;
+            throw error;
+        }
+
+        // Each level table points to its parent level; records point to their level
+        let joins = 'JOIN `level-1` l1 ON l1.`case-id` = c.id';
+        for (let level = 2; level <= item.level; level++) {
+            joins += ` JOIN \`level-${level}\` l${level} ON l${level}.\`level-${level - 1}-id\` = l${level - 1}.\`level-${level - 1}-id\``;
+        }
+        let column = `l${item.level}.\`${item.column}\``;
+        if (item.record) {
+            joins += ` JOIN \`${item.table}\` r ON r.\`level-${item.level}-id\` = l${item.level}.\`level-${item.level}-id\``;
+            column = `r.\`${item.column}\``;
+        }
+
+        const text = String(value ?? '');
+        if (item.contentType !== 'alpha') {
+            if (text.trim() === '' || isNaN(text)) {
+                const error = new Error(`${item.name} is numeric: ${text === '' ? 'a value is required' : `invalid value ${text}`}`);
+                error.statusCode = 400;
+                throw error;
+            }
+            return { joins, condition: `${column} = ${Number(text)}` };
+        }
+        return { joins, condition: `RTRIM(${column}) = ${this._sqlString(text.trimEnd())}` };
+    }
+
+    /**
+     * Helper: Items of the data file's dictionary (stored in its meta table) that have a column
+     */
+    async _getDataItems(session, dataPath) {
+        const [meta] = await this._querySqlite(session, dataPath, 'SELECT dictionary FROM meta');
+        const dictionary = JSON.parse(Array.isArray(meta) ? meta[0] : meta.dictionary);
+
+        const tables = await this._querySqlite(session, dataPath, "SELECT name, sql FROM sqlite_master WHERE type = 'table'");
+        const columns = new Map(tables.map((row) => {
+            const [name, sql] = Array.isArray(row) ? row : [row.name, row.sql];
+            return [name, new Set([...String(sql).matchAll(/`([^`]+)`\s+(?:INTEGER|TEXT|REAL)/g)].map((match) => match[1]))];
+        }));
+
+        const items = [];
+        forEachDictionaryItem(dictionary, (item, level, record) => {
+            const table = record ? record.name.toLowerCase() : `level-${level}`;
+            const column = item.name.toLowerCase();
+            if (!columns.get(table)?.has(column)) return;
+            items.push({
+                name: item.name,
+                label: item.labels?.[0]?.text || item.name,
+                record: record?.name ?? null,
+                level,
+                contentType: item.contentType || 'numeric',
+                table,
+                column
+            });
+        });
+        return items;
+    }
+
+    // ==================== CASE MERGE ====================
+    // Cases entered offline in client-side WASM mode are uploaded one completed case at a time, as
+    // their rows in the device's data file (see offline-storage.js readCaseRows), and merged into the
+    // application's data file here. Level ids are integer keys local to a file, so they are renumbered.
+
+    /**
+     * Merge uploaded cases into the session's data file, replacing earlier copies of the same cases (by uuid)
+     * The data file is created, by starting and stopping entry, if the application has none yet.
+     * @param {Array} cases - [{ case: row, tables: { tableName: [row] } }], rows keyed by column name
+     * @returns {Promise<object>} { merged, dataFile, data } - dataFile relative to the application directory,
+     *          data its merged contents (base64)
+     */
+    async mergeCases(sessionId, cases) {
+        const session = this._getLoadedSession(sessionId);
+        let dataPath = this._getDataFilePath(session);
+        if (!dataPath) {
+            await this.startEntry(sessionId, 'add');
+            await this.stopEntry(sessionId, false);
+            dataPath = this._getDataFilePath(session);
+        }
+        if (!dataPath) {
+            throw new Error('The application has no data file to merge cases into');
+        }
+
+        const db = await this._processAction(session, 'Sqlite.open', { path: dataPath, openFlags: 'readWrite' });
+        const exec = (sql) => this._processAction(session, 'Sqlite.exec', { db, sql });
+        try {
+            const tables = await this._getTableColumns(exec);
+            await exec('BEGIN');
+            try {
+                for (const uploaded of cases) {
+                    await this._mergeCase(exec, tables, uploaded);
+                }
+                await exec('COMMIT');
+            } catch (error) {
+                await exec('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        } finally {
+            await this._processAction(session, 'Sqlite.close', { db }).catch(() => {});
+        }
+
+        console.log(`[CSProWasmService] Merged ${cases.length} case(s) into ${dataPath}`);
+        return {
+            merged: cases.length,
+            dataFile: path.posix.relative(session.appDir, dataPath),
+            data: Buffer.from(this.Module.FS.readFile(dataPath)).toString('base64')
+        };
+    }
+
+    /**
+     * Helper: Columns of each table in an open data file
+     * @returns {Promise<Map>} table -> { columns: Set, primaryKey } (primaryKey is null unless a single column)
+     */
+    async _getTableColumns(exec) {
+        const tables = new Map();
+        for (const row of await exec("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'")) {
+            const name = Array.isArray(row) ? row[0] : row.name;
+            const info = (await exec(`PRAGMA table_info(${this._sqlName(name)})`))
+                .map((column) => Array.isArray(column) ? { name: column[1], pk: column[5] } : column);
+            const keys = info.filter((column) => column.pk);
+            tables.set(name, {
+                columns: new Set(info.map((column) => column.name)),
+                primaryKey: keys.length === 1 ? keys[0].name : null
+            });
+        }
+        return tables;
+    }
+
+    /**
+     * Helper: Replace one case's rows with the uploaded ones
+     */
+    async _mergeCase(exec, tables, { case: caseRow, tables: uploadedTables = {} }) {
+        if (!caseRow?.id || !tables.has('cases')) {
+            const error = new Error('An uploaded case needs its cases row');
+            error.statusCode = 400;
+            throw error;
+        }
+        const caseId = this._sqlString(caseRow.id);
+        const levelCount = [...tables.keys()].filter((name) => /^level-\d+$/.test(name)).length;
+        const isRecordTable = (name, level) => !/^level-\d+$/.test(name) && tables.get(name).columns.has(`level-${level}-id`);
+        const caseColumn = (name) => ['case-id', 'case_id'].find((column) => tables.get(name).columns.has(column));
+
+        // The case keeps its place in the file if it was uploaded before
+        const [existing] = await exec(`SELECT file_order FROM cases WHERE id = ${caseId}`);
+        const [last] = await exec('SELECT MAX(file_order), MAX(last_modified_revision) FROM cases');
+        const [maxFileOrder, maxRevision] = Array.isArray(last) ? last : Object.values(last || {});
+
+        // Remove the earlier copy: records and levels top down, then rows pointing to the case
+        let parentIds = null;
+        for (let level = 1; level <= levelCount; level++) {
+            const where = level === 1
+                ? `\`case-id\` = ${caseId}`
+                : `\`level-${level - 1}-id\` IN (${parentIds.join(', ') || 'NULL'})`;
+            const rows = await exec(`SELECT \`level-${level}-id\` FROM \`level-${level}\` WHERE ${where}`);
+            const ids = rows.map((row) => Number(Array.isArray(row) ? row[0] : row[`level-${level}-id`]));
+            for (const name of tables.keys()) {
+                if (isRecordTable(name, level)) {
+                    await exec(`DELETE FROM ${this._sqlName(name)} WHERE \`level-${level}-id\` IN (${ids.join(', ') || 'NULL'})`);
+                }
+            }
+            await exec(`DELETE FROM \`level-${level}\` WHERE ${where}`);
+            parentIds = ids;
+        }
+        for (const name of tables.keys()) {
+            const column = caseColumn(name);
+            if (name !== 'cases' && column) {
+                await exec(`DELETE FROM ${this._sqlName(name)} WHERE ${this._sqlName(column)} = ${caseId}`);
+            }
+        }
+        await exec(`DELETE FROM cases WHERE id = ${caseId}`);
+
+        const insert = async (name, row) => {
+            const { columns, primaryKey } = tables.get(name);
+            const names = Object.keys(row).filter((column) => columns.has(column) && (name === 'cases' || column !== primaryKey));
+            await exec(`INSERT INTO ${this._sqlName(name)} (${names.map((column) => this._sqlName(column)).join(', ')}) ` +
+                `VALUES (${names.map((column) => this._sqlValue(row[column])).join(', ')})`);
+        };
+
+        // Revisions are local to a file: the merged case takes the file's latest one
+        await insert('cases', {
+            ...caseRow,
+            file_order: (Array.isArray(existing) ? existing[0] : existing?.file_order) ?? (Number(maxFileOrder) || 0) + 1,
+            last_modified_revision: maxRevision ?? caseRow.last_modified_revision
+        });
+
+        // Levels get new ids here; their children and records follow them
+        const newIds = new Map(); // `${level}:${uploaded id}` -> id in this file
+        const merged = new Set(['cases']);
+        for (let level = 1; level <= levelCount; level++) {
+            const idColumn = `level-${level}-id`;
+            for (const row of uploadedTables[`level-${level}`] || []) {
+                const parent = level === 1
+                    ? { 'case-id': caseRow.id }
+                    : { [`level-${level - 1}-id`]: newIds.get(`${level - 1}:${row[`level-${level - 1}-id`]}`) };
+                await insert(`level-${level}`, { ...row, ...parent });
+                const [inserted] = await exec('SELECT last_insert_rowid()');
+                newIds.set(`${level}:${row[idColumn]}`, Number(Array.isArray(inserted) ? inserted[0] : Object.values(inserted)[0]));
+            }
+            for (const name of tables.keys()) {
+                if (!isRecordTable(name, level)) continue;
+                merged.add(name);
+                for (const row of uploadedTables[name] || []) {
+                    await insert(name, { ...row, [idColumn]: newIds.get(`${level}:${row[idColumn]}`) });
+                }
+            }
+        }
+        for (const name of tables.keys()) {
+            const column = caseColumn(name);
+            if (merged.has(name) || !column || /^level-\d+$/.test(name)) continue;
+            for (const row of uploadedTables[name] || []) {
+                await insert(name, { ...row, [column]: caseRow.id });
+            }
+        }
+    }
+
+    /**
+     * Helper: SQL identifier
+     */
+    _sqlName(name) {
+        return `\`${String(name).replace(/`/g, '``')}\``;
+    }
+
+    /**
+     * Helper: SQL literal for a value read from a data file row
+     */
+    _sqlValue(value) {
+        if (value === null || value === undefined) {
+            return 'NULL';
+        }
+        return typeof value === 'number' || typeof value === 'boolean' ? String(Number(value)) : this._sqlString(value);
+    }
+
+    // ==================== DICTIONARY ====================
+    // Item metadata for the names/labels display and the case tree's detail mode.
+
+    /**
+     * Items of the dictionary the engine has loaded, labeled in the session's language
+     * @returns {Promise<object>} { name, label, items: [{ name, label, record, level, contentType, length, decimals, valueSet, capture }] }
+     *   record is null for id items, valueSet is the name of the item's first value set, capture its capture info
+     */
+    async getDictionaryItems(sessionId) {
+        const session = this._getLoadedSession(sessionId);
+        const dictionary = await this._getDictionary(session);
+        if (!dictionary) {
+            return { name: null, label: null, items: [] };
+        }
+
+        return listDictionaryItems(dictionary, session.language);
+    }
+
+    /**
+     * Helper: The main dictionary's JSON specification, from the engine or else the data file's copy
+     */
+    async _getDictionary(session) {
+        if (session.dictionary?.pffPath === session.pffPath) {
+            return session.dictionary.spec;
+        }
+
+        let spec = null;
+        try {
+            const result = await this._processAction(session, 'Dictionary.getDictionary', {});
+            spec = typeof result === 'string' ? JSON.parse(result) : result;
+        } catch (error) {
+            console.log(`[CSProWasmService] Dictionary.getDictionary unavailable (${error.message}), reading the data file`);
+        }
+
+        if (!spec?.levels) {
+            const dataPath = this._getDataFilePath(session);
+            if (!dataPath) {
+                return null;
+            }
+            const [meta] = await this._querySqlite(session, dataPath, 'SELECT dictionary FROM meta');
+            spec = JSON.parse(Array.isArray(meta) ? meta[0] : meta.dictionary);
+        }
+
+        session.dictionary = { pffPath: session.pffPath, spec };
+        return spec;
+    }
+
+    // ==================== LANGUAGE ====================
+    // Change Language. The engine switches with setlanguage(), after which question text,
+    // form labels and value set labels come back in the new language.
+
+    /**
+     * Languages the application defines and the one in use
+     * @returns {Promise<object>} { current, languages: [{ name, label }] }
+     */
+    async getLanguages(sessionId) {
+        const session = this._getLoadedSession(sessionId);
+        const current = String(await this._processAction(session, 'Logic.eval', { logic: 'getlanguage()' }) ?? '');
+
+        const dictionary = await this._getDictionary(session).catch(() => null);
+        const languages = (dictionary?.languages || []).map(({ name, label }) => ({ name, label: label || name }));
+        if (current && !languages.some((language) => language.name.toUpperCase() === current.toUpperCase())) {
+            languages.unshift({ name: current, label: current });
+        }
+        return { current, languages };
+    }
+
+    /**
+     * Switch the engine's language; it is kept for the rest of the session
+     * @returns {Promise<object>} { success, language, remembered, page } - remembered if the session has an
+     *          operator to remember it for; 400 if the application has no such language
+     */
+    async setLanguage(sessionId, language) {
+        const session = this._getLoadedSession(sessionId);
+        if (!language) {
+            const error = new Error('A language name is required');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const current = await this._applyLanguage(session, language);
+        session.language = current;
+        try {
+            this.emit('languageChanged', { sessionId, operatorId: session.operatorId, language: current });
+        } catch (error) {
+            console.error('[CSProWasmService] languageChanged listener error:', error);
+        }
+
+        const page = session.entryStarted ? await this.getCurrentPage(sessionId) : null;
+        return { success: true, language: current, remembered: Boolean(session.operatorId), page };
+    }
+
+    /**
+     * Helper: setlanguage() and check the engine took it
+     */
+    async _applyLanguage(session, language) {
+        const name = String(language).replace(/"/g, '');
+        await this._processAction(session, 'Logic.eval', { logic: `setlanguage("${name}")` });
+        const current = String(await this._processAction(session, 'Logic.eval', { logic: 'getlanguage()' }) ?? '');
+        if (current.toUpperCase() !== name.toUpperCase()) {
+            const error = new Error(`Language not defined in the application: ${language}`);
+            error.statusCode = 400;
+            throw error;
+        }
+        return current;
+    }
+
+    // ==================== CASE EDITING ====================
+    // Edit menu case operations, written to the data file like CSEntry's case listing does.
+    // Deleted cases are only marked (cases.deleted), so they can be undeleted.
+
+    /**
+     * Mark a case as deleted
+     * @param {string} key - Case key (see listCases)
+     */
+    async deleteCase(sessionId, key) {
+        const session = this._getLoadedSession(sessionId);
+        this._assertNotLocked(session, 'Delete');
+        if (session.entryStarted && session.caseKey === key) {
+            const error = new Error(`Case ${key} is open in entry - stop entry before deleting it`);
+            error.statusCode = 409;
+            throw error;
+        }
+        return this._setCaseDeleted(session, key, true);
+    }
+
+    /**
+     * Recover a case marked as deleted
+     */
+    async undeleteCase(sessionId, key) {
+        const session = this._getLoadedSession(sessionId);
+        this._assertNotLocked(session, 'Delete');
+        return this._setCaseDeleted(session, key, false);
+    }
+
+    /**
+     * Start adding a case that goes before an existing case in the data file
+     * The engine appends the new case; it is moved into place once it has been written.
+     * @param {string} beforeKey - Key of the case the new case is inserted before
+     */
+    async insertCase(sessionId, beforeKey) {
+        const session = this._getLoadedSession(sessionId);
+        this._assertNotLocked(session, 'Add');
+
+        const dataPath = this._getDataFilePath(session);
+        const rows = dataPath
+            ? await this._querySqlite(session, dataPath, 'SELECT key, file_order FROM cases ORDER BY file_order')
+            : [];
+        const orders = rows.map((row) => Array.isArray(row) ? { key: row[0], fileOrder: row[1] } : { key: row.key, fileOrder: row.file_order });
+        const position = orders.findIndex((entry) => entry.key === beforeKey);
+        if (position < 0) {
+            const error = new Error(`Case not found: ${beforeKey}`);
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const result = await this.startEntry(sessionId, 'add');
+        if (result.success) {
+            session.insertBefore = {
+                dataPath,
+                key: beforeKey,
+                fileOrder: orders[position].fileOrder,
+                previousFileOrder: position > 0 ? orders[position - 1].fileOrder : null,
+                lastFileOrder: orders[orders.length - 1].fileOrder
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Helper: Once an inserted case has been written (appended after lastFileOrder), move it before its case
+     * Runs after every state-changing engine call while an insert is pending.
+     */
+    async _placeInsertedCase(sessionId) {
+        const session = this.getSession(sessionId);
+        const insert = session?.insertBefore;
+        if (!insert || insert.placing) {
+            return;
+        }
+
+        // The queries below are engine calls too
+        insert.placing = true;
+        try {
+            const rows = await this._querySqlite(session, insert.dataPath,
+                `SELECT id FROM cases WHERE file_order > ${Number(insert.lastFileOrder)} ORDER BY file_order LIMIT 1`);
+            if (rows.length === 0) {
+                return;
+            }
+            const id = Array.isArray(rows[0]) ? rows[0][0] : rows[0].id;
+            const fileOrder = insert.previousFileOrder !== null
+                ? (Number(insert.previousFileOrder) + Number(insert.fileOrder)) / 2
+                : Number(insert.fileOrder) - 1;
+            await this._querySqlite(session, insert.dataPath,
+                `UPDATE cases SET file_order = ${fileOrder} WHERE id = ${this._sqlString(id)}`, 'readWrite');
+            session.insertBefore = null;
+            console.log(`[CSProWasmService] Inserted case ${id} before ${insert.key}`);
+        } catch (error) {
+            console.error(`[CSProWasmService] Failed to place inserted case before ${insert.key}:`, error);
+        } finally {
+            insert.placing = false;
+        }
+    }
+
+    /**
+     * Helper: Set a case's deleted flag
+     */
+    async _setCaseDeleted(session, key, deleted) {
+        const cases = await this.listCases(session.id, !deleted);
+        if (!cases.some((entry) => entry.key === key)) {
+            const error = new Error(deleted ? `Case not found: ${key}` : `Deleted case not found: ${key}`);
+            error.statusCode = 404;
+            throw error;
+        }
+
+        await this._querySqlite(session, this._getDataFilePath(session),
+            `UPDATE cases SET deleted = ${deleted ? 1 : 0} WHERE key = ${this._sqlString(key)} AND deleted = ${deleted ? 0 : 1}`,
+            'readWrite');
+        console.log(`[CSProWasmService] ${deleted ? 'Deleted' : 'Undeleted'} case ${key} in ${session.id}`);
+        return { success: true, key, deleted };
+    }
+
+    /**
+     * Helper: SQL string literal
+     */
+    _sqlString(value) {
+        return `'${String(value).replace(/'/g, "''")}'`;
+    }
+
+    /**
+     * Get current page state
+     */
+    async getCurrentPage(sessionId) {
+        const session = this.getSession(sessionId);
+        if (!session || !session.entryStarted) {
+            throw new Error('Entry not started');
+        }
+
+        this._assertNoPendingDialog(session);
+
+        try {
+            // Use Embind CSProEngine.getCurrentPage() - returns JS object directly
+            let page = session.engine.getCurrentPage();
+            if (page?.then) page = await page;
+            return this._hideVerifyValues(session, page);
+        } catch (error) {
+            console.error(`[CSProWasmService] getCurrentPage error:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get and clear a session's pending dialogs (dialogs that were auto-acknowledged)
+     * @param {string} sessionId - The session ID
+     * @returns {Array} Array of dialog info objects
+     */
+    getAndClearPendingDialogs(sessionId) {
+        const session = this.getSession(sessionId);
+        if (!session) {
+            return [];
+        }
+        const dialogs = session.dialogs;
+        session.dialogs = [];
+        return dialogs;
+    }
+
+    /**
+     * Get and clear everything queued for a session since its client last read it
+     * @param {string} sessionId - The session ID
+     * @returns {{dialogs: Array, output: Array, warnings: Array}}
+     */
+    getAndClearSessionMessages(sessionId) {
+        const session = this.getSession(sessionId);
+        if (!session) {
+            throw new Error(`Session not found: ${sessionId}`);
+        }
+        const messages = {
+            dialogs: session.dialogs,
+            output: session.output,
+            warnings: session.warnings
+        };
+        session.dialogs = [];
+        session.output = [];
+        session.warnings = [];
+        return messages;
+    }
+
+    /**
+     * Helper: Add to one of a session's unread message queues, dropping the oldest past SESSION_MESSAGE_LIMIT
+     */
+    _queueSessionMessage(queue, message) {
+        queue.push(message);
+        if (queue.length > SESSION_MESSAGE_LIMIT) {
+            queue.splice(0, queue.length - SESSION_MESSAGE_LIMIT);
+        }
+    }
+
+    // ==================== INTERACTIVE DIALOGS ====================
+
+    /**
+     * Run an engine call for a session, returning early if logic shows a dialog.
+     * The suspended call stays in flight and is resumed by respondToDialog().
+     * @param {object} session - The session
+     * @param {Function} operation - Async function performing the engine call and building the response
+     * @returns {Promise<object>} The operation's response, or { success, pendingDialog }
+     */
+    async _runEngineCall(session, operation) {
+        this._assertNoPendingDialog(session);
+
+        return this._awaitEngineCall(session, () => {
+            // Deferred so the dialog listener is in place before the engine runs
+            session.engineCall = Promise.resolve().then(operation);
+        });
+    }
+
+    /**
+     * Helper: Throw a 409 with the pending dialog while the engine is suspended on one
+     * Nothing else may call into the engine until the dialog is answered.
+     */
+    _assertNoPendingDialog(session) {
+        if (session.pendingDialog) {
+            const error = new Error(`Dialog ${session.pendingDialog.id} is waiting for a response`);
+            error.statusCode = 409;
+            error.pendingDialog = this._describeDialog(session.pendingDialog);
+            throw error;
+        }
+    }
+
+    /**
+     * Wait for the session's engine call to either finish or suspend on a dialog
+     * @param {object} session - The session
+     * @param {Function} resume - Starts or resumes the engine call
+     */
+    async _awaitEngineCall(session, resume) {
+        const dialogShown = new Promise((resolve) => {
+            session.onDialogShown = resolve;
+        });
+
+        resume();
+
+        const outcome = await Promise.race([
+            session.engineCall.then(
+                (response) => ({ response }),
+                (error) => ({ error })
+            ),
+            dialogShown.then((dialog) => ({ dialog }))
+        ]);
+
+        session.onDialogShown = null;
+
+        if (outcome.dialog) {
+            console.log(`[CSProWasmService] Engine waiting on ${outcome.dialog.dialogName} dialog: ${outcome.dialog.id}`);
+            return { success: true, pendingDialog: outcome.dialog };
+        }
+
+        session.engineCall = null;
+        if (outcome.error) {
+            throw outcome.error;
+        }
+        const response = outcome.response;
+        if (session.verification && response?.page) {
+            return { ...response, page: this._hideVerifyValues(session, response.page) };
+        }
+        return response;
+    }
+
+    /**
+     * Answer the dialog the session's engine is waiting on and resume the engine
+     * @param {string} sessionId - The session ID
+     * @param {string} dialogId - ID of the pending dialog
+     * @param {object|string} result - Dialog result (e.g. { index: 2 } or { rowIndices: [0] })
+     * @returns {Promise<object>} Response of the resumed call, or the next pending dialog
+     */
+    async respondToDialog(sessionId, dialogId, result) {
+        const session = this.getSession(sessionId);
+        if (!session) {
+            throw new Error(`Session not found: ${sessionId}`);
+        }
+
+        const dialog = session.pendingDialog;
+        if (!dialog || dialog.id !== dialogId) {
+            throw new Error(`No pending dialog: ${dialogId}`);
+        }
+
+        let resultJson;
+        if (result === undefined || result === null) {
+            resultJson = this._defaultDialogResult(dialog.dialogName);
+        } else {
+            resultJson = typeof result === 'string' ? result : JSON.stringify(result);
+        }
+
+        console.log(`[CSProWasmService] Dialog ${dialogId} answered:`, resultJson);
+
+        return this._awaitEngineCall(session, () => {
+            session.pendingDialog = null;
+            this._activeSessionId = session.id;
+            dialog.resolve(resultJson);
+        });
+    }
+
+    /**
+     * Get the dialog a session's engine is waiting on
+     * @returns {object|null} Dialog info ({ id, dialogName, inputData, timestamp })
+     */
+    getPendingDialog(sessionId) {
+        const session = this.getSession(sessionId);
+        return session?.pendingDialog ? this._describeDialog(session.pendingDialog) : null;
+    }
+
+    /**
+     * Helper: Client-facing view of a pending dialog
+     */
+    _describeDialog(dialog) {
+        return {
+            id: dialog.id,
+            dialogName: dialog.dialogName,
+            inputData: dialog.inputData,
+            timestamp: dialog.timestamp
+        };
+    }
+
+    /**
+     * Helper: Answer used when no client can respond to a dialog
+     * WASM expects { index: N } for errmsg (OK button) and { cancelled: true } for select
+     */
+    _defaultDialogResult(dialogName) {
+        if (dialogName === 'select') {
+            return JSON.stringify({ cancelled: true });
+        }
+        if (dialogName === INTERVIEW_RECORDING_DIALOG) {
+            return JSON.stringify({ recording: false, path: null, error: 'No client to record audio' });
+        }
+        return JSON.stringify({ index: 1 });
+    }
+
+    /**
+     * Helper: Pass an interview recording request from logic to the session's client, which has the
+     * microphone, as a named dialog. A recording the client stopped comes back in its answer
+     * ({ name, data }) and is saved next to the data file; logic gets { recording, path, error }.
+     */
+    async _forwardInterviewRecordingRequest(inputDataJson) {
+        const session = this._getActiveSession();
+        const answer = await globalThis.CSProDialogHandler.showDialogAsync(INTERVIEW_RECORDING_DIALOG, inputDataJson);
+
+        let result = {};
+        try {
+            result = JSON.parse(answer) || {};
+        } catch (e) {
+            console.warn('[CSProWasmService] Could not parse interview recording answer:', e);
+        }
+        const { name, data, ...response } = result;
+        if (session && name && data) {
+            try {
+                response.path = this._writeRecording(session, name, data);
+            } catch (error) {
+                console.error(`[CSProWasmService] Could not save recording ${name} for ${session.id}:`, error);
+                response.path = null;
+                response.error = error.message;
+            }
+        }
+        return JSON.stringify({ recording: false, path: null, ...response });
+    }
+
+    /**
+     * Advance to next field with value
+     * @param {string} [fieldName] - Field the client keyed the value for; if the engine has
+     *   already moved on (e.g. a repeated Next), the request is rejected as a duplicate
+     */
+    async advanceField(sessionId, value, fieldName) {
+        const session = this.getSession(sessionId);
+        if (!session || !session.entryStarted) {
+            throw new Error('Entry not started');
+        }
+
         try {
-            // Use Embind CSProEngine.start()
-            // With JSPI, this is now marked async() and returns a Promise
-            const startResult = session.engine.start();
-            let result;
-            if (startResult && typeof startResult.then === 'function') {
-                console.log(`[CSProWasmService] start() returned a promise, awaiting...`);
-                result = await startResult;
-            } else {
-                result = startResult;
+            const valueStr = value !== undefined && value !== null ? String(value) : '';
+            
+            if (fieldName && !session.pendingDialog) {
+                let page = session.engine.getCurrentPage();
+                if (page?.then) page = await page;
+                const currentField = page?.fields?.[page.currentFieldIndex ?? 0]?.name;
+                if (currentField && currentField.toUpperCase() !== String(fieldName).toUpperCase()) {
+                    const error = new Error(`Duplicate request: value was keyed for ${fieldName} but entry is on ${currentField}`);
+                    error.statusCode = 409;
+                    error.duplicate = 'rejected';
+                    error.page = this._hideVerifyValues(session, page);
+                    throw error;
+                }
             }
             
-            session.entryStarted = result;
+            // Verify mode: a value that doesn't match the stored one must be re-keyed before it is entered
+            if (session.verification && !session.pendingDialog) {
+                const mismatch = await this._verifyKeyedValue(session, valueStr);
+                if (mismatch) {
+                    return mismatch;
+                }
+            }
             
-            return {
-                success: session.entryStarted,
-                error: session.entryStarted ? null : 'Failed to start entry'
-            };
+            // Use Embind CSProEngine.setFieldValueAndAdvance()
+            // Returns early with pendingDialog if logic shows a dialog (errmsg, accept, select...)
+            return await this._runEngineCall(session, async () => {
+                let result = session.engine.setFieldValueAndAdvance(valueStr);
+                if (result?.then) result = await result;
+                
+                // Get any dialogs that were auto-acknowledged for this session
+                const pendingDialogs = this.getAndClearPendingDialogs(sessionId);
+                
+                return { 
+                    success: true, 
+                    page: result,
+                    dialogs: pendingDialogs
+                };
+            });
         } catch (error) {
-            console.error(`[CSProWasmService] startEntry error:`, error);
+            console.error(`[CSProWasmService] advanceField error:`, error);
             throw error;
         }
     }
 
     /**
-     * Get current page state
+     * Move to next field without setting a value
      */
-    async getCurrentPage(sessionId) {
+    async nextField(sessionId) {
         const session = this.getSession(sessionId);
         if (!session || !session.entryStarted) {
             throw new Error('Entry not started');
         }
 
         try {
-            // Use Embind CSProEngine.getCurrentPage() - returns JS object directly
-            const page = session.engine.getCurrentPage();
-            return page;
+            // Use Embind CSProEngine.nextField()
+            return await this._runEngineCall(session, async () => {
+                let result = session.engine.nextField();
+                if (result?.then) result = await result;
+                return { success: true, page: result };
+            });
         } catch (error) {
-            console.error(`[CSProWasmService] getCurrentPage error:`, error);
+            console.error(`[CSProWasmService] nextField error:`, error);
             throw error;
         }
     }
 
     /**
-     * Get and clear pending dialogs (dialogs that were auto-acknowledged)
-     * @returns {Array} Array of dialog info objects
-     */
-    getAndClearPendingDialogs() {
-        const dialogs = this._lastDialogs || [];
-        this._lastDialogs = [];
-        return dialogs;
-    }
-
-    /**
-     * Advance to next field with value
+     * Advance to end: move forward (running logic) until the first blank field or the end of the case
+     * Logic dialogs along the way stop the move until answered, as with nextField.
      */
-    async advanceField(sessionId, value) {
+    async advanceToEnd(sessionId) {
         const session = this.getSession(sessionId);
         if (!session || !session.entryStarted) {
             throw new Error('Entry not started');
         }
-
-        try {
-            const valueStr = value !== undefined && value !== null ? String(value) : '';
-            
-            // Clear pending dialogs before operation
-            this._lastDialogs = [];
-            
-            // Use Embind CSProEngine.setFieldValueAndAdvance()
-            const result = session.engine.setFieldValueAndAdvance(valueStr);
-            
-            // Get any dialogs that were shown during the operation
-            const pendingDialogs = this.getAndClearPendingDialogs();
-            
-            return { 
-                success: true, 
-                page: result,
-                dialogs: pendingDialogs
-            };
-        } catch (error) {
-            console.error(`[CSProWasmService] advanceField error:`, error);
+        if (session.verification) {
+            // Every field has to be re-keyed
+            const error = new Error('Advance to end is not available in verify mode');
+            error.statusCode = 409;
             throw error;
         }
+
+        return await this._runEngineCall(session, async () => {
+            let page = session.engine.getCurrentPage();
+            if (page?.then) page = await page;
+            for (let step = 0; step < ADVANCE_TO_END_MAX_FIELDS; step++) {
+                const field = page?.fields?.[page.currentFieldIndex ?? 0];
+                if (!field || this._getStoredFieldValue(field).trim() === '' || !session.entryStarted) {
+                    break;
+                }
+                const fieldKey = `${field.name}(${(field.indexes || []).join(',')})`;
+                let next = session.engine.nextField();
+                if (next?.then) next = await next;
+                if (!next?.fields) {
+                    next = session.engine.getCurrentPage();
+                    if (next?.then) next = await next;
+                }
+                const nextField = next?.fields?.[next.currentFieldIndex ?? 0];
+                page = next;
+                // Logic kept entry on the same field
+                if (!nextField || `${nextField.name}(${(nextField.indexes || []).join(',')})` === fieldKey) {
+                    break;
+                }
+            }
+            return { success: true, page };
+        });
     }
 
     /**
@@ -459,8 +2043,11 @@ class CSProWasmService {
 
         try {
             // Use Embind CSProEngine.previousField()
-            const result = session.engine.previousField();
-            return { success: true, page: result };
+            return await this._runEngineCall(session, async () => {
+                let result = session.engine.previousField();
+                if (result?.then) result = await result;
+                return { success: true, page: result };
+            });
         } catch (error) {
             console.error(`[CSProWasmService] previousField error:`, error);
             throw error;
@@ -495,6 +2082,8 @@ class CSProWasmService {
             throw new Error('Entry not started');
         }
 
+        this._assertNoPendingDialog(session);
+
         try {
             // Use Embind CSProEngine.getQuestionText()
             const result = session.engine.getQuestionText();
@@ -514,6 +2103,8 @@ class CSProWasmService {
             throw new Error('Entry not started');
         }
 
+        this._assertNoPendingDialog(session);
+
         try {
             // Responses are included in getCurrentPage
             const page = session.engine.getCurrentPage();
@@ -559,8 +2150,11 @@ class CSProWasmService {
 
         try {
             // Use Embind CSProEngine.endGroup()
-            const result = session.engine.endGroup();
-            return { success: true, page: result };
+            return await this._runEngineCall(session, async () => {
+                let result = session.engine.endGroup();
+                if (result?.then) result = await result;
+                return { success: true, page: result };
+            });
         } catch (error) {
             console.error(`[CSProWasmService] endGroup error:`, error);
             throw error;
@@ -578,8 +2172,11 @@ class CSProWasmService {
 
         try {
             // Use Embind CSProEngine.endLevel()
-            const result = session.engine.endLevel();
-            return { success: true, page: result };
+            return await this._runEngineCall(session, async () => {
+                let result = session.engine.endLevel();
+                if (result?.then) result = await result;
+                return { success: true, page: result };
+            });
         } catch (error) {
             console.error(`[CSProWasmService] endLevel error:`, error);
             throw error;
@@ -598,8 +2195,11 @@ class CSProWasmService {
 
         try {
             // Use Embind CSProEngine.endLevelOcc()
-            const result = session.engine.endLevelOcc();
-            return { success: true, page: result };
+            return await this._runEngineCall(session, async () => {
+                let result = session.engine.endLevelOcc();
+                if (result?.then) result = await result;
+                return { success: true, page: result };
+            });
         } catch (error) {
             console.error(`[CSProWasmService] endLevelOcc error:`, error);
             throw error;
@@ -619,8 +2219,11 @@ class CSProWasmService {
 
         try {
             // Use Embind CSProEngine.endGroup() - roster end uses same engine call
-            const result = session.engine.endGroup();
-            return { success: true, page: result };
+            return await this._runEngineCall(session, async () => {
+                let result = session.engine.endGroup();
+                if (result?.then) result = await result;
+                return { success: true, page: result };
+            });
         } catch (error) {
             console.error(`[CSProWasmService] endRoster error:`, error);
             throw error;
@@ -639,14 +2242,40 @@ class CSProWasmService {
 
         try {
             // Use Embind CSProEngine.insertOcc()
-            const result = session.engine.insertOcc();
-            return { success: true, page: result };
+            return await this._runEngineCall(session, async () => {
+                let result = session.engine.insertOcc();
+                if (result?.then) result = await result;
+                return { success: true, page: result };
+            });
         } catch (error) {
             console.error(`[CSProWasmService] insertOcc error:`, error);
             throw error;
         }
     }
 
+    /**
+     * Insert occurrence after the current one
+     * Maps to MFC C_InsertOccAfter() / Embind CSProEngine.insertOccAfter()
+     */
+    async insertOccAfter(sessionId) {
+        const session = this.getSession(sessionId);
+        if (!session || !session.entryStarted) {
+            throw new Error('Entry not started');
+        }
+
+        try {
+            // Use Embind CSProEngine.insertOccAfter()
+            return await this._runEngineCall(session, async () => {
+                let result = session.engine.insertOccAfter();
+                if (result?.then) result = await result;
+                return { success: result !== false };
+            });
+        } catch (error) {
+            console.error(`[CSProWasmService] insertOccAfter error:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Delete occurrence from a roster/repeating group
      * Maps to MFC C_DeleteOcc() / Embind CSProEngine.deleteOcc()
@@ -659,8 +2288,11 @@ class CSProWasmService {
 
         try {
             // Use Embind CSProEngine.deleteOcc()
-            const result = session.engine.deleteOcc();
-            return { success: true, page: result };
+            return await this._runEngineCall(session, async () => {
+                let result = session.engine.deleteOcc();
+                if (result?.then) result = await result;
+                return { success: true, page: result };
+            });
         } catch (error) {
             console.error(`[CSProWasmService] deleteOcc error:`, error);
             throw error;
@@ -679,8 +2311,11 @@ class CSProWasmService {
 
         try {
             // Use Embind CSProEngine.sortOcc()
-            const result = session.engine.sortOcc();
-            return { success: true, page: result };
+            return await this._runEngineCall(session, async () => {
+                let result = session.engine.sortOcc();
+                if (result?.then) result = await result;
+                return { success: true, page: result };
+            });
         } catch (error) {
             console.error(`[CSProWasmService] sortOcc error:`, error);
             throw error;
@@ -690,9 +2325,11 @@ class CSProWasmService {
     /**
      * Go to a specific field by name
      * Maps to MFC C_MoveToField() / Embind CSProEngine.goToField()
+     * The result has blocked: true when logic (or the path) kept entry from reaching the field.
      * @param {string} fieldName - The name of the field to navigate to
+     * @param {number} [occurrence1] - Roster occurrence (1-based), then nested occurrences
      */
-    async goToField(sessionId, fieldName) {
+    async goToField(sessionId, fieldName, occurrence1 = 1, occurrence2 = 0, occurrence3 = 0) {
         const session = this.getSession(sessionId);
         if (!session || !session.entryStarted) {
             throw new Error('Entry not started');
@@ -700,8 +2337,17 @@ class CSProWasmService {
 
         try {
             // Use Embind CSProEngine.goToField()
-            const result = session.engine.goToField(fieldName);
-            return { success: true, page: result };
+            return await this._runEngineCall(session, async () => {
+                let result = session.engine.goToField(fieldName, occurrence1, occurrence2, occurrence3);
+                if (result?.then) result = await result;
+                
+                const landed = result?.fields?.[result.currentFieldIndex ?? 0];
+                const blocked = !!landed && (
+                    landed.name.toUpperCase() !== String(fieldName).toUpperCase() ||
+                    (landed.indexes?.[0] > 0 && landed.indexes[0] !== occurrence1)
+                );
+                return { success: true, page: result, blocked };
+            });
         } catch (error) {
             console.error(`[CSProWasmService] goToField error:`, error);
             throw error;
@@ -717,10 +2363,13 @@ class CSProWasmService {
             throw new Error('Entry not started');
         }
 
+        this._assertNoPendingDialog(session);
+
         try {
             // Use Embind CSProEngine.getCaseTree()
-            const caseTree = session.engine.getCaseTree();
-            return caseTree;
+            let caseTree = session.engine.getCaseTree();
+            if (caseTree?.then) caseTree = await caseTree;
+            return this._hideVerifyTreeValues(session, caseTree);
         } catch (error) {
             console.error(`[CSProWasmService] getCaseTree error:`, error);
             throw error;
@@ -737,6 +2386,8 @@ class CSProWasmService {
             throw new Error('Entry not started');
         }
 
+        this._assertNoPendingDialog(session);
+
         try {
             // Use Embind CSProEngine.partialSave()
             const result = session.engine.partialSave();
@@ -766,37 +2417,35 @@ class CSProWasmService {
 
         console.log(`[CSProWasmService] invokeLogicFunction: ${functionName}(${JSON.stringify(args)})`);
         
-        // Clear any previous dialogs before execution
-        this._lastDialogs = [];
-        
         try {
-            // Use Embind CSProEngine.invokeLogicFunction()
-            const argsJson = typeof args === 'string' ? args : JSON.stringify(args);
-            const resultJson = await session.engine.invokeLogicFunction(functionName, argsJson);
+            // Returns early with pendingDialog if the logic shows a dialog
+            return await this._runEngineCall(session, async () => {
+                // Use Embind CSProEngine.invokeLogicFunction()
+                const argsJson = typeof args === 'string' ? args : JSON.stringify(args);
+                const resultJson = await session.engine.invokeLogicFunction(functionName, argsJson);
             
-            console.log(`[CSProWasmService] invokeLogicFunction result:`, resultJson);
+                console.log(`[CSProWasmService] invokeLogicFunction result:`, resultJson);
             
-            // Parse result if it's a JSON string
-            let result;
-            try {
-                result = JSON.parse(resultJson);
-            } catch (e) {
-                result = resultJson;
-            }
+                // Parse result if it's a JSON string
+                let result;
+                try {
+                    result = JSON.parse(resultJson);
+                } catch (e) {
+                    result = resultJson;
+                }
             
-            // Get updated page after logic execution (may have navigated or shown dialogs)
-            const page = await session.engine.getCurrentPage();
+                // Get updated page after logic execution (may have navigated or shown dialogs)
+                const page = await session.engine.getCurrentPage();
             
-            // Collect any dialogs that occurred during execution
-            const dialogs = this._lastDialogs ? [...this._lastDialogs] : [];
-            this._lastDialogs = []; // Clear after collecting
+                // Collect any dialogs that were auto-acknowledged for this session
+                const dialogs = this.getAndClearPendingDialogs(sessionId);
             
-            return { success: true, result, page, dialogs };
+                return { success: true, result, page, dialogs };
+            });
         } catch (error) {
             console.error(`[CSProWasmService] invokeLogicFunction error:`, error);
             // Still return any dialogs that occurred before the error
-            const dialogs = this._lastDialogs ? [...this._lastDialogs] : [];
-            this._lastDialogs = [];
+            const dialogs = this.getAndClearPendingDialogs(sessionId);
             throw { error: error.message || error, dialogs };
         }
     }
@@ -817,36 +2466,34 @@ class CSProWasmService {
 
         console.log(`[CSProWasmService] evalLogic: ${logicCode}`);
         
-        // Clear any previous dialogs before execution
-        this._lastDialogs = [];
-        
         try {
-            // Use Embind CSProEngine.evalLogic()
-            const resultJson = await session.engine.evalLogic(logicCode);
+            // Returns early with pendingDialog if the logic shows a dialog
+            return await this._runEngineCall(session, async () => {
+                // Use Embind CSProEngine.evalLogic()
+                const resultJson = await session.engine.evalLogic(logicCode);
             
-            console.log(`[CSProWasmService] evalLogic result:`, resultJson);
+                console.log(`[CSProWasmService] evalLogic result:`, resultJson);
             
-            // Parse result if it's a JSON string
-            let result;
-            try {
-                result = JSON.parse(resultJson);
-            } catch (e) {
-                result = resultJson;
-            }
+                // Parse result if it's a JSON string
+                let result;
+                try {
+                    result = JSON.parse(resultJson);
+                } catch (e) {
+                    result = resultJson;
+                }
             
-            // Get updated page after logic execution (may have navigated or shown dialogs)
-            const page = await session.engine.getCurrentPage();
+                // Get updated page after logic execution (may have navigated or shown dialogs)
+                const page = await session.engine.getCurrentPage();
             
-            // Collect any dialogs that occurred during execution
-            const dialogs = this._lastDialogs ? [...this._lastDialogs] : [];
-            this._lastDialogs = []; // Clear after collecting
+                // Collect any dialogs that were auto-acknowledged for this session
+                const dialogs = this.getAndClearPendingDialogs(sessionId);
             
-            return { success: true, result, page, dialogs };
+                return { success: true, result, page, dialogs };
+            });
         } catch (error) {
             console.error(`[CSProWasmService] evalLogic error:`, error);
             // Still return any dialogs that occurred before the error
-            const dialogs = this._lastDialogs ? [...this._lastDialogs] : [];
-            this._lastDialogs = [];
+            const dialogs = this.getAndClearPendingDialogs(sessionId);
             throw { error: error.message || error, dialogs };
         }
     }
@@ -886,19 +2533,336 @@ class CSProWasmService {
             // Get updated page after action execution (may have navigated or shown dialogs)
             const page = await session.engine.getCurrentPage();
             
-            return { success: true, result, page };
+            return { success: true, result, page: this._hideVerifyValues(session, page) };
         } catch (error) {
             console.error(`[CSProWasmService] executeAction error:`, error);
             throw error;
         }
     }
 
+    // ==================== SESSION FILES ====================
+    // Files captured in the browser (photos, signatures, recordings) are written under the
+    // session's files directory. For uploaded applications that is the session's own copy of the
+    // application directory, so logic reads them with the relative path kept in the field,
+    // e.g. Image.load("photos/PHOTO-lq3k2x.jpg"). Embedded applications are shared by every
+    // session, so their sessions keep captured files in /sessions/<id>/files instead.
+    // Interview recordings logic starts and stops (see INTERVIEW_RECORDING_DIALOG) go to recordings/ next to the data file.
+
+    /**
+     * Helper: Files directory of a session running an embedded application
+     */
+    _getEmbeddedFilesDir(sessionId) {
+        return `/sessions/${sessionId}/files`;
+    }
+
+    /**
+     * Write a file under the session's files directory
+     * @param {string} name - Path relative to the files directory
+     * @param {string} base64 - File contents
+     * @returns {{ name: string, path: string }} The relative name and the WASM FS path
+     */
+    writeSessionFile(sessionId, name, base64) {
+        const session = this._getLoadedSession(sessionId);
+        const filePath = this._resolveSessionFile(session, name);
+        const FS = this.Module.FS;
+
+        this._ensureDirectory(FS, path.posix.dirname(filePath));
+        FS.writeFile(filePath, new Uint8Array(Buffer.from(String(base64 || ''), 'base64')));
+        console.log(`[CSProWasmService] Wrote ${filePath} for ${sessionId}`);
+
+        return { name: path.posix.relative(session.filesDir, filePath), path: filePath };
+    }
+
+    /**
+     * Read a file under the session's files directory, or else one shipped with the application
+     * @param {string} name - Path relative to the files (or application) directory
+     * @returns {string} File contents, base64 encoded
+     */
+    readSessionFile(sessionId, name) {
+        const session = this._getLoadedSession(sessionId);
+        const applicationDir = path.posix.dirname(session.pffPath);
+        for (const baseDir of new Set([session.filesDir, applicationDir])) {
+            try {
+                return Buffer.from(this.Module.FS.readFile(this._resolveSessionFile(session, name, baseDir))).toString('base64');
+            } catch (e) {
+                if (e.statusCode) throw e;
+            }
+        }
+        const error = new Error(`File not found: ${name}`);
+        error.statusCode = 404;
+        throw error;
+    }
+
+    /**
+     * Save an interview recording the client made for the session (one that ended with the case
+     * rather than when logic stopped it)
+     * @param {string} name - File name, e.g. 1001-lq3k2x.webm
+     * @param {string} base64 - File contents
+     * @returns {{ path: string }} The WASM FS path, next to the data file
+     */
+    saveRecording(sessionId, name, base64) {
+        const session = this._getLoadedSession(sessionId);
+        return { path: this._writeRecording(session, name, base64) };
+    }
+
+    /**
+     * Helper: Write a recording to the recordings directory next to the session's data file
+     * It is kept with the cases: in the application directory copied by snapshots or, for an
+     * embedded application, as an external file of the snapshot.
+     * @returns {string} WASM FS path of the recording
+     */
+    _writeRecording(session, name, base64) {
+        const filePath = this._resolveSessionFile(session, name, this._getRecordingsDir(session));
+        const FS = this.Module.FS;
+
+        this._ensureDirectory(FS, path.posix.dirname(filePath));
+        FS.writeFile(filePath, new Uint8Array(Buffer.from(String(base64 || ''), 'base64')));
+        console.log(`[CSProWasmService] Saved recording ${filePath} for ${session.id}`);
+        return filePath;
+    }
+
+    /**
+     * Helper: WASM FS directory of the session's recordings - recordings/ beside its data file,
+     * or in its files directory if the PFF names no data file
+     */
+    _getRecordingsDir(session) {
+        const inputData = this._readPff(this.Module.FS, session.pffPath).files?.InputData;
+        const dataDir = inputData?.split('|')[0].trim()
+            ? path.posix.dirname(this._resolvePffPath(session.pffPath, inputData))
+            : session.filesDir;
+        return `${dataDir}/recordings`;
+    }
+
+    /**
+     * Helper: WASM FS path of a file named relative to a directory (default: the session's files directory)
+     * Names that are absolute or leave the directory are rejected.
+     */
+    _resolveSessionFile(session, name, baseDir = session.filesDir) {
+        const relative = String(name ?? '').trim().replace(/\\/g, '/');
+        const filePath = path.posix.join(baseDir, relative);
+        if (!relative || relative.startsWith('/') || !filePath.startsWith(`${baseDir}/`)) {
+            const error = new Error(`Invalid file name: ${name}`);
+            error.statusCode = 400;
+            throw error;
+        }
+        return filePath;
+    }
+
+    // ==================== SNAPSHOT / RESUME ====================
+
+    /**
+     * Capture what is needed to rebuild a session in a new engine
+     * The case is partial saved first so the data file holds everything keyed so far; a case
+     * started in add mode is recorded (partialCase) so the restore reopens it by key.
+     * Captured files outside the application directory are kept too (sessionFiles).
+     * File contents are base64 encoded so the snapshot can be written to disk as JSON.
+     */
+    async snapshotSession(sessionId) {
+        const session = this.getSession(sessionId);
+        if (!session) {
+            throw new Error(`Session not found: ${sessionId}`);
+        }
+        if (!session.applicationLoaded) {
+            throw new Error('Application not loaded');
+        }
+        if (session.pendingDialog) {
+            const error = new Error('The engine is waiting on a dialog response');
+            error.pendingDialog = this._describeDialog(session.pendingDialog);
+            throw error;
+        }
+
+        let partialSaved = false;
+        let partialCase = null;
+        let currentField = null;
+        if (session.entryStarted) {
+            let result = session.engine.partialSave();
+            if (result?.then) result = await result;
+            partialSaved = result !== false;
+
+            let page = session.engine.getCurrentPage();
+            if (page?.then) page = await page;
+            const field = page?.fields?.[page.currentFieldIndex ?? 0];
+            if (field) {
+                currentField = { name: field.name, indexes: field.indexes || null };
+            }
+
+            if (partialSaved) {
+                partialCase = await this._findPartialSavedCase(session);
+            }
+        }
+
+        const FS = this.Module.FS;
+
+        // Embedded applications are part of every module's filesystem; only uploaded ones need copying
+        const files = session.appDir?.startsWith('/sessions/')
+            ? this._readDirectoryFiles(FS, session.appDir)
+            : {};
+
+        // Data, paradata and other PFF files may live outside the application directory
+        const externalFiles = {};
+        for (const filePath of this._getPffFilePaths(FS, session.pffPath)) {
+            if (session.appDir?.startsWith('/sessions/') && filePath.startsWith(`${session.appDir}/`)) {
+                continue;
+            }
+            for (const candidate of [filePath, `${filePath}-wal`, `${filePath}-shm`, `${filePath}-journal`]) {
+                try {
+                    externalFiles[candidate] = Buffer.from(FS.readFile(candidate)).toString('base64');
+                } catch (e) {
+                    // Not created yet
+                }
+            }
+        }
+
+        // Recordings are kept next to the data file, which may be outside the copied application directory
+        const recordingsDir = this._getRecordingsDir(session);
+        if (!(session.appDir?.startsWith('/sessions/') && recordingsDir.startsWith(`${session.appDir}/`))) {
+            try {
+                for (const [name, base64] of Object.entries(this._readDirectoryFiles(FS, recordingsDir))) {
+                    externalFiles[`${recordingsDir}/${name}`] = base64;
+                }
+            } catch (e) {
+                // Nothing recorded yet
+            }
+        }
+
+        // Files captured by a session of an embedded application are outside its directory
+        let sessionFiles = {};
+        if (session.filesDir !== session.appDir) {
+            try {
+                sessionFiles = this._readDirectoryFiles(FS, session.filesDir);
+            } catch (e) {
+                // Nothing captured yet
+            }
+        }
+
+        console.log(`[CSProWasmService] Snapshot of ${sessionId}: ${Object.keys(files).length} application files, ${Object.keys(externalFiles).length} data files, ${Object.keys(sessionFiles).length} captured files`);
+
+        return {
+            version: 1,
+            sessionId,
+            snapshotAt: Date.now(),
+            appDir: session.appDir,
+            filesDir: session.filesDir,
+            pffPath: session.pffPath,
+            mode: session.mode,
+            caseKey: session.caseKey,
+            operatorId: session.operatorId,
+            language: session.language ?? null,
+            insertBefore: session.insertBefore ? { ...session.insertBefore, placing: false } : null,
+            entryStarted: !!session.entryStarted,
+            currentField,
+            partialSaved,
+            partialCase,
+            files,
+            externalFiles,
+            sessionFiles
+        };
+    }
+
+    /**
+     * Helper: The case a partial save just wrote - the data file's most recently modified partial case
+     * @returns {Promise<{uuid: string, key: string}|null>}
+     */
+    async _findPartialSavedCase(session) {
+        if (session.caseKey) {
+            return null;
+        }
+        const dataPath = this._getDataFilePath(session);
+        if (!dataPath) {
+            return null;
+        }
+        try {
+            const [row] = await this._querySqlite(session, dataPath,
+                'SELECT id, key FROM cases WHERE deleted = 0 AND partial_save_mode IS NOT NULL ' +
+                'ORDER BY last_modified_revision DESC LIMIT 1');
+            if (!row) {
+                return null;
+            }
+            const [uuid, key] = Array.isArray(row) ? row : [row.id, row.key];
+            return { uuid, key };
+        } catch (error) {
+            console.error(`[CSProWasmService] Could not find the partially saved case for ${session.id}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Rebuild a session from a snapshot taken by snapshotSession()
+     * Restores the files, loads the application, restarts entry and moves back to the snapshot's field.
+     * The session must already exist (created with the snapshot's id) and be otherwise unused.
+     */
+    async restoreSession(sessionId, snapshot) {
+        const session = this.getSession(sessionId);
+        if (!session) {
+            throw new Error(`Session not found: ${sessionId}`);
+        }
+        if (snapshot?.version !== 1) {
+            throw new Error('Unsupported snapshot version');
+        }
+
+        const FS = this.Module.FS;
+        const writeFiles = (baseDir, files) => {
+            for (const [name, base64] of Object.entries(files || {})) {
+                const filePath = baseDir ? `${baseDir}/${name}` : name;
+                this._ensureDirectory(FS, path.posix.dirname(filePath));
+                FS.writeFile(filePath, new Uint8Array(Buffer.from(base64, 'base64')));
+            }
+        };
+        writeFiles(snapshot.appDir, snapshot.files);
+        writeFiles(null, snapshot.externalFiles);
+        const filesDir = snapshot.filesDir ?? (snapshot.appDir?.startsWith('/sessions/') ? snapshot.appDir : this._getEmbeddedFilesDir(sessionId));
+        writeFiles(filesDir, snapshot.sessionFiles);
+
+        let loaded = session.engine.initApplication(snapshot.pffPath);
+        if (loaded?.then) loaded = await loaded;
+        session.applicationLoaded = loaded;
+        session.appDir = snapshot.appDir;
+        session.filesDir = filesDir;
+        session.pffPath = snapshot.pffPath;
+        session.language = snapshot.language ?? null;
+        if (!loaded) {
+            throw new Error('Failed to load application from snapshot');
+        }
+
+        if (!snapshot.entryStarted) {
+            return { success: true, page: null, currentField: null };
+        }
+
+        // A case keyed in add mode was partially saved by the snapshot; like CSEntry resuming a
+        // partial case, reopen it in modify mode rather than starting a new blank one
+        let mode = snapshot.mode || 'add';
+        let caseKey = snapshot.caseKey ?? null;
+        if (mode === 'add' && snapshot.partialCase) {
+            mode = 'modify';
+            caseKey = snapshot.partialCase.key;
+            console.log(`[CSProWasmService] Reopening partially saved case ${snapshot.partialCase.uuid} (key ${caseKey}) for ${sessionId}`);
+        }
+
+        const started = await this.startEntry(sessionId, mode, caseKey, snapshot.operatorId ?? null);
+        if (!started.success) {
+            throw new Error(started.error || 'Failed to start entry from snapshot');
+        }
+        session.insertBefore = snapshot.insertBefore ?? null;
+
+        if (!snapshot.currentField) {
+            return { success: true, page: await this.getCurrentPage(sessionId), currentField: null };
+        }
+
+        // goToField can raise logic dialogs; those come back as a pendingDialog like any other move
+        const [occurrence1, occurrence2 = 0, occurrence3 = 0] = snapshot.currentField.indexes || [];
+        const result = await this.goToField(sessionId, snapshot.currentField.name, occurrence1 || 1, occurrence2, occurrence3);
+        return { ...result, currentField: snapshot.currentField };
+    }
+
     /**
      * Cleanup a session
      */
-    destroySession(sessionId) {
+    async destroySession(sessionId) {
         const session = this.getSession(sessionId);
         if (session) {
+            // Release an engine call still suspended on a dialog before deleting the engine
+            await this._releaseEngineCall(session);
+            
             // Clean up the CSProEngine instance (use rawEngine for delete)
             const engineToDelete = session.rawEngine || session.engine;
             if (engineToDelete) {
@@ -909,11 +2873,19 @@ class CSProWasmService {
                 }
             }
             
-            // Clean up WASM filesystem
-            if (session.appDir && this.Module && session.appDir.startsWith('/sessions/')) {
+            // The start PFF copy may sit next to an embedded application's PFF
+            if (session.startPffPath && this.Module) {
+                try {
+                    this.Module.FS.unlink(session.startPffPath);
+                } catch (e) { /* already gone */ }
+            }
+            
+            // Clean up WASM filesystem (uploaded application and captured files)
+            const sessionDir = `/sessions/${sessionId}`;
+            if (this.Module && [session.appDir, session.filesDir].some((dir) => dir?.startsWith(sessionDir))) {
                 try {
                     const FS = this.Module.FS;
-                    this._removeDirectory(FS, session.appDir);
+                    this._removeDirectory(FS, sessionDir);
                 } catch (e) {
                     console.warn(`[CSProWasmService] Failed to cleanup session directory:`, e);
                 }
@@ -998,6 +2970,95 @@ class CSProWasmService {
         }
     }
 
+    /**
+     * Helper: Read every file under a WASM FS directory as base64, keyed by relative path
+     */
+    _readDirectoryFiles(FS, dirPath, relativeDir = '') {
+        const files = {};
+        for (const item of FS.readdir(dirPath)) {
+            if (item === '.' || item === '..') continue;
+
+            const itemPath = `${dirPath}/${item}`;
+            const relativePath = relativeDir ? `${relativeDir}/${item}` : item;
+            if (FS.isDir(FS.stat(itemPath).mode)) {
+                Object.assign(files, this._readDirectoryFiles(FS, itemPath, relativePath));
+            } else {
+                files[relativePath] = Buffer.from(FS.readFile(itemPath)).toString('base64');
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Helper: Read a PFF into { sectionName: { key: value } } (section names lowercased, values raw)
+     */
+    _readPff(FS, pffPath) {
+        const sections = {};
+        if (!pffPath) return sections;
+
+        let content;
+        try {
+            content = FS.readFile(pffPath, { encoding: 'utf8' });
+        } catch (e) {
+            return sections;
+        }
+
+        let current = null;
+        for (const rawLine of content.split(/\r?\n/)) {
+            const line = rawLine.replace(/^\uFEFF/, '').trim();
+            if (line.startsWith('[')) {
+                current = sections[line.slice(1, -1).toLowerCase()] = {};
+                continue;
+            }
+            const separator = line.indexOf('=');
+            if (!current || separator < 0) continue;
+            current[line.substring(0, separator).trim()] = line.substring(separator + 1).trim();
+        }
+        return sections;
+    }
+
+    /**
+     * Helper: Value of a session PFF entry (section and key names are case-insensitive)
+     */
+    _getPffEntry(session, section, key) {
+        const entries = this._readPff(this.Module.FS, session.pffPath)[section.toLowerCase()] || {};
+        const name = Object.keys(entries).find((entry) => entry.toLowerCase() === key.toLowerCase());
+        return name !== undefined ? entries[name] : undefined;
+    }
+
+    /**
+     * Helper: Throw a 403 if the PFF locks an entry operation ([DataEntryInit] Lock=Add,Modify,Delete,...)
+     */
+    _assertNotLocked(session, operation) {
+        const locks = (this._getPffEntry(session, 'DataEntryInit', 'Lock') || '')
+            .split(',')
+            .map((entry) => entry.trim().toLowerCase());
+        if (locks.includes(operation.toLowerCase())) {
+            const error = new Error(`${operation} is locked by the application's PFF (Lock=${operation})`);
+            error.statusCode = 403;
+            throw error;
+        }
+    }
+
+    /**
+     * Helper: Resolve a PFF file value (relative, Windows separators, "|type" suffix) to a WASM FS path
+     */
+    _resolvePffPath(pffPath, value) {
+        const filePath = value.split('|')[0].trim().replace(/\\/g, '/');
+        return filePath.startsWith('/')
+            ? path.posix.normalize(filePath)
+            : path.posix.join(path.posix.dirname(pffPath), filePath);
+    }
+
+    /**
+     * Helper: Resolve the [Files] entries of a PFF (InputData, Paradata, ...) to absolute WASM FS paths
+     */
+    _getPffFilePaths(FS, pffPath) {
+        return Object.values(this._readPff(FS, pffPath).files || {})
+            .filter((value) => value.split('|')[0].trim())
+            .map((value) => this._resolvePffPath(pffPath, value));
+    }
+
     /**
      * Helper: Remove directory recursively from WASM FS
      */
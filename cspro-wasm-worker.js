@@ -0,0 +1,127 @@
+/**
+ * CSPro WASM Worker - hosts one CSPro WASM module instance in a worker thread
+ *
+ * Each worker owns its own CSProWasmService (and so its own Emscripten module,
+ * filesystem and dialog handler) and the sessions the pool assigned to it.
+ * A crash or runaway logic loop in one application only affects this worker.
+ *
+ * Protocol (see cspro-worker-pool.js):
+ *   parent -> worker: { id, method, args }
+ *   worker -> parent: { type: 'ready' } | { type: 'result', id, result | error }
+ *                     | { type: 'event', event, payload }
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { CSProWasmService } from './cspro-wasm-service.js';
+
+const service = new CSProWasmService();
+service.configure(workerData?.options || {});
+
+// Service methods the pool may call; anything else is rejected
+const WORKER_METHODS = new Set([
+    'listEmbeddedAssets',
+    'getSessionInfo',
+    'getStatus',
+    'touchSession',
+    'setSessionEvents',
+    'getPendingDialog',
+    'respondToDialog',
+    'getAndClearSessionMessages',
+    'loadApplication',
+    'loadEmbeddedApplication',
+    'startEntry',
+    'listCases',
+    'searchCases',
+    'getSearchableItems',
+    'deleteCase',
+    'undeleteCase',
+    'insertCase',
+    'mergeCases',
+    'stopEntry',
+    'getCurrentPage',
+    'getFormData',
+    'getDictionaryItems',
+    'getLanguages',
+    'setLanguage',
+    'advanceField',
+    'nextField',
+    'advanceToEnd',
+    'previousField',
+    'goToField',
+    'endGroup',
+    'endLevel',
+    'endLevelOcc',
+    'endRoster',
+    'insertOcc',
+    'insertOccAfter',
+    'deleteOcc',
+    'sortOcc',
+    'getQuestionText',
+    'getResponses',
+    'getCaseTree',
+    'partialSave',
+    'invokeLogicFunction',
+    'evalLogic',
+    'executeAction',
+    'writeSessionFile',
+    'readSessionFile',
+    'saveRecording',
+    'snapshotSession',
+    'restoreSession',
+    'destroySession'
+]);
+
+/**
+ * Convert a thrown value into something that survives postMessage
+ * Keeps the extra properties routes rely on (statusCode, duplicate, page, pendingDialog, dialogs)
+ */
+function serializeError(error) {
+    if (error instanceof Error) {
+        return { ...error, message: error.message, stack: error.stack };
+    }
+    // invokeLogicFunction/evalLogic throw { error, dialogs }
+    if (error && typeof error === 'object') {
+        return { ...error, message: String(error.error ?? error.message ?? 'Unknown error') };
+    }
+    return { message: String(error) };
+}
+
+service.on('sessionReaped', (payload) => {
+    parentPort.postMessage({ type: 'event', event: 'sessionReaped', payload });
+});
+
+service.on('sessionEvent', (payload) => {
+    parentPort.postMessage({ type: 'event', event: 'sessionEvent', payload });
+});
+
+service.on('verification', (payload) => {
+    parentPort.postMessage({ type: 'event', event: 'verification', payload });
+});
+
+service.on('languageChanged', (payload) => {
+    parentPort.postMessage({ type: 'event', event: 'languageChanged', payload });
+});
+
+parentPort.on('message', async ({ id, method, args = [] }) => {
+    try {
+        let result;
+        if (method === 'createSession') {
+            // The session object holds the engine, which can't cross threads
+            result = { id: service.createSession(...args).id };
+        } else if (WORKER_METHODS.has(method)) {
+            result = await service[method](...args);
+        } else {
+            throw new Error(`Unknown worker method: ${method}`);
+        }
+        parentPort.postMessage({ type: 'result', id, result });
+    } catch (error) {
+        parentPort.postMessage({ type: 'result', id, error: serializeError(error) });
+    }
+});
+
+try {
+    await service.initialize();
+    parentPort.postMessage({ type: 'ready' });
+} catch (error) {
+    parentPort.postMessage({ type: 'initError', error: serializeError(error) });
+}
@@ -0,0 +1,640 @@
+/**
+ * CSPro Worker Pool - runs CSPro sessions in isolated worker threads
+ *
+ * Each worker (cspro-wasm-worker.js) owns its own CSPro WASM module instance and
+ * a set of sessions. The pool assigns new sessions to the least loaded worker,
+ * forwards REST calls to the worker that owns the session, and restarts workers
+ * that crash or stop responding. Sessions on a failed worker are reported as lost.
+ *
+ * Exposes the same async session API as CSProWasmService, plus:
+ *   - acquireSessionLock(sessionId): per-session request queue
+ *   - getLostSession(sessionId): why a session disappeared
+ *   - snapshotSession / resumeSession: persist a session to disk and rebuild it later
+ *   - events: 'sessionReaped', 'sessionsLost', 'workerRestarted', 'sessionEvent'
+ *   - verify mode outcomes are recorded in verificationStats
+ *   - an operator's language choice is saved in operatorPreferences and applied when they start entry
+ *   - mergeCases: merge cases uploaded by offline devices into an application's data file
+ *
+ * Configuration (environment):
+ *   CSPRO_WORKER_COUNT          - number of workers (default: CPU count, max 4)
+ *   CSPRO_WORKER_CALL_TIMEOUT_MS - a call running longer restarts its worker (default: 2 minutes)
+ *   CSPRO_MAX_SESSIONS, CSPRO_SESSION_IDLE_TIMEOUT_MS - see cspro-wasm-service.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+import { sessionStore } from './cspro-session-store.js';
+import { verificationStats } from './cspro-verification-stats.js';
+import { operatorPreferences } from './cspro-operator-preferences.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CALL_TIMEOUT_MS = 2 * 60 * 1000;
+const DEFAULT_MAX_SESSIONS = 50;
+const DEFAULT_SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+const DEFAULT_REAP_INTERVAL_MS = 60 * 1000;
+const LOST_SESSION_RETENTION_MS = 60 * 60 * 1000;
+
+class CSProWorkerPool extends EventEmitter {
+    constructor() {
+        super();
+        this.isInitialized = false;
+        this.workers = [];           // Worker slots: { slot, worker, ready, sessions, calls, restarts }
+        this.sessions = new Map();   // sessionId -> { id, slot, createdAt, lock, inflightRequests }
+        this.lostSessions = new Map(); // sessionId -> { reason, lostAt }
+        this.options = {
+            workerCount: Number(process.env.CSPRO_WORKER_COUNT) || Math.min(os.cpus().length, 4),
+            callTimeoutMs: Number(process.env.CSPRO_WORKER_CALL_TIMEOUT_MS) || DEFAULT_CALL_TIMEOUT_MS,
+            maxSessions: Number(process.env.CSPRO_MAX_SESSIONS) || DEFAULT_MAX_SESSIONS,
+            sessionIdleTimeoutMs: Number(process.env.CSPRO_SESSION_IDLE_TIMEOUT_MS) || DEFAULT_SESSION_IDLE_TIMEOUT_MS,
+            reapIntervalMs: DEFAULT_REAP_INTERVAL_MS
+        };
+        this._nextCallId = 1;
+        this._initializing = null;
+        this._resuming = new Map();  // sessionId -> in-flight resume, so a retried resume doesn't restore twice
+        this._merging = new Map();   // application directory -> tail of its case merges
+    }
+
+    /**
+     * Start all workers and wait for their WASM modules to load
+     */
+    async initialize() {
+        if (this.isInitialized) {
+            return true;
+        }
+        if (!this._initializing) {
+            console.log(`[CSProWorkerPool] Starting ${this.options.workerCount} worker(s)...`);
+            this._initializing = Promise.all(
+                Array.from({ length: this.options.workerCount }, (_, slot) => this._startWorker(slot))
+            ).then(() => {
+                this.isInitialized = true;
+                console.log('[CSProWorkerPool] All workers ready');
+                return true;
+            }).finally(() => {
+                this._initializing = null;
+            });
+        }
+        return this._initializing;
+    }
+
+    /**
+     * Number of live sessions across all workers
+     */
+    get sessionCount() {
+        return this.sessions.size;
+    }
+
+    /**
+     * Per-worker load, for health reporting
+     */
+    getWorkerStats() {
+        return this.workers.map((entry) => ({
+            slot: entry.slot,
+            ready: entry.ready,
+            sessions: entry.sessions.size,
+            restarts: entry.restarts
+        }));
+    }
+
+    // ==================== WORKER LIFECYCLE ====================
+
+    /**
+     * Start (or restart) the worker in a slot
+     * @returns {Promise<void>} Resolves once the worker's WASM module is initialized
+     */
+    _startWorker(slot) {
+        const previous = this.workers[slot];
+        const worker = new Worker(path.join(__dirname, 'cspro-wasm-worker.js'), {
+            workerData: {
+                options: {
+                    // The pool enforces the global session limit
+                    maxSessions: this.options.maxSessions,
+                    sessionIdleTimeoutMs: this.options.sessionIdleTimeoutMs,
+                    reapIntervalMs: this.options.reapIntervalMs,
+                    // Evicted sessions come back with a snapshot so they can be resumed
+                    snapshotOnEvict: true
+                }
+            }
+        });
+
+        const entry = {
+            slot,
+            worker,
+            ready: false,
+            sessions: new Set(),
+            calls: new Map(),  // callId -> { resolve, reject, timer }
+            restarts: previous ? previous.restarts + 1 : 0
+        };
+        this.workers[slot] = entry;
+
+        return new Promise((resolve, reject) => {
+            worker.on('message', (message) => {
+                if (message.type === 'ready') {
+                    entry.ready = true;
+                    console.log(`[CSProWorkerPool] Worker ${slot} ready`);
+                    resolve();
+                } else if (message.type === 'initError') {
+                    reject(this._deserializeError(message.error));
+                } else if (message.type === 'result') {
+                    this._settleCall(entry, message);
+                } else if (message.type === 'event') {
+                    this._onWorkerEvent(entry, message.event, message.payload);
+                }
+            });
+
+            worker.on('error', (error) => {
+                console.error(`[CSProWorkerPool] Worker ${slot} crashed:`, error);
+                reject(error);
+                this._onWorkerFailed(entry, `Worker crashed: ${error.message}`);
+            });
+
+            worker.on('exit', (code) => {
+                if (!entry.ready) {
+                    reject(new Error(`Worker ${slot} exited during startup (code ${code})`));
+                }
+                this._onWorkerFailed(entry, `Worker exited (code ${code})`);
+            });
+        });
+    }
+
+    /**
+     * Handle a crashed, exited or hung worker: report its sessions as lost and restart it
+     */
+    _onWorkerFailed(entry, reason) {
+        // Ignore repeat notifications ('error' is followed by 'exit') and replaced workers
+        if (entry.failed || this.workers[entry.slot] !== entry) {
+            return;
+        }
+        const wasReady = entry.ready;
+        entry.failed = true;
+        entry.ready = false;
+
+        for (const { reject, timer } of entry.calls.values()) {
+            clearTimeout(timer);
+            const error = new Error(`Session lost: ${reason}`);
+            error.statusCode = 410;
+            reject(error);
+        }
+        entry.calls.clear();
+
+        const lostAt = Date.now();
+        const sessionIds = [...entry.sessions];
+        for (const sessionId of sessionIds) {
+            this.sessions.delete(sessionId);
+            this.lostSessions.set(sessionId, { reason, lostAt });
+        }
+        this._pruneLostSessions();
+
+        if (sessionIds.length > 0) {
+            console.warn(`[CSProWorkerPool] Worker ${entry.slot} failed (${reason}); lost sessions:`, sessionIds);
+        }
+        this.emit('sessionsLost', { slot: entry.slot, reason, sessionIds });
+
+        entry.worker.terminate().catch(() => {});
+
+        // A worker that never started would fail again the same way
+        if (!wasReady) {
+            return;
+        }
+
+        this._startWorker(entry.slot).then(() => {
+            this.emit('workerRestarted', { slot: entry.slot, restarts: this.workers[entry.slot].restarts });
+        }).catch((error) => {
+            console.error(`[CSProWorkerPool] Failed to restart worker ${entry.slot}:`, error);
+        });
+    }
+
+    _onWorkerEvent(entry, event, payload) {
+        if (event === 'sessionReaped') {
+            entry.sessions.delete(payload.sessionId);
+            this.sessions.delete(payload.sessionId);
+
+            const { snapshot, ...details } = payload;
+            if (snapshot) {
+                sessionStore.saveSnapshot(snapshot).catch((error) => {
+                    console.error(`[CSProWorkerPool] Failed to save snapshot of reaped session ${payload.sessionId}:`, error);
+                });
+            }
+            this.emit('sessionReaped', { ...details, resumable: !!snapshot });
+        } else if (event === 'sessionEvent') {
+            this.emit('sessionEvent', payload);
+        } else if (event === 'verification') {
+            verificationStats.record(payload).catch((error) => {
+                console.error('[CSProWorkerPool] Failed to record verification statistics:', error);
+            });
+        } else if (event === 'languageChanged' && payload.operatorId) {
+            operatorPreferences.set(payload.operatorId, { language: payload.language }).catch((error) => {
+                console.error('[CSProWorkerPool] Failed to save operator language:', error);
+            });
+        }
+    }
+
+    _pruneLostSessions() {
+        const cutoff = Date.now() - LOST_SESSION_RETENTION_MS;
+        for (const [sessionId, lost] of this.lostSessions) {
+            if (lost.lostAt < cutoff) {
+                this.lostSessions.delete(sessionId);
+            }
+        }
+    }
+
+    // ==================== CALL DISPATCH ====================
+
+    /**
+     * Call a CSProWasmService method in a worker
+     * A call that exceeds the timeout is treated as a hung worker and the worker is restarted
+     */
+    _call(entry, method, args = []) {
+        if (!entry.ready) {
+            return Promise.reject(new Error(`Worker ${entry.slot} is not available`));
+        }
+
+        const id = this._nextCallId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                console.error(`[CSProWorkerPool] Worker ${entry.slot} did not answer ${method} within ${this.options.callTimeoutMs}ms`);
+                this._onWorkerFailed(entry, `Worker stopped responding during ${method}`);
+            }, this.options.callTimeoutMs);
+
+            entry.calls.set(id, { resolve, reject, timer });
+            entry.worker.postMessage({ id, method, args });
+        });
+    }
+
+    _settleCall(entry, { id, result, error }) {
+        const call = entry.calls.get(id);
+        if (!call) {
+            return;
+        }
+        entry.calls.delete(id);
+        clearTimeout(call.timer);
+
+        if (error) {
+            call.reject(this._deserializeError(error));
+        } else {
+            call.resolve(result);
+        }
+    }
+
+    /**
+     * Call a session method in the worker that owns the session
+     */
+    _callForSession(sessionId, method, args = []) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            const lost = this.lostSessions.get(sessionId);
+            const error = new Error(lost ? `Session lost: ${lost.reason}` : `Session not found: ${sessionId}`);
+            if (lost) {
+                error.statusCode = 410;
+                error.lost = lost;
+            }
+            return Promise.reject(error);
+        }
+        return this._call(this.workers[session.slot], method, [sessionId, ...args]);
+    }
+
+    /**
+     * Rebuild an Error from its serialized form, keeping extra properties
+     */
+    _deserializeError(serialized) {
+        const error = new Error(serialized.message);
+        Object.assign(error, serialized);
+        return error;
+    }
+
+    // ==================== SESSION MANAGEMENT ====================
+
+    /**
+     * Create a session on the least loaded worker
+     */
+    async createSession(sessionId) {
+        if (this.sessions.size >= this.options.maxSessions) {
+            const error = new Error(`Session limit reached (${this.options.maxSessions} active sessions)`);
+            error.statusCode = 503;
+            throw error;
+        }
+
+        const available = this.workers.filter((entry) => entry.ready);
+        if (available.length === 0) {
+            const error = new Error('No CSPro workers available');
+            error.statusCode = 503;
+            throw error;
+        }
+        const entry = available.reduce((least, candidate) =>
+            candidate.sessions.size < least.sessions.size ? candidate : least);
+
+        await this._call(entry, 'createSession', [sessionId]);
+
+        const session = {
+            id: sessionId,
+            slot: entry.slot,
+            createdAt: Date.now(),
+            lock: Promise.resolve(),      // Tail of the session's request queue
+            inflightRequests: new Map()   // Request key -> response promise, for coalescing duplicates
+        };
+        entry.sessions.add(sessionId);
+        this.sessions.set(sessionId, session);
+        console.log(`[CSProWorkerPool] Session ${sessionId} assigned to worker ${entry.slot}`);
+        return session;
+    }
+
+    /**
+     * Get the pool's record of a session (not the engine-side state; see getSessionInfo)
+     */
+    getSession(sessionId) {
+        return this.sessions.get(sessionId);
+    }
+
+    /**
+     * Get why a session was lost, if it was on a worker that failed
+     * @returns {object|undefined} { reason, lostAt }
+     */
+    getLostSession(sessionId) {
+        return this.lostSessions.get(sessionId);
+    }
+
+    /**
+     * Wait for the session's earlier requests to finish, then hold its lock
+     * Operations on one engine must run strictly in order.
+     * @returns {Promise<Function>} Call to release the lock
+     */
+    async acquireSessionLock(sessionId) {
+        const session = this.getSession(sessionId);
+        if (!session) {
+            return () => {};
+        }
+        const previous = session.lock;
+        let release;
+        session.lock = new Promise((resolve) => {
+            release = resolve;
+        });
+        await previous;
+        return release;
+    }
+
+    async destroySession(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            return;
+        }
+        try {
+            await this._callForSession(sessionId, 'destroySession');
+        } finally {
+            this.workers[session.slot]?.sessions.delete(sessionId);
+            this.sessions.delete(sessionId);
+        }
+    }
+
+    async listEmbeddedAssets() {
+        const entry = this.workers.find((candidate) => candidate.ready);
+        if (!entry) {
+            throw new Error('No CSPro workers available');
+        }
+        return this._call(entry, 'listEmbeddedAssets');
+    }
+
+    // ==================== SNAPSHOT / RESUME ====================
+
+    /**
+     * Snapshot a live session to disk
+     * @returns {Promise<object>} { sessionId, snapshotAt, currentField, partialSaved }
+     */
+    async snapshotSession(sessionId) {
+        const snapshot = await this._callForSession(sessionId, 'snapshotSession');
+        await sessionStore.saveSnapshot(snapshot);
+        return {
+            sessionId,
+            snapshotAt: snapshot.snapshotAt,
+            currentField: snapshot.currentField,
+            partialSaved: snapshot.partialSaved
+        };
+    }
+
+    /**
+     * Snapshot every live session, e.g. before the server shuts down
+     * @returns {Promise<number>} Number of sessions saved
+     */
+    async snapshotAllSessions() {
+        let saved = 0;
+        for (const sessionId of [...this.sessions.keys()]) {
+            try {
+                await this.snapshotSession(sessionId);
+                saved++;
+            } catch (error) {
+                console.warn(`[CSProWorkerPool] Could not snapshot session ${sessionId}:`, error.message);
+            }
+        }
+        return saved;
+    }
+
+    /**
+     * Rebuild a session from its snapshot in a new engine, keeping the session id
+     * @returns {Promise<object>} { success, page, currentField } or a pendingDialog response
+     */
+    resumeSession(sessionId) {
+        if (!this._resuming.has(sessionId)) {
+            this._resuming.set(sessionId, this._resumeSession(sessionId).finally(() => {
+                this._resuming.delete(sessionId);
+            }));
+        }
+        return this._resuming.get(sessionId);
+    }
+
+    async _resumeSession(sessionId) {
+        if (this.sessions.has(sessionId)) {
+            const error = new Error(`Session is still active: ${sessionId}`);
+            error.statusCode = 409;
+            throw error;
+        }
+
+        const snapshot = await sessionStore.loadSnapshot(sessionId);
+        if (!snapshot) {
+            const error = new Error(`No snapshot for session: ${sessionId}`);
+            error.statusCode = 404;
+            throw error;
+        }
+
+        await this.createSession(sessionId);
+        this.lostSessions.delete(sessionId);
+
+        // Requests arriving while the engine is rebuilt wait until it is on the snapshot's field
+        const release = await this.acquireSessionLock(sessionId);
+        try {
+            const result = await this._callForSession(sessionId, 'restoreSession', [snapshot]);
+            console.log(`[CSProWorkerPool] Resumed session ${sessionId} from snapshot of ${new Date(snapshot.snapshotAt).toISOString()}`);
+            return result;
+        } catch (error) {
+            await this.destroySession(sessionId).catch(() => {});
+            throw error;
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Turn a session's event stream on or off
+     * Subscribing reads the engine for the first events, so it waits its turn in the session's request queue
+     * (event streams reconnect on their own, outside the queue the routes use).
+     */
+    async setSessionEvents(sessionId, enabled) {
+        if (!enabled) {
+            return this._callForSession(sessionId, 'setSessionEvents', [enabled]);
+        }
+        const release = await this.acquireSessionLock(sessionId);
+        try {
+            return await this._callForSession(sessionId, 'setSessionEvents', [enabled]);
+        } finally {
+            release();
+        }
+    }
+
+    // ==================== CASE MERGE ====================
+
+    /**
+     * Merge cases uploaded by an offline device into an application's data file on the host
+     * Runs in a temporary session that loads the application from appDir. Merges into the same
+     * application wait for each other.
+     * @param {string} appDir - Host directory of the application (with its PFF)
+     * @param {Array} cases - Uploaded cases (see CSProWasmService.mergeCases)
+     * @returns {Promise<object>} { merged }
+     */
+    mergeCases(appDir, cases) {
+        const previous = this._merging.get(appDir) || Promise.resolve();
+        const merge = previous.catch(() => {}).then(() => this._mergeCases(appDir, cases));
+        this._merging.set(appDir, merge);
+        merge.finally(() => {
+            if (this._merging.get(appDir) === merge) this._merging.delete(appDir);
+        }).catch(() => {});
+        return merge;
+    }
+
+    async _mergeCases(appDir, cases) {
+        const files = {};
+        const readDirectory = (dir, basePath = '') => {
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                const relativePath = basePath ? `${basePath}/${entry.name}` : entry.name;
+                if (entry.isDirectory()) {
+                    readDirectory(path.join(dir, entry.name), relativePath);
+                } else {
+                    files[relativePath] = new Uint8Array(fs.readFileSync(path.join(dir, entry.name)));
+                }
+            }
+        };
+        readDirectory(appDir);
+
+        const pffFile = Object.keys(files).find((name) => name.toLowerCase().endsWith('.pff'));
+        if (!pffFile) {
+            const error = new Error(`No PFF in ${appDir}`);
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const sessionId = `merge-${randomUUID()}`;
+        await this.createSession(sessionId);
+        try {
+            const pffContent = Buffer.from(files[pffFile]).toString('utf8');
+            const loaded = await this._callForSession(sessionId, 'loadApplication', [pffContent, files]);
+            if (!loaded?.success) {
+                throw new Error(loaded?.error || 'Failed to load application');
+            }
+            const { merged, dataFile, data } = await this._callForSession(sessionId, 'mergeCases', [cases]);
+
+            // Write then rename so a crash mid-write never leaves a truncated data file
+            const dataPath = path.resolve(appDir, dataFile);
+            if (!dataPath.startsWith(path.resolve(appDir) + path.sep)) {
+                throw new Error(`Data file outside the application directory: ${dataFile}`);
+            }
+            fs.mkdirSync(path.dirname(dataPath), { recursive: true });
+            fs.writeFileSync(`${dataPath}.tmp`, Buffer.from(data, 'base64'));
+            fs.renameSync(`${dataPath}.tmp`, dataPath);
+            return { merged };
+        } finally {
+            await this.destroySession(sessionId).catch(() => {});
+        }
+    }
+
+    // ==================== FORWARDED SESSION METHODS ====================
+    // See CSProWasmService for documentation of each method
+
+    getSessionInfo(sessionId) { return this._callForSession(sessionId, 'getSessionInfo'); }
+    getStatus(sessionId) { return this._callForSession(sessionId, 'getStatus'); }
+    touchSession(sessionId) { return this._callForSession(sessionId, 'touchSession'); }
+    getPendingDialog(sessionId) { return this._callForSession(sessionId, 'getPendingDialog'); }
+    respondToDialog(sessionId, dialogId, result) { return this._callForSession(sessionId, 'respondToDialog', [dialogId, result]); }
+    getAndClearSessionMessages(sessionId) { return this._callForSession(sessionId, 'getAndClearSessionMessages'); }
+
+    loadApplication(sessionId, pffContent, applicationFiles) { return this._callForSession(sessionId, 'loadApplication', [pffContent, applicationFiles]); }
+    loadEmbeddedApplication(sessionId, pffPath) { return this._callForSession(sessionId, 'loadEmbeddedApplication', [pffPath]); }
+    async startEntry(sessionId, mode, key, operatorId) {
+        const result = await this._callForSession(sessionId, 'startEntry', [mode, key, operatorId]);
+        if (!result?.success || result.language || !result.operatorId) {
+            return result;
+        }
+
+        // The operator's saved language; the application may not define it
+        const { language } = await operatorPreferences.get(result.operatorId);
+        if (language) {
+            try {
+                await this._callForSession(sessionId, 'setLanguage', [language]);
+                result.language = language;
+            } catch (error) {
+                console.warn(`[CSProWorkerPool] Could not apply language ${language} for operator ${result.operatorId}:`, error.message);
+            }
+        }
+        return result;
+    }
+    stopEntry(sessionId, save) { return this._callForSession(sessionId, 'stopEntry', [save]); }
+
+    listCases(sessionId, deleted) { return this._callForSession(sessionId, 'listCases', [deleted]); }
+    searchCases(sessionId, query) { return this._callForSession(sessionId, 'searchCases', [query]); }
+    getSearchableItems(sessionId) { return this._callForSession(sessionId, 'getSearchableItems'); }
+    deleteCase(sessionId, key) { return this._callForSession(sessionId, 'deleteCase', [key]); }
+    undeleteCase(sessionId, key) { return this._callForSession(sessionId, 'undeleteCase', [key]); }
+    insertCase(sessionId, beforeKey) { return this._callForSession(sessionId, 'insertCase', [beforeKey]); }
+
+    getCurrentPage(sessionId) { return this._callForSession(sessionId, 'getCurrentPage'); }
+    getFormData(sessionId) { return this._callForSession(sessionId, 'getFormData'); }
+    getDictionaryItems(sessionId) { return this._callForSession(sessionId, 'getDictionaryItems'); }
+    getLanguages(sessionId) { return this._callForSession(sessionId, 'getLanguages'); }
+    setLanguage(sessionId, language) { return this._callForSession(sessionId, 'setLanguage', [language]); }
+
+    advanceField(sessionId, value, fieldName) { return this._callForSession(sessionId, 'advanceField', [value, fieldName]); }
+    nextField(sessionId) { return this._callForSession(sessionId, 'nextField'); }
+    advanceToEnd(sessionId) { return this._callForSession(sessionId, 'advanceToEnd'); }
+    previousField(sessionId) { return this._callForSession(sessionId, 'previousField'); }
+    goToField(sessionId, fieldName, occurrence1, occurrence2, occurrence3) { return this._callForSession(sessionId, 'goToField', [fieldName, occurrence1, occurrence2, occurrence3]); }
+
+    endGroup(sessionId) { return this._callForSession(sessionId, 'endGroup'); }
+    endLevel(sessionId) { return this._callForSession(sessionId, 'endLevel'); }
+    endLevelOcc(sessionId) { return this._callForSession(sessionId, 'endLevelOcc'); }
+    endRoster(sessionId) { return this._callForSession(sessionId, 'endRoster'); }
+    insertOcc(sessionId) { return this._callForSession(sessionId, 'insertOcc'); }
+    insertOccAfter(sessionId) { return this._callForSession(sessionId, 'insertOccAfter'); }
+    deleteOcc(sessionId) { return this._callForSession(sessionId, 'deleteOcc'); }
+    sortOcc(sessionId) { return this._callForSession(sessionId, 'sortOcc'); }
+
+    getQuestionText(sessionId, fieldName) { return this._callForSession(sessionId, 'getQuestionText', [fieldName]); }
+    getResponses(sessionId, fieldName) { return this._callForSession(sessionId, 'getResponses', [fieldName]); }
+    getCaseTree(sessionId) { return this._callForSession(sessionId, 'getCaseTree'); }
+    partialSave(sessionId) { return this._callForSession(sessionId, 'partialSave'); }
+
+    invokeLogicFunction(sessionId, functionName, args) { return this._callForSession(sessionId, 'invokeLogicFunction', [functionName, args]); }
+    evalLogic(sessionId, logicCode) { return this._callForSession(sessionId, 'evalLogic', [logicCode]); }
+    executeAction(sessionId, actionName, args, accessToken) { return this._callForSession(sessionId, 'executeAction', [actionName, args, accessToken]); }
+
+    writeSessionFile(sessionId, name, base64) { return this._callForSession(sessionId, 'writeSessionFile', [name, base64]); }
+    readSessionFile(sessionId, name) { return this._callForSession(sessionId, 'readSessionFile', [name]); }
+    saveRecording(sessionId, name, base64) { return this._callForSession(sessionId, 'saveRecording', [name, base64]); }
+}
+
+// Singleton instance
+const workerPool = new CSProWorkerPool();
+
+export { CSProWorkerPool, workerPool };
+export default workerPool;
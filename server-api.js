@@ -59,6 +59,12 @@ app.use(express.static(path.join(__dirname, 'web'), {
             res.setHeader('Content-Type', 'application/wasm');
         } else if (filePath.endsWith('.data')) {
             res.setHeader('Content-Type', 'application/octet-stream');
+        } else if (filePath.endsWith('.webmanifest')) {
+            res.setHeader('Content-Type', 'application/manifest+json');
+        }
+        // Browsers must see a new service worker as soon as it is deployed
+        if (path.basename(filePath) === 'service-worker.js') {
+            res.setHeader('Cache-Control', 'no-cache');
         }
     }
 }));
@@ -94,13 +100,30 @@ if (jspiAvailable) {
     
     // Dynamic import for ESM
     const csproRoutes = await import('./cspro-api-routes.js');
-    const { wasmService } = await import('./cspro-wasm-service.js');
+    const { workerPool } = await import('./cspro-worker-pool.js');
+    
+    workerPool.on('sessionsLost', ({ slot, reason, sessionIds }) => {
+        console.error(`[Server] CSPro worker ${slot} failed (${reason}), ${sessionIds.length} session(s) lost`);
+    });
     
-    // Initialize WASM service on startup
-    console.log('[Server] Initializing WASM module...');
+    // Snapshot live sessions on shutdown so interviewers can resume them after a restart
+    let shuttingDown = false;
+    const shutdown = async (signal) => {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        console.log(`[Server] ${signal} received, saving session snapshots...`);
+        const saved = await workerPool.snapshotAllSessions();
+        console.log(`[Server] Saved ${saved} session snapshot(s)`);
+        process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    
+    // Start the WASM worker pool on startup (each worker loads its own module)
+    console.log('[Server] Initializing WASM workers...');
     try {
-        await wasmService.initialize();
-        console.log('[Server] WASM module initialized successfully');
+        await workerPool.initialize();
+        console.log('[Server] WASM workers initialized successfully');
     } catch (error) {
         console.error('[Server] Failed to initialize WASM:', error.message);
     }
@@ -401,6 +424,87 @@ app.post('/api/applications/upload', upload.array('files'), (req, res) => {
     }
 });
 
+// Completed cases uploaded by devices that entered them offline (client-side WASM mode)
+// Each case is merged into the application's data file, replacing an earlier upload of the same case
+app.post('/api/applications/:name/cases', async (req, res) => {
+    const { deviceId, fileName, cases, queuedAt } = req.body || {};
+    
+    if (!deviceId || !Array.isArray(cases) || cases.length === 0) {
+        return res.status(400).json({
+            error: 'deviceId and cases are required'
+        });
+    }
+    
+    const appsDir = path.join(__dirname, 'storage/applications');
+    const appDir = path.join(appsDir, req.params.name);
+    if (path.dirname(appDir) !== appsDir || !fs.existsSync(appDir)) {
+        return res.status(404).json({
+            error: 'Application not found',
+            name: req.params.name
+        });
+    }
+    
+    // Cases are merged with the CSPro engine; devices keep them queued until it is available
+    if (!jspiAvailable) {
+        return res.status(503).json({
+            error: 'Server-side WASM not available'
+        });
+    }
+    
+    try {
+        const { workerPool } = await import('./cspro-worker-pool.js');
+        const { merged } = await workerPool.mergeCases(appDir, cases);
+        
+        console.log(`[Upload] ${merged} case(s) of '${fileName || 'data file'}' for '${req.params.name}' from device ${deviceId} (queued ${queuedAt || 'unknown'})`);
+        
+        res.json({
+            success: true,
+            merged
+        });
+    } catch (error) {
+        console.error('[Case Upload Error]', error);
+        res.status(error.statusCode || 500).json({
+            error: 'Failed to merge uploaded cases',
+            message: error.message
+        });
+    }
+});
+
+// Other files uploaded by devices that entered cases offline (client-side WASM mode)
+// Each device's latest copy of a file is kept in storage/uploads/<application>/<deviceId>/
+app.post('/api/applications/:name/data', (req, res) => {
+    try {
+        const { deviceId, fileName, data, queuedAt } = req.body || {};
+        
+        if (!deviceId || !fileName || !data) {
+            return res.status(400).json({
+                error: 'deviceId, fileName and data are required'
+            });
+        }
+        
+        // Sanitize names for the filesystem
+        const sanitize = (value) => String(value).replace(/[^a-zA-Z0-9_. -]/g, '_').replace(/^\.+/, '_');
+        const uploadDir = path.join(__dirname, 'storage/uploads', sanitize(req.params.name), sanitize(deviceId));
+        const filePath = path.join(uploadDir, sanitize(fileName));
+        
+        fs.mkdirSync(uploadDir, { recursive: true });
+        fs.writeFileSync(filePath, Buffer.from(data, 'base64'));
+        
+        console.log(`[Upload] File '${fileName}' for '${req.params.name}' from device ${deviceId} (queued ${queuedAt || 'unknown'})`);
+        
+        res.json({
+            success: true,
+            fileName: path.basename(filePath)
+        });
+    } catch (error) {
+        console.error('[Data Upload Error]', error);
+        res.status(500).json({
+            error: 'Failed to save uploaded file',
+            message: error.message
+        });
+    }
+});
+
 // CSWeb proxy endpoints
 app.post('/api/csweb/applications', async (req, res) => {
     try {
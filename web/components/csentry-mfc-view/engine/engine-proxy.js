@@ -14,6 +14,9 @@
  * @module components/csentry-mfc-view/engine/engine-proxy
  */
 
+// Event types streamed by GET /api/cspro/session/:id/events
+const SESSION_EVENT_TYPES = ['page', 'status', 'dialog', 'output', 'warning', 'expiring', 'expired', 'lost'];
+
 /**
  * Create a proxy engine that forwards calls to the server-side REST API
  * This allows non-JSPI browsers to use CSPro via HTTP
@@ -23,6 +26,14 @@
  */
 export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionId = null) {
     let sessionId = existingSessionId;
+    let heartbeatTimer = null;
+    let eventSource = null;
+    // Our own calls show the page their response returns, and the server also streams each of their
+    // moves as a 'page' event, usually before the response is handled. A page event that arrives while
+    // calls are in flight is held and passed on only after they finish and the caller has shown its page.
+    let callsInFlight = 0;
+    let heldPageEvent = null;
+    let deliverHeldPageEvent = null;
     
     // Get component reference if passed
     const component = (componentOrBaseUrl && typeof componentOrBaseUrl === 'object' && 
@@ -48,7 +59,40 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
         return sessionId;
     };
     
-    return {
+    // Show dialogs the server engine is suspended on and post the answers back
+    // until the original call completes (mirrors JSPI dialogs in client mode)
+    const resolvePendingDialogs = async (data) => {
+        while (data && data.success && data.pendingDialog) {
+            const dialog = data.pendingDialog;
+            console.log('[ServerProxy] Engine waiting on dialog:', dialog.dialogName, dialog.id);
+            
+            const result = component ? await component._showServerDialog(dialog) : null;
+            
+            const response = await fetch(`/api/cspro/session/${sessionId}/dialog/${dialog.id}/respond`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ result })
+            });
+            data = await response.json();
+        }
+        return data;
+    };
+    
+    // Edit menu case operations: the server's error (e.g. a PFF Lock=) is thrown for the component to show
+    const postCaseOperation = async (operation, body) => {
+        const response = await fetch(`/api/cspro/session/${sessionId}/${operation}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await resolvePendingDialogs(await response.json());
+        if (!data.success) {
+            throw new Error(data.error || `${operation} failed`);
+        }
+        return data;
+    };
+    
+    const proxy = {
         // ==================== SESSION MANAGEMENT ====================
         // Maps to: C_ExentryStart, C_ExentryInit, C_ExentryStop
         
@@ -110,12 +154,12 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
             return data.success;
         },
         
-        // Start entry session (C_ExentryStart with mode)
-        async start(mode) {
+        // Start entry session (C_ExentryStart with mode); key opens an existing case
+        async start(mode, key = null, operatorId = null) {
             const response = await fetch(`/api/cspro/session/${sessionId}/start`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ mode: mode || 'add' })
+                body: JSON.stringify({ mode: mode || 'add', key, operatorId })
             });
             const data = await response.json();
             return data.success;
@@ -140,6 +184,34 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
             return data;
         },
         
+        // { name, label, items: [{ name, label, record, level, contentType, length, decimals, valueSet, capture }] }
+        async getDictionaryItems() {
+            const response = await fetch(`/api/cspro/session/${sessionId}/dictionary`);
+            const data = await response.json();
+            return data.success ? data : null;
+        },
+        
+        // { current, languages: [{ name, label }] }
+        async getLanguages() {
+            const response = await fetch(`/api/cspro/session/${sessionId}/languages`);
+            const data = await response.json();
+            return data.success ? data : null;
+        },
+        
+        // Returns { success, language, remembered, page }
+        async setLanguage(language) {
+            const response = await fetch(`/api/cspro/session/${sessionId}/language`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ language })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to change language');
+            }
+            return data;
+        },
+        
         // ==================== PAGE/FIELD STATE ====================
         // Maps to: C_FldGetCurrent, C_FldInfo, C_FldGetVal
         
@@ -166,17 +238,31 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
         
         // Set field value and advance (C_FldPutVal + C_GoToField(ENGINE_NEXTFIELD))
         // Returns page data with the next field info
-        async setFieldValueAndAdvance(value) {
+        // fieldName (optional) lets the server reject a repeated submission once entry has moved on;
+        // with the field's occurrence indexes, a repeat still running is coalesced instead
+        async setFieldValueAndAdvance(value, fieldName, indexes) {
             const response = await fetch(`/api/cspro/session/${sessionId}/advance`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ value: value !== undefined ? String(value) : '' })
+                body: JSON.stringify({ value: value !== undefined ? String(value) : '', fieldName, indexes })
             });
-            const data = await response.json();
+            const data = await resolvePendingDialogs(await response.json());
             console.log('[ServerProxy] setFieldValueAndAdvance response:', data);
             
+            // Duplicate submission: nothing was entered, resync with where the engine actually is
+            if (data.duplicate === 'rejected') {
+                console.warn('[ServerProxy] Duplicate advance rejected:', data.error);
+                return data.page ? { ...data.page, dialogs: [] } : null;
+            }
+            
+            // Verify mode: the value didn't match the stored one and was not entered
+            if (data.verifyMismatch) {
+                return { ...data.page, dialogs: [], verifyMismatch: data.verifyMismatch };
+            }
+            
             // Handle server-side dialogs (errmsg, etc.)
-            // These dialogs were auto-acknowledged by the server but need to be shown to the user
+            // These dialogs were auto-acknowledged by the server (no request was waiting on them)
+            // but still need to be shown to the user
             if (data.dialogs && data.dialogs.length > 0) {
                 console.log('[ServerProxy] Server triggered dialogs:', data.dialogs.length);
                 for (const dialog of data.dialogs) {
@@ -199,7 +285,20 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' }
             });
-            const data = await response.json();
+            const data = await resolvePendingDialogs(await response.json());
+            if (data.success && data.page) {
+                return data.page;
+            }
+            return null;
+        },
+        
+        // Advance to end: forward to the first blank field or the end of the case
+        async advanceToEnd() {
+            const response = await fetch(`/api/cspro/session/${sessionId}/advance-to-end`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' }
+            });
+            const data = await resolvePendingDialogs(await response.json());
             if (data.success && data.page) {
                 return data.page;
             }
@@ -212,7 +311,7 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' }
             });
-            const data = await response.json();
+            const data = await resolvePendingDialogs(await response.json());
             if (data.success && data.page) {
                 return data.page;
             }
@@ -232,7 +331,7 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
                     occurrence3 
                 })
             });
-            const data = await response.json();
+            const data = await resolvePendingDialogs(await response.json());
             return data.success ? data.page : null;
         },
         
@@ -245,7 +344,7 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' }
             });
-            const data = await response.json();
+            const data = await resolvePendingDialogs(await response.json());
             return data.success;
         },
         
@@ -256,7 +355,7 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({})
             });
-            const data = await response.json();
+            const data = await resolvePendingDialogs(await response.json());
             if (data.success && data.page) {
                 return data.page;
             }
@@ -270,7 +369,7 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ nextLevel, writeNode })
             });
-            const data = await response.json();
+            const data = await resolvePendingDialogs(await response.json());
             if (data.success && data.page) {
                 return data.page;
             }
@@ -284,7 +383,7 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ postProc })
             });
-            const data = await response.json();
+            const data = await resolvePendingDialogs(await response.json());
             if (data.success && data.page) {
                 return data.page;
             }
@@ -300,7 +399,7 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' }
             });
-            const data = await response.json();
+            const data = await resolvePendingDialogs(await response.json());
             if (data.success && data.page) {
                 return data.page;
             }
@@ -313,7 +412,7 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' }
             });
-            const data = await response.json();
+            const data = await resolvePendingDialogs(await response.json());
             if (data.success && data.page) {
                 return data.page;
             }
@@ -326,7 +425,7 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' }
             });
-            const data = await response.json();
+            const data = await resolvePendingDialogs(await response.json());
             if (data.success && data.page) {
                 return data.page;
             }
@@ -340,7 +439,7 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ ascending })
             });
-            const data = await response.json();
+            const data = await resolvePendingDialogs(await response.json());
             if (data.success && data.page) {
                 return data.page;
             }
@@ -380,6 +479,42 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
             return data.success ? data.caseTree : null;
         },
         
+        // ==================== SESSION FILES ====================
+        // Captured photos, signatures and recordings, stored in the session's files directory
+        
+        // Write a file (base64) under the session's files directory; name is relative to it
+        async writeFile(name, base64) {
+            const response = await fetch(`/api/cspro/session/${sessionId}/files`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, data: base64 })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || `Could not save ${name}`);
+            }
+            return data;
+        },
+        
+        // Save an audio recording (base64) next to the session's data file
+        async saveRecording(name, base64) {
+            const response = await fetch(`/api/cspro/session/${sessionId}/recordings`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, data: base64 })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || `Could not save ${name}`);
+            }
+            return data;
+        },
+        
+        // URL serving a file written by writeFile (or shipped with the application)
+        getFileUrl(name) {
+            return `/api/cspro/session/${sessionId}/files?name=${encodeURIComponent(name)}`;
+        },
+        
         // ==================== CASE OPERATIONS ====================
         // Maps to: C_IsNewCase, PartialSave
         
@@ -393,6 +528,49 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
             return data.success;
         },
         
+        // Cases in the data file: [{ uuid, key, label, status, partialSaveMode, partialSaveField, verified }]
+        async getCaseList(deleted = false) {
+            const response = await fetch(`/api/cspro/session/${sessionId}/cases${deleted ? '?deleted=true' : ''}`);
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to list cases');
+            }
+            return data.cases;
+        },
+        
+        // query: { caseId } or { keyPrefix } or { item, value }
+        async searchCases(query) {
+            const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value !== undefined && value !== null));
+            const response = await fetch(`/api/cspro/session/${sessionId}/cases/search?${params}`);
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Search failed');
+            }
+            return data.cases;
+        },
+        
+        async getSearchableItems() {
+            const response = await fetch(`/api/cspro/session/${sessionId}/cases/items`);
+            if (!response.ok) {
+                throw new Error(`Failed to list searchable items: ${response.statusText}`);
+            }
+            const data = await response.json();
+            return data.success ? data.items : [];
+        },
+        
+        async deleteCase(key) {
+            return await postCaseOperation('delete-case', { key });
+        },
+        
+        async undeleteCase(key) {
+            return await postCaseOperation('undelete-case', { key });
+        },
+        
+        // Starts entry in add mode; the new case is written before beforeKey
+        async insertCase(beforeKey) {
+            return await postCaseOperation('insert-case', { beforeKey });
+        },
+        
         // Get new case status (C_IsNewCase)
         async isNewCase() {
             const response = await fetch(`/api/cspro/session/${sessionId}/is-new-case`);
@@ -438,7 +616,7 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ functionName, arguments: args })
             });
-            const data = await response.json();
+            const data = await resolvePendingDialogs(await response.json());
             console.log('[ServerProxy] invokeLogicFunction response:', data);
             return data;
         },
@@ -456,7 +634,7 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ logic: logicCode })
             });
-            const data = await response.json();
+            const data = await resolvePendingDialogs(await response.json());
             console.log('[ServerProxy] evalLogic response:', data);
             return data;
         },
@@ -482,11 +660,137 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
         
         // ==================== SESSION UTILITIES ====================
         
+        // Get and clear dialogs, engine output and warnings queued for this session
+        async getSessionMessages() {
+            const response = await fetch(`/api/cspro/session/${sessionId}/messages`);
+            const data = await response.json();
+            return data.success ? data : { dialogs: [], output: [], warnings: [] };
+        },
+        
         isSessionActive() {
             return sessionId !== null;
         },
         
+        // { id, applicationLoaded, entryStarted, mode, caseKey, ... } or null if the session is gone
+        async getSessionInfo() {
+            const response = await fetch(`/api/cspro/session/${sessionId}`);
+            const data = await response.json();
+            return data.success ? data.session : null;
+        },
+        
+        // Tell the server the interviewer is still here (sessions expire when idle)
+        async heartbeat() {
+            const response = await fetch(`/api/cspro/session/${sessionId}/heartbeat`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' }
+            });
+            const data = await response.json();
+            return data.success;
+        },
+        
+        // Send heartbeats periodically; notifies the component if the session has expired
+        startHeartbeat(intervalMs = 60000) {
+            this.stopHeartbeat();
+            heartbeatTimer = setInterval(async () => {
+                try {
+                    if (!(await this.heartbeat())) {
+                        console.warn('[ServerProxy] Server session expired:', sessionId);
+                        this.stopHeartbeat();
+                        component?._onServerSessionExpired?.();
+                    }
+                } catch (e) {
+                    console.warn('[ServerProxy] Heartbeat failed:', e);
+                }
+            }, intervalMs);
+        },
+        
+        stopHeartbeat() {
+            if (heartbeatTimer) {
+                clearInterval(heartbeatTimer);
+                heartbeatTimer = null;
+            }
+        },
+
+        // Save the session (files, data, current field) to the server's disk
+        // keepalive lets the request finish while the page unloads
+        async snapshot({ keepalive = false } = {}) {
+            const response = await fetch(`/api/cspro/session/${sessionId}/snapshot`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                keepalive
+            });
+            return await response.json();
+        },
+
+        // Rebuild an expired or lost session from its last snapshot; lands on the snapshot's field
+        async resumeSession() {
+            const response = await fetch(`/api/cspro/session/${sessionId}/resume`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' }
+            });
+            const data = await resolvePendingDialogs(await response.json());
+            console.log('[ServerProxy] resumeSession response:', data);
+            return data;
+        },
+
+        // ==================== SESSION EVENTS ====================
+        // Server push channel (Server-Sent Events): page and status changes, dialogs,
+        // trace output and expiry, so logic-driven moves show up without polling
+        
+        /**
+         * Subscribe to the session's event stream
+         * @param {Function} onEvent - Called with (type, data); see cspro-session-events.js for types
+         * @returns {boolean} Whether the stream could be opened
+         */
+        subscribeEvents(onEvent) {
+            this.unsubscribeEvents();
+            if (!sessionId || typeof EventSource === 'undefined') {
+                return false;
+            }
+            
+            // After the macrotask boundary, so the caller of the last call has handled its response
+            deliverHeldPageEvent = () => setTimeout(() => {
+                if (callsInFlight > 0 || !heldPageEvent) return;
+                const data = heldPageEvent;
+                heldPageEvent = null;
+                onEvent('page', data);
+            }, 0);
+            
+            eventSource = new EventSource(`/api/cspro/session/${sessionId}/events`);
+            for (const type of SESSION_EVENT_TYPES) {
+                eventSource.addEventListener(type, (event) => {
+                    let data = {};
+                    try {
+                        data = JSON.parse(event.data);
+                    } catch (e) {
+                        console.warn('[ServerProxy] Bad event data:', type, event.data);
+                    }
+                    // The stream ends with the session; don't let EventSource reconnect to it
+                    if (type === 'expired' || type === 'lost') {
+                        this.unsubscribeEvents();
+                    }
+                    if (type === 'page' && callsInFlight > 0) {
+                        heldPageEvent = data;
+                        return;
+                    }
+                    onEvent(type, data);
+                });
+            }
+            return true;
+        },
+        
+        unsubscribeEvents() {
+            heldPageEvent = null;
+            deliverHeldPageEvent = null;
+            if (eventSource) {
+                eventSource.close();
+                eventSource = null;
+            }
+        },
+        
         async closeSession() {
+            this.stopHeartbeat();
+            this.unsubscribeEvents();
             if (sessionId) {
                 try {
                     await fetch(`/api/cspro/session/${sessionId}`, {
@@ -499,6 +803,27 @@ export function createServerSideEngineProxy(componentOrBaseUrl, existingSessionI
             }
         }
     };
+    
+    // Count every call that goes to the server, so page events can wait for them (see subscribeEvents)
+    return new Proxy(proxy, {
+        get(target, prop) {
+            const value = target[prop];
+            if (typeof value !== 'function') {
+                return value;
+            }
+            return (...args) => {
+                const result = value.apply(target, args);
+                if (!result?.then) {
+                    return result;
+                }
+                callsInFlight++;
+                return result.finally(() => {
+                    callsInFlight--;
+                    if (callsInFlight === 0) deliverHeldPageEvent?.();
+                });
+            };
+        }
+    });
 }
 
 /**
@@ -4,3 +4,4 @@
  */
 
 export { createServerSideEngineProxy, createServerSideEngineProxy as createServerEngineProxy } from './engine-proxy.js';
+export { OFFLINE_DATA_DIR, mountOfflineData, persistOfflineData, getFileModifiedTime, readCaseRows, queueCaseUpload, queueUpload, getQueuedRevision, setQueuedRevision, getQueuedUploadCount, flushUploads } from './offline-storage.js';
@@ -0,0 +1,335 @@
+/**
+ * Offline Storage - keeps client-side WASM data files across reloads and uploads their cases when online
+ *
+ * Data files live under OFFLINE_DATA_DIR in the Emscripten FS. Builds linked with -lidbfs.js mount
+ * IDBFS there; other builds (MEMFS only) mirror the directory into our own IndexedDB object store.
+ * Each completed case is queued, as its rows in the data file, in the same database and posted to
+ * /api/applications/:name/cases once the server can be reached; the server merges it into the
+ * application's data file. Other files (e.g. recordings) are posted to /api/applications/:name/data.
+ *
+ * @module components/csentry-mfc-view/engine/offline-storage
+ */
+
+/** Emscripten FS directory whose files outlive the page */
+export const OFFLINE_DATA_DIR = '/offline';
+
+const DB_NAME = 'csentry-offline';
+const DB_VERSION = 1;
+const FILES_STORE = 'files';      // path -> { path, data, mtime } (mirror for builds without IDBFS)
+const UPLOADS_STORE = 'uploads';  // id -> { id, application, fileName, caseId?, rows?, data?, queuedAt, failedAt? }
+const DEVICE_ID_KEY = 'csentry-device-id';
+const QUEUED_REVISIONS_KEY = 'csentry-queued-revisions'; // data file path -> last revision queued for upload
+
+let dbPromise = null;
+
+// ==================== INDEXEDDB ====================
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(FILES_STORE)) db.createObjectStore(FILES_STORE, { keyPath: 'path' });
+                if (!db.objectStoreNames.contains(UPLOADS_STORE)) db.createObjectStore(UPLOADS_STORE, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run fn on an object store and resolve with the request's result once the transaction commits
+ */
+async function withStore(storeName, mode, fn) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = fn(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// ==================== DATA FILES ====================
+
+/**
+ * Make OFFLINE_DATA_DIR persistent and bring back the files saved by earlier sessions
+ * @param {Object} FS - Emscripten FS of the CSPro module
+ * @returns {Promise<string>} 'idbfs' or 'indexeddb' - how the directory is persisted
+ */
+export async function mountOfflineData(FS) {
+    try {
+        FS.mkdirTree(OFFLINE_DATA_DIR);
+    } catch (e) { /* may exist */ }
+
+    if (FS.filesystems?.IDBFS) {
+        FS.mount(FS.filesystems.IDBFS, {}, OFFLINE_DATA_DIR);
+        await syncFS(FS, true);
+        return 'idbfs';
+    }
+
+    const files = await withStore(FILES_STORE, 'readonly', store => store.getAll());
+    for (const file of files || []) {
+        try {
+            FS.mkdirTree(file.path.substring(0, file.path.lastIndexOf('/')));
+        } catch (e) { /* may exist */ }
+        FS.writeFile(file.path, file.data);
+    }
+    return 'indexeddb';
+}
+
+/**
+ * Save OFFLINE_DATA_DIR to IndexedDB
+ * @param {Object} FS - Emscripten FS of the CSPro module
+ */
+export async function persistOfflineData(FS) {
+    if (FS.filesystems?.IDBFS) {
+        await syncFS(FS, false);
+        return;
+    }
+
+    const files = listFiles(FS, OFFLINE_DATA_DIR);
+    const paths = new Set(files.map(file => file.path));
+    const stored = await withStore(FILES_STORE, 'readonly', store => store.getAllKeys());
+
+    await withStore(FILES_STORE, 'readwrite', store => {
+        for (const path of stored || []) {
+            if (!paths.has(path)) store.delete(path);
+        }
+        for (const file of files) {
+            store.put({ path: file.path, data: FS.readFile(file.path), mtime: file.mtime });
+        }
+    });
+}
+
+/**
+ * Modification time of an FS file in milliseconds, or null if it does not exist
+ */
+export function getFileModifiedTime(FS, path) {
+    try {
+        return new Date(FS.stat(path).mtime).getTime();
+    } catch (e) {
+        return null;
+    }
+}
+
+function syncFS(FS, populate) {
+    return new Promise((resolve, reject) => {
+        FS.syncfs(populate, error => error ? reject(error) : resolve());
+    });
+}
+
+function listFiles(FS, dir) {
+    const files = [];
+    for (const name of FS.readdir(dir)) {
+        if (name === '.' || name === '..') continue;
+        const path = `${dir}/${name}`;
+        const stat = FS.stat(path);
+        if (FS.isDir(stat.mode)) {
+            files.push(...listFiles(FS, path));
+        } else {
+            files.push({ path, mtime: new Date(stat.mtime).getTime() });
+        }
+    }
+    return files;
+}
+
+// ==================== CASE ROWS ====================
+// A CSPro DB case is its row in `cases`, its `level-N` rows (level 1 points to the case, each
+// other level to its parent) and the record rows of those levels; other tables may point to the
+// case by id (e.g. notes). The server merges these rows into the application's data file.
+
+/**
+ * Read a case's rows from a data file
+ * @param {Function} exec - Runs a query on the open data file and resolves with its rows
+ * @param {string} caseId - The case's uuid (cases.id)
+ * @returns {Promise<Object>} { case: row, tables: { tableName: [row] } } - rows keyed by column name
+ */
+export async function readCaseRows(exec, caseId) {
+    const tables = new Map();
+    for (const row of await exec("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'")) {
+        const name = Array.isArray(row) ? row[0] : row.name;
+        const columns = (await exec(`PRAGMA table_info(${quoteName(name)})`)).map(column => Array.isArray(column) ? column[1] : column.name);
+        tables.set(name, columns);
+    }
+    
+    const select = async (table, where) => {
+        const columns = tables.get(table);
+        const rows = await exec(`SELECT ${columns.map(quoteName).join(', ')} FROM ${quoteName(table)} WHERE ${where}`);
+        return rows.map(row => Array.isArray(row) ? Object.fromEntries(columns.map((column, i) => [column, row[i]])) : row);
+    };
+    
+    const [caseRow] = await select('cases', `id = ${quoteValue(caseId)}`);
+    const result = { case: caseRow, tables: {} };
+    if (!caseRow) return result;
+    
+    // Level rows, top down, then the records pointing to each level
+    let parentIds = null;
+    for (let level = 1; tables.has(`level-${level}`); level++) {
+        const idColumn = `level-${level}-id`;
+        const where = level === 1
+            ? `${quoteName('case-id')} = ${quoteValue(caseId)}`
+            : `${quoteName(`level-${level - 1}-id`)} IN (${parentIds.join(', ') || 'NULL'})`;
+        const rows = await select(`level-${level}`, where);
+        result.tables[`level-${level}`] = rows;
+        parentIds = rows.map(row => Number(row[idColumn]));
+        
+        for (const [table, columns] of tables) {
+            if (/^level-\d+$/.test(table) || !columns.includes(idColumn)) continue;
+            result.tables[table] = await select(table, `${quoteName(idColumn)} IN (${parentIds.join(', ') || 'NULL'})`);
+        }
+    }
+    
+    for (const [table, columns] of tables) {
+        const caseColumn = columns.find(column => column === 'case-id' || column === 'case_id');
+        if (table === 'cases' || result.tables[table] || !caseColumn) continue;
+        result.tables[table] = await select(table, `${quoteName(caseColumn)} = ${quoteValue(caseId)}`);
+    }
+    return result;
+}
+
+function quoteName(name) {
+    return `\`${String(name).replace(/`/g, '``')}\``;
+}
+
+function quoteValue(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// ==================== UPLOAD QUEUE ====================
+
+/**
+ * Queue a completed case for upload; a later queueing of the same case replaces the earlier one
+ * @param {Object} upload
+ * @param {string} upload.application - Application name (as listed by /api/applications)
+ * @param {string} upload.fileName - Data file name
+ * @param {Object} upload.rows - The case's rows (see readCaseRows)
+ */
+export async function queueCaseUpload({ application, fileName, rows }) {
+    const caseId = rows.case.id;
+    await withStore(UPLOADS_STORE, 'readwrite', store => store.put({
+        id: `${application}/${fileName}#${caseId}`,
+        application,
+        fileName,
+        caseId,
+        rows,
+        queuedAt: new Date().toISOString()
+    }));
+}
+
+/**
+ * Queue a file for upload; a later queueing of the same file replaces the earlier one
+ * @param {Object} upload
+ * @param {string} upload.application - Application name (as listed by /api/applications)
+ * @param {string} upload.fileName - File name
+ * @param {Uint8Array} upload.data - File contents
+ */
+export async function queueUpload({ application, fileName, data }) {
+    await withStore(UPLOADS_STORE, 'readwrite', store => store.put({
+        id: `${application}/${fileName}`,
+        application,
+        fileName,
+        data,
+        queuedAt: new Date().toISOString()
+    }));
+}
+
+/**
+ * Last revision of a data file whose completed cases were queued
+ * @returns {number|null} null if the data file's cases were never looked at
+ */
+export function getQueuedRevision(path) {
+    const revisions = JSON.parse(localStorage.getItem(QUEUED_REVISIONS_KEY) || '{}');
+    return revisions[path] ?? null;
+}
+
+export function setQueuedRevision(path, revision) {
+    const revisions = JSON.parse(localStorage.getItem(QUEUED_REVISIONS_KEY) || '{}');
+    revisions[path] = revision;
+    localStorage.setItem(QUEUED_REVISIONS_KEY, JSON.stringify(revisions));
+}
+
+/**
+ * @returns {Promise<number>} Number of uploads waiting, including ones the server rejected
+ */
+export async function getQueuedUploadCount() {
+    return await withStore(UPLOADS_STORE, 'readonly', store => store.count());
+}
+
+/**
+ * Post the queued cases and files to the server, removing each one the server accepted
+ * An upload the server rejects (4xx) is kept but set aside so it doesn't hold up the others;
+ * a network or server error stops the flush so the rest are retried when connectivity returns.
+ * @returns {Promise<{uploaded: number, rejected: number}>}
+ */
+export async function flushUploads() {
+    const uploads = await withStore(UPLOADS_STORE, 'readonly', store => store.getAll());
+    let uploaded = 0;
+    let rejected = 0;
+
+    for (const upload of uploads || []) {
+        if (upload.failedAt) continue;
+        
+        const response = await fetch(`/api/applications/${encodeURIComponent(upload.application)}/${upload.rows ? 'cases' : 'data'}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                deviceId: getDeviceId(),
+                fileName: upload.fileName,
+                ...(upload.rows ? { cases: [upload.rows] } : { data: toBase64(upload.data) }),
+                queuedAt: upload.queuedAt
+            })
+        });
+        const permanent = response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429;
+        if (!response.ok && !permanent) {
+            throw new Error(`Upload of ${upload.fileName} failed: ${response.status} ${response.statusText}`);
+        }
+        if (permanent) {
+            console.warn(`[OfflineStorage] Upload of ${upload.id} rejected: ${response.status} ${response.statusText}`);
+            rejected++;
+        } else {
+            uploaded++;
+        }
+
+        // Only update the entry if it was not queued again while it was being sent
+        const failedAt = permanent ? new Date().toISOString() : null;
+        await withStore(UPLOADS_STORE, 'readwrite', store => {
+            const request = store.get(upload.id);
+            request.onsuccess = () => {
+                if (request.result?.queuedAt !== upload.queuedAt) return;
+                if (failedAt) {
+                    store.put({ ...request.result, failedAt, error: `${response.status} ${response.statusText}` });
+                } else {
+                    store.delete(upload.id);
+                }
+            };
+            return request;
+        });
+    }
+    return { uploaded, rejected };
+}
+
+/**
+ * Identifies this browser's uploads so devices don't overwrite each other's data files
+ */
+function getDeviceId() {
+    let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+    if (!deviceId) {
+        deviceId = crypto.randomUUID();
+        localStorage.setItem(DEVICE_ID_KEY, deviceId);
+    }
+    return deviceId;
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
@@ -4,7 +4,7 @@
  */
 
 import { escapeHtml } from '../utils/html-utils.js';
-import { MB_TYPES, MB_RESULTS } from '../utils/constants.js';
+import { MB_TYPES, MB_RESULTS, INTERVIEW_RECORDING_DIALOG } from '../utils/constants.js';
 
 /**
  * DialogHandler class - Manages CSPro dialogs for the component
@@ -63,6 +63,12 @@ export class DialogHandler {
             const inputData = typeof inputDataJson === 'string' ? JSON.parse(inputDataJson) : inputDataJson;
             const options = optionsJson ? (typeof optionsJson === 'string' ? JSON.parse(optionsJson) : optionsJson) : {};
             
+            // Logic controls the interview recording through a dialog that is never displayed
+            const fileName = dialogPath.replace(/\\/g, '/').split('/').pop();
+            if (fileName.toLowerCase() === `${INTERVIEW_RECORDING_DIALOG}.html`.toLowerCase()) {
+                return await this._component?._onInterviewRecordingRequest(inputData) ?? null;
+            }
+
             // Translate WASM asset paths to web paths
             // /Assets/html/dialogs/errmsg.html -> /dialogs/errmsg.html
             let webPath = dialogPath;
@@ -251,6 +257,358 @@ export class DialogHandler {
         }
     }
     
+    /**
+     * Show the case listing (like CSEntry's case tree in modify mode) using native select.html
+     * @param {Array} cases - Cases from the engine: { key, label, status }
+     * @param {string} title - Dialog title
+     * @returns {Promise<Object|null>} Selected case or null if cancelled
+     */
+    async showCaseListDialog(cases, title = 'Select Case') {
+        console.log('[DialogHandler] Showing case list dialog:', cases.length, 'cases');
+
+        if (!cases || cases.length === 0) {
+            return null;
+        }
+
+        const inputData = {
+            title: title,
+            header: [
+                { caption: 'Case' },
+                { caption: 'Label' },
+                { caption: 'Status' }
+            ],
+            rows: cases.map((caseInfo, idx) => ({
+                index: idx,
+                // Partial cases stand out as they do in CSEntry's listing
+                textColor: caseInfo.status === 'partial' ? 'rgb(192,0,0)' : 'inherit',
+                columns: [
+                    { text: caseInfo.key },
+                    { text: caseInfo.label || '' },
+                    { text: caseInfo.deleted ? 'Deleted' : caseInfo.status === 'partial' ? 'Partial' : 'Complete' }
+                ]
+            })),
+            multiple: false
+        };
+
+        try {
+            const resultJson = await this._showIframeDialog('/dialogs/select.html', inputData);
+            console.log('[DialogHandler] Case list dialog result:', resultJson);
+
+            if (resultJson) {
+                let result = JSON.parse(resultJson);
+                // Handle nested result structure: { result: { rowIndices: [...] } }
+                if (result.result) {
+                    result = result.result;
+                }
+                if (result.rowIndices && result.rowIndices.length > 0) {
+                    return cases[result.rowIndices[0]] || null;
+                }
+            }
+            return null;
+        } catch (e) {
+            console.error('[DialogHandler] Case list dialog error:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Show the Change Language dialog using native select.html
+     * @param {Array} languages - [{ name, label }]
+     * @param {string} [current] - Name of the language in use, marked in the list
+     * @returns {Promise<Object|null>} Selected language or null if cancelled
+     */
+    async showLanguageDialog(languages, current = '') {
+        if (!languages || languages.length === 0) {
+            return null;
+        }
+
+        const inputData = {
+            title: 'Change Language',
+            header: [
+                { caption: 'Language' },
+                { caption: 'Name' },
+                { caption: 'Current' }
+            ],
+            rows: languages.map((language, idx) => ({
+                index: idx,
+                columns: [
+                    { text: language.label || language.name },
+                    { text: language.name },
+                    { text: language.name.toUpperCase() === String(current).toUpperCase() ? '✓' : '' }
+                ]
+            })),
+            multiple: false
+        };
+
+        try {
+            const resultJson = await this._showIframeDialog('/dialogs/select.html', inputData);
+            if (resultJson) {
+                let result = JSON.parse(resultJson);
+                if (result.result) {
+                    result = result.result;
+                }
+                if (result.rowIndices && result.rowIndices.length > 0) {
+                    return languages[result.rowIndices[0]] || null;
+                }
+            }
+            return null;
+        } catch (e) {
+            console.error('[DialogHandler] Language dialog error:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Show the barcode scanning dialog (camera or an image file)
+     * @param {string} message - Text shown above the camera preview, e.g. the field label
+     * @returns {Promise<string|null>} Decoded value, or null if cancelled
+     */
+    async showBarcodeScanDialog(message) {
+        try {
+            const resultJson = await this._showIframeDialog('/dialogs/Barcode-read.html', { message });
+            if (resultJson) {
+                let result = JSON.parse(resultJson);
+                if (result.result) {
+                    result = result.result;
+                }
+                return typeof result.value === 'string' ? result.value : null;
+            }
+            return null;
+        } catch (e) {
+            console.error('[DialogHandler] Barcode scan dialog error:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Show the Take Photo dialog (camera preview with a file picker fallback)
+     * @param {string} message - Text shown above the photo, e.g. the field label
+     * @param {string} [url] - Photo already captured for the field
+     * @returns {Promise<string|null>} JPEG data URL of the photo, or null if cancelled
+     */
+    async showTakePhotoDialog(message, url = null) {
+        try {
+            const resultJson = await this._showIframeDialog('/dialogs/Image-takePhoto.html', { message, url });
+            if (resultJson) {
+                let result = JSON.parse(resultJson);
+                if (result.result) {
+                    result = result.result;
+                }
+                return result.url || null;
+            }
+            return null;
+        } catch (e) {
+            console.error('[DialogHandler] Take photo dialog error:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Show the Find Case dialog: search by case ID, key prefix or the value of a dictionary item
+     * @param {Array} items - Searchable items [{ name, label, record }]
+     * @returns {Promise<Object|null>} Query ({ caseId } | { keyPrefix } | { item, value }) or null if cancelled
+     */
+    showFindCaseDialog(items = []) {
+        return new Promise((resolve) => {
+            const itemOptions = items.map(item =>
+                `<option value="${escapeHtml(item.name)}">${escapeHtml(item.name)} - ${escapeHtml(item.label || '')}</option>`
+            ).join('');
+            
+            this.dialogContainer.innerHTML = `
+                <div class="valueset-dialog find-case-dialog">
+                    <div class="valueset-dialog-header">
+                        <span class="valueset-dialog-title">Find Case</span>
+                        <button type="button" class="valueset-dialog-close" data-find="cancel">&times;</button>
+                    </div>
+                    <form class="find-case-body">
+                        <label for="find-case-by">Search by</label>
+                        <select id="find-case-by">
+                            <option value="caseId">Case ID</option>
+                            <option value="keyPrefix">Key starting with</option>
+                            ${items.length > 0 ? '<option value="item">Item value</option>' : ''}
+                        </select>
+                        <label class="find-case-item-row" for="find-case-item" hidden>Item</label>
+                        <select class="find-case-item-row" id="find-case-item" hidden>${itemOptions}</select>
+                        <label for="find-case-text">Value</label>
+                        <input type="text" id="find-case-text" autocomplete="off">
+                    </form>
+                    <div class="valueset-dialog-footer">
+                        <button type="button" class="valueset-btn valueset-btn-ok" data-find="ok">Find</button>
+                        <button type="button" class="valueset-btn" data-find="cancel">Cancel</button>
+                    </div>
+                </div>
+            `;
+            this.dialogOverlay.style.display = 'block';
+            
+            const dialog = this.dialogContainer.querySelector('.find-case-dialog');
+            const bySelect = dialog.querySelector('#find-case-by');
+            const itemSelect = dialog.querySelector('#find-case-item');
+            const textInput = dialog.querySelector('#find-case-text');
+            
+            const close = (query) => {
+                this.dialogOverlay.style.display = 'none';
+                this.dialogContainer.innerHTML = '';
+                if (this.options.onDialogClose) {
+                    this.options.onDialogClose();
+                }
+                resolve(query);
+            };
+            
+            const submit = () => {
+                const text = textInput.value;
+                if (bySelect.value === 'item') {
+                    close({ item: itemSelect.value, value: text });
+                } else if (text.trim() !== '') {
+                    close({ [bySelect.value]: text });
+                } else {
+                    textInput.focus();
+                }
+            };
+            
+            bySelect.addEventListener('change', () => {
+                for (const el of dialog.querySelectorAll('.find-case-item-row')) {
+                    el.hidden = bySelect.value !== 'item';
+                }
+            });
+            dialog.querySelector('form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                submit();
+            });
+            dialog.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-find]')?.dataset.find;
+                if (action === 'ok') submit();
+                if (action === 'cancel') close(null);
+            });
+            dialog.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') close(null);
+            });
+            
+            textInput.focus();
+        });
+    }
+
+    /**
+     * Show the Go To dialog: pick a field (filtered by name or label) and, in rosters, its occurrence
+     * @param {Array} fields - Fields from buildGoToFields()
+     * @param {Object} [current] - Current field { name, occurrence }, preselected
+     * @param {Object} [display] - { showNames } list names instead of labels, { getDetail } field metadata text
+     * @returns {Promise<Object|null>} { name, occurrence } or null if cancelled
+     */
+    showGoToDialog(fields, current = null, { showNames = false, getDetail = null } = {}) {
+        return new Promise((resolve) => {
+            this.dialogContainer.innerHTML = `
+                <div class="valueset-dialog goto-dialog">
+                    <div class="valueset-dialog-header">
+                        <span class="valueset-dialog-title">Go To</span>
+                        <button type="button" class="valueset-dialog-close" data-goto="cancel">&times;</button>
+                    </div>
+                    <div class="goto-dialog-body">
+                        <input type="text" class="goto-filter" placeholder="Filter by name or label" autocomplete="off">
+                        <select class="goto-fields" size="12"></select>
+                        <label class="goto-occurrence-row" hidden>
+                            Occurrence
+                            <input type="number" class="goto-occurrence" min="1" value="1">
+                            <span class="goto-occurrence-max"></span>
+                        </label>
+                    </div>
+                    <div class="valueset-dialog-footer">
+                        <button type="button" class="valueset-btn valueset-btn-ok" data-goto="ok">Go To</button>
+                        <button type="button" class="valueset-btn" data-goto="cancel">Cancel</button>
+                    </div>
+                </div>
+            `;
+            this.dialogOverlay.style.display = 'block';
+            
+            const dialog = this.dialogContainer.querySelector('.goto-dialog');
+            const filterInput = dialog.querySelector('.goto-filter');
+            const fieldList = dialog.querySelector('.goto-fields');
+            const occurrenceRow = dialog.querySelector('.goto-occurrence-row');
+            const occurrenceInput = dialog.querySelector('.goto-occurrence');
+            const occurrenceMax = dialog.querySelector('.goto-occurrence-max');
+            
+            const selectedField = () => fields[Number(fieldList.value)] || null;
+            
+            const updateOccurrence = () => {
+                const field = selectedField();
+                occurrenceRow.hidden = !field?.rosterName;
+                if (field?.rosterName) {
+                    occurrenceInput.max = field.maxOccurrences;
+                    occurrenceMax.textContent = `of ${field.maxOccurrences}`;
+                    if (Number(occurrenceInput.value) > field.maxOccurrences) {
+                        occurrenceInput.value = field.maxOccurrences;
+                    }
+                }
+            };
+            
+            const renderList = () => {
+                const filter = filterInput.value.trim().toLowerCase();
+                const previous = fieldList.value;
+                fieldList.innerHTML = fields
+                    .map((field, idx) => ({ field, idx }))
+                    .filter(({ field }) => !filter ||
+                        field.name.toLowerCase().includes(filter) ||
+                        field.label.toLowerCase().includes(filter))
+                    .map(({ field, idx }) => {
+                        const text = showNames ? field.name : field.label || field.name;
+                        const detail = getDetail ? getDetail(field.name) : '';
+                        return `<option value="${idx}">${escapeHtml(text)}${detail ? ` [${escapeHtml(detail)}]` : ''}` +
+                            `${field.formName ? ` (${escapeHtml(field.formName)})` : ''}</option>`;
+                    })
+                    .join('');
+                fieldList.value = previous;
+                if (fieldList.selectedIndex < 0) fieldList.selectedIndex = 0;
+                updateOccurrence();
+            };
+            
+            const close = (target) => {
+                this.dialogOverlay.style.display = 'none';
+                this.dialogContainer.innerHTML = '';
+                if (this.options.onDialogClose) {
+                    this.options.onDialogClose();
+                }
+                resolve(target);
+            };
+            
+            const submit = () => {
+                const field = selectedField();
+                if (!field) return;
+                const occurrence = field.rosterName
+                    ? Math.min(Math.max(parseInt(occurrenceInput.value, 10) || 1, 1), field.maxOccurrences)
+                    : 1;
+                close({ name: field.name, occurrence });
+            };
+            
+            filterInput.addEventListener('input', renderList);
+            fieldList.addEventListener('change', updateOccurrence);
+            fieldList.addEventListener('dblclick', submit);
+            dialog.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-goto]')?.dataset.goto;
+                if (action === 'ok') submit();
+                if (action === 'cancel') close(null);
+            });
+            dialog.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    submit();
+                } else if (e.key === 'Escape') {
+                    close(null);
+                } else if (e.key === 'ArrowDown' && e.target === filterInput) {
+                    e.preventDefault();
+                    fieldList.focus();
+                }
+            });
+            
+            const currentIdx = current ? fields.findIndex(field => field.name === current.name) : -1;
+            renderList();
+            if (currentIdx >= 0) {
+                fieldList.value = String(currentIdx);
+                occurrenceInput.value = current.occurrence || 1;
+                updateOccurrence();
+            }
+            filterInput.focus();
+        });
+    }
+
     /**
      * Show a simple message dialog
      * @param {Object} inputData - Dialog input data
@@ -361,8 +719,11 @@ export class DialogHandler {
                 height: 200px;
             `;
             
+            let loadTimeout = null;
+            
             // Cleanup function
             const cleanup = () => {
+                clearTimeout(loadTimeout);
                 window.removeEventListener('message', messageHandler);
                 document.removeEventListener('keydown', keyHandler);
                 if (overlay.parentNode) {
@@ -394,8 +755,9 @@ export class DialogHandler {
                 }
                 
                 if (event.data.type === 'cspro-dialog-ready') {
-                    // Dialog loaded and ready, send input data
+                    // Dialog loaded and ready, send input data; it may now stay open as long as the user needs
                     console.log('[DialogHandler] Dialog ready, sending input data');
+                    clearTimeout(loadTimeout);
                     iframe.contentWindow.postMessage({
                         type: 'cspro-dialog-init',
                         inputData: inputData,
@@ -436,12 +798,14 @@ export class DialogHandler {
                 ? `${dialogPath}&web=1` 
                 : `${dialogPath}?web=1`;
             
+            // Capture dialogs (photo, barcode scan) need the camera and microphone
+            iframe.allow = 'camera; microphone';
             iframe.src = webDialogPath;
             overlay.appendChild(iframe);
             document.body.appendChild(overlay);
             
             // Fallback timeout - if dialog doesn't respond in 30 seconds
-            setTimeout(() => {
+            loadTimeout = setTimeout(() => {
                 if (overlay.parentNode) {
                     console.warn('[DialogHandler] Dialog timeout, auto-closing');
                     cleanup();
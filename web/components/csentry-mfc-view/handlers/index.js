@@ -5,5 +5,6 @@
 
 export { DialogHandler, createDialogHandler } from './dialog-handler.js';
 export * from './navigation-handler.js';
+export * from './keyboard-handler.js';
 export { createCSProLogicHandler } from './cspro-logic-handler.js';
 export { createQuestionTextHandler } from './question-text-handler.js';
@@ -0,0 +1,168 @@
+/**
+ * Keyboard Handler - CSEntry menu accelerators and navigation keys
+ * Maps key presses to the actions handled by _handleMenuAction.
+ * @module components/csentry-mfc-view/handlers/keyboard-handler
+ */
+
+/**
+ * Accelerators shown in the menus (see createMenuBar) plus CSEntry navigation keys
+ * key is KeyboardEvent.key (letters lower case); ctrl also matches Cmd.
+ * editingKey: the browser's editing meaning wins inside an editable text field (clipboard, undo, Ins/Del).
+ * notInAlpha: typed as a character in alpha fields.
+ */
+export const ACCELERATORS = [
+    // File
+    { key: 'o', ctrl: true, action: 'open' },
+    { key: 'd', ctrl: true, action: 'openData' },
+    { key: 'r', ctrl: true, action: 'save' },
+    { key: 's', ctrl: true, shift: true, action: 'sync' },
+    // Mode
+    { key: 'a', ctrl: true, action: 'addCase', editingKey: true },
+    { key: 'm', ctrl: true, action: 'modifyCase' },
+    { key: 'v', ctrl: true, action: 'verifyCase', editingKey: true },
+    { key: 'p', ctrl: true, action: 'pause' },
+    { key: 's', ctrl: true, action: 'stop' },
+    // Edit
+    { key: 'Insert', action: 'insertCase', editingKey: true },
+    { key: 'Delete', action: 'deleteCase', editingKey: true },
+    { key: 'f', ctrl: true, action: 'findCase' },
+    { key: 'F3', action: 'insertGroupOcc' },
+    { key: 'F4', action: 'deleteGroupOcc' },
+    { key: 'F5', action: 'sortGroupOcc' },
+    // Navigation
+    { key: 'PageUp', action: 'prevScreen' },
+    { key: 'PageDown', action: 'nextScreen' },
+    { key: 'Home', ctrl: true, action: 'firstCase' },
+    { key: 'PageUp', ctrl: true, action: 'prevCase' },
+    { key: 'PageDown', ctrl: true, action: 'nextCase' },
+    { key: 'End', ctrl: true, action: 'lastCase' },
+    { key: 'End', action: 'advanceToEnd' },
+    { key: '/', action: 'endGroupOcc', notInAlpha: true },
+    { key: '/', ctrl: true, action: 'endGroup' },
+    { key: 'F6', action: 'goTo' },
+    // View
+    { key: 'j', ctrl: true, action: 'fullScreen' },
+    { key: 'z', ctrl: true, action: 'toggleCaseTree', editingKey: true },
+    { key: 't', ctrl: true, action: 'toggleNames' },
+    // Options
+    { key: 'l', ctrl: true, action: 'changeLanguage' },
+    { key: 'c', ctrl: true, action: 'showResponses', editingKey: true },
+    // Help
+    { key: 'F1', action: 'helpTopics' }
+];
+
+/**
+ * Find the action for a key press
+ * @param {KeyboardEvent} e - Key event
+ * @param {Object} [context]
+ * @param {boolean} [context.editing] - Focus is in an editable text field
+ * @param {boolean} [context.alpha] - That field takes alpha values
+ * @returns {string|null} Menu action, or null if the key is not an accelerator here
+ */
+export function getAcceleratorAction(e, { editing = false, alpha = false } = {}) {
+    if (e.altKey) return null;
+
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    const ctrl = e.ctrlKey || e.metaKey;
+    const accelerator = ACCELERATORS.find(a =>
+        a.key === key && !!a.ctrl === ctrl && !!a.shift === e.shiftKey);
+
+    if (!accelerator) return null;
+    if (accelerator.editingKey && editing) return null;
+    if (accelerator.notInAlpha && editing && alpha) return null;
+    return accelerator.action;
+}
+
+/**
+ * Describe the element that has focus, for getAcceleratorAction
+ * @param {Element|null} element - Focused element (inside the shadow root or a CAPI frame)
+ * @returns {Object} { editing, alpha, rosterCell: { fieldName, occurrence } | null }
+ */
+export function describeFocus(element) {
+    const tag = element?.tagName;
+    const editing = !!element && (
+        element.isContentEditable ||
+        tag === 'TEXTAREA' ||
+        (tag === 'INPUT' && !['checkbox', 'radio', 'button', 'submit'].includes(element.type))
+    );
+
+    // Numeric field inputs are marked by the form and roster renderers; everything else accepts '/'
+    const numeric = element?.classList?.contains('numeric') || element?.dataset?.isNumeric === '1' ||
+        element?.type === 'number' || ['numeric', 'decimal'].includes(element?.getAttribute?.('inputmode'));
+    const alpha = editing && !numeric;
+
+    const rosterInput = element?.closest?.('.form-roster') && element.dataset?.fieldName;
+    const rosterCell = rosterInput && element.dataset.rowIndex !== undefined
+        ? { fieldName: element.dataset.fieldName, occurrence: Number(element.dataset.rowIndex) + 1 }
+        : null;
+
+    return { editing, alpha, rosterCell };
+}
+
+/**
+ * Keyboard access to the menu bar: Alt+underlined letter opens a menu,
+ * arrows move through it, Enter runs the highlighted item, Escape closes it.
+ * @param {KeyboardEvent} e - Key event
+ * @param {ShadowRoot} root - Component shadow root holding the menu bar
+ * @param {Function} runAction - Called with the chosen item's action
+ * @returns {boolean} Whether the key was used by the menu bar
+ */
+export function handleMenuKey(e, root, runAction) {
+    const menus = [...root.querySelectorAll('.menu-item')];
+    const openMenu = menus.find(m => m.classList.contains('open'));
+
+    if (e.altKey && !e.ctrlKey && e.key.length === 1) {
+        const letter = e.key.toLowerCase();
+        const menu = menus.find(m => m.querySelector('.menu-label u')?.textContent.toLowerCase() === letter);
+        if (!menu) return false;
+        openMenuWithFocus(menus, menu, 0);
+        return true;
+    }
+
+    if (!openMenu) return false;
+
+    const items = [...openMenu.querySelectorAll('.menu-dropdown-item[data-action]')];
+    const focusedIndex = items.findIndex(item => item.classList.contains('focused'));
+
+    switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp': {
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            const next = (focusedIndex + step + items.length) % items.length;
+            items.forEach((item, idx) => item.classList.toggle('focused', idx === next));
+            return true;
+        }
+        case 'ArrowLeft':
+        case 'ArrowRight': {
+            const step = e.key === 'ArrowRight' ? 1 : -1;
+            const menuIndex = menus.indexOf(openMenu);
+            openMenuWithFocus(menus, menus[(menuIndex + step + menus.length) % menus.length], 0);
+            return true;
+        }
+        case 'Enter':
+            if (focusedIndex >= 0) {
+                closeMenus(menus);
+                runAction(items[focusedIndex].dataset.action);
+            }
+            return true;
+        case 'Escape':
+            closeMenus(menus);
+            return true;
+        default:
+            return false;
+    }
+}
+
+function openMenuWithFocus(menus, menu, itemIndex) {
+    closeMenus(menus);
+    menu.classList.add('open');
+    const items = menu.querySelectorAll('.menu-dropdown-item[data-action]');
+    items[itemIndex]?.classList.add('focused');
+}
+
+function closeMenus(menus) {
+    menus.forEach(menu => {
+        menu.classList.remove('open');
+        menu.querySelectorAll('.menu-dropdown-item.focused').forEach(item => item.classList.remove('focused'));
+    });
+}
@@ -55,6 +55,41 @@ export function buildNavigationFields(form) {
     return navigationFields;
 }
 
+/**
+ * Build the Go To dialog's field list: every field on every form, in form order
+ * @param {Array} forms - Application forms
+ * @returns {Array} [{ name, label, formName, rosterName, maxOccurrences }] - rosterName is null outside rosters
+ */
+export function buildGoToFields(forms) {
+    const goToFields = [];
+    const seen = new Set();
+    const add = (field, form, roster) => {
+        if (!field?.name || seen.has(field.name)) return;
+        seen.add(field.name);
+        goToFields.push({
+            name: field.name,
+            label: field.label || '',
+            formName: form.label || form.name || '',
+            rosterName: roster ? roster.name : null,
+            maxOccurrences: roster ? (roster.maxOccurrences || 1) : 1
+        });
+    };
+    
+    for (const form of forms || []) {
+        for (const field of form.fields || []) {
+            add(field, form, null);
+        }
+        for (const roster of form.rosters || []) {
+            for (const col of roster.columns || []) {
+                for (const field of col.fields || []) {
+                    add(field, form, roster);
+                }
+            }
+        }
+    }
+    return goToFields;
+}
+
 /**
  * Find navigation index for a field
  * @param {Array} navigationFields - Navigation field list
@@ -4,28 +4,36 @@
  * A Web Component that renders CSPro data entry forms with an MFC-style interface.
  * Supports both client-side WASM engine and server-side proxy modes.
  * 
+ * Attributes:
+ *   auto-save-interval - seconds between automatic partial saves of the case in progress
+ *                        (default 60, 0 turns them off)
+ *   operator-id        - operator starting server sessions; their chosen language is remembered
+ *                        for their next session (default: the PFF's OperatorID)
+ * 
  * @module components/csentry-mfc-view
  */
 
 // Import utilities
-import { CAPTURE_TYPES, FREE_MOVEMENT, ROSTER_ORIENTATION, parsePFF, escapeHtml, modifyDialogHtml } from './utils/index.js';
+import { CAPTURE_TYPES, FREE_MOVEMENT, ROSTER_ORIENTATION, AUTO_SAVE_INTERVAL_MS, INTERRUPTED_CASE_STORAGE_KEY, INTERVIEW_RECORDING_DIALOG, AudioRecorder, getAudioFileExtension, parsePFF, getDataFilePath, setPffEntries, escapeHtml, modifyDialogHtml, listDictionaryItems } from './utils/index.js';
 
 // Import styles
 import { getMFCStyles } from './styles.js';
 
 // Import handlers
 import { DialogHandler } from './handlers/dialog-handler.js';
-import { buildNavigationFields, focusNavigationField, getCurrentFieldInput, moveToRosterCell, moveToRosterColumn } from './handlers/navigation-handler.js';
+import { buildNavigationFields, buildGoToFields, focusNavigationField, getCurrentFieldInput, moveToRosterCell, moveToRosterColumn } from './handlers/navigation-handler.js';
+import { getAcceleratorAction, describeFocus, handleMenuKey } from './handlers/keyboard-handler.js';
 
 // Import renderers
 import { createMFCLayout, getLayoutElements, initSplitter, toggleTreePanel, updateStatusBar, showLoading, hideLoading } from './renderers/layout-renderer.js';
-import { renderForm, createFieldElement, getFieldElementValue, createTextInput, createNumericTickmarkInput, createRadioButtonGroup, createCheckboxGroup, createDropdown, createSlider, createDateInput } from './renderers/form-renderer.js';
+import { renderForm, createFieldElement, getFieldElementValue, createTextInput, createNumericTickmarkInput, createRadioButtonGroup, createCheckboxGroup, createDropdown, createSlider, createDateInput, setToggleValue, setPhotoThumbnail, setSignatureImage, setAudioSource } from './renderers/form-renderer.js';
 import { createRosterTable, createRosterCellInput, updateTickmarkDisplay, updateRosterFromEngine, updateFieldDisplayValue, highlightCurrentRow } from './renderers/roster-renderer.js';
-import { buildCaseTree, updateTreeValue, highlightTreeField, expandAll, collapseAll } from './renderers/tree-renderer.js';
+import { buildCaseTree, renderEngineCaseTree, updateTreeValue, highlightTreeField, expandAll, collapseAll } from './renderers/tree-renderer.js';
 import { showCAPI, hideCapiPanel, displayCapiHtml, setupCapiMessageListener } from './renderers/capi-renderer.js';
 
 // Import engine proxy
 import { createServerSideEngineProxy } from './engine/engine-proxy.js';
+import { OFFLINE_DATA_DIR, mountOfflineData, persistOfflineData, getFileModifiedTime, readCaseRows, queueCaseUpload, queueUpload, getQueuedRevision, setQueuedRevision, flushUploads } from './engine/offline-storage.js';
 
 /**
  * CSEntry MFC-Style View Web Component
@@ -57,6 +65,29 @@ class CSEntryMFCView extends HTMLElement {
         this._rosters = {};
         this._currentPageResult = null;
         this._capiBlobUrl = null;
+        this._serverStatus = null;            // Last status pushed by the server session
+        this._entryMode = 'add';              // add, modify or verify
+        this._currentCaseKey = null;          // Key of the case opened in modify/verify mode
+        this._resumingServerSession = null;
+        this._caseTreeRefresh = null;         // In-flight case tree refresh: { pending }
+        this._showNames = false;              // Dictionary names instead of labels (tree, status bar, Go To)
+        this._showFieldDetails = false;       // Item type, length and value set in the tree and Go To
+        this._dictionary = null;              // Dictionary item metadata: { app, items: Map by upper-case name }
+        this._onDocumentKeyDown = (e) => this._onAcceleratorKey(e, this.shadowRoot.activeElement);
+        this._offlineStorage = null;          // Client WASM mode: how OFFLINE_DATA_DIR is persisted
+        this._offlineDataFile = null;         // Client WASM mode: { path, mtime } of the open data file
+        this._uploadFlush = null;             // In-flight upload of queued data files
+        this._onOnline = () => this._flushOfflineUploads();
+        this._clientPffPath = null;           // Client WASM mode: FS path of the loaded PFF
+        this._caseDirty = false;              // Values keyed since the case was started or last auto-saved
+        this._autoSaveTimer = null;
+        this._autoSaving = null;              // In-flight automatic partial save
+        this._onPageHidden = () => {
+            if (document.visibilityState === 'hidden') this._autoSave({ keepalive: true });
+        };
+        this._onBeforeUnload = () => this._autoSave({ keepalive: true });
+        this._capturedFileUrls = new Map();   // Client WASM mode: blob URLs of captured files, by relative path
+        this._interviewRecording = null;      // Background recording started by logic: { recorder, name }
         
         // Dialog handler
         this.dialogHandler = null;
@@ -123,6 +154,12 @@ class CSEntryMFCView extends HTMLElement {
         // Set up CAPI message listener - pass component (this) for full action handling
         setupCapiMessageListener(window, this, this.$.capiIframe);
         
+        // Keys pressed in question text don't reach the document, so accelerators are bound in each page loaded
+        this.$.capiIframe.addEventListener('load', () => {
+            const frameDocument = this.$.capiIframe.contentDocument;
+            frameDocument?.addEventListener('keydown', (e) => this._onAcceleratorKey(e, frameDocument.activeElement), true);
+        });
+        
         // Initialize splitter drag using modular helper
         initSplitter(this.$.splitter, this.$.treePanel, this.$.formPanel);
     }
@@ -680,7 +717,7 @@ class CSEntryMFCView extends HTMLElement {
             }
             
             // Start the entry session
-            const startResult = await this.engine.start();
+            const startResult = await this.engine.start('add', null, this.getAttribute('operator-id'));
             if (!startResult) {
                 throw new Error('Failed to start session on server');
             }
@@ -708,6 +745,7 @@ class CSEntryMFCView extends HTMLElement {
                 };
             }
             
+            await this._loadDictionary();
             this._renderApplication();
             this._hideLoading();
             
@@ -856,12 +894,29 @@ class CSEntryMFCView extends HTMLElement {
      */
     connectedCallback() {
         console.log('[MFC] CSEntryMFCView connected');
+        document.addEventListener('keydown', this._onDocumentKeyDown, true);
+        window.addEventListener('online', this._onOnline);
+        // Cases queued while offline in an earlier visit
+        this._flushOfflineUploads();
+        
+        document.addEventListener('visibilitychange', this._onPageHidden);
+        window.addEventListener('beforeunload', this._onBeforeUnload);
+        this._startAutoSave();
+        this._offerInterruptedCase();
     }
     
     /**
      * Web component lifecycle - disconnected from DOM
      */
     disconnectedCallback() {
+        document.removeEventListener('keydown', this._onDocumentKeyDown, true);
+        window.removeEventListener('online', this._onOnline);
+        document.removeEventListener('visibilitychange', this._onPageHidden);
+        window.removeEventListener('beforeunload', this._onBeforeUnload);
+        clearInterval(this._autoSaveTimer);
+        this.engine?.stopHeartbeat?.();
+        this.engine?.unsubscribeEvents?.();
+        
         // Clean up blob URLs
         if (this._capiBlobUrl) {
             URL.revokeObjectURL(this._capiBlobUrl);
@@ -869,6 +924,9 @@ class CSEntryMFCView extends HTMLElement {
         if (this.$.capiIframe._blobUrl) {
             URL.revokeObjectURL(this.$.capiIframe._blobUrl);
         }
+        this._capturedFileUrls.forEach(url => URL.revokeObjectURL(url));
+        this._capturedFileUrls.clear();
+        this._finishInterviewRecording();
     }
     
     // ==================== MENU/UI HANDLERS ====================
@@ -890,6 +948,7 @@ class CSEntryMFCView extends HTMLElement {
             case 'stop': this.stopEntry(); break;
             case 'insertCase': this.insertCase(); break;
             case 'deleteCase': this.deleteCase(); break;
+            case 'undeleteCase': this.undeleteCase(); break;
             case 'findCase': this._showFindDialog(); break;
             case 'insertGroupOcc': this.insertOcc(); break;
             case 'deleteGroupOcc': this.deleteOcc(); break;
@@ -900,12 +959,14 @@ class CSEntryMFCView extends HTMLElement {
             case 'prevCase': this.previousCase(); break;
             case 'nextCase': this.nextCase(); break;
             case 'lastCase': this.lastCase(); break;
+            case 'advanceToEnd': this.advanceToEnd(); break;
             case 'endGroupOcc': this.endGroupOcc(); break;
             case 'endGroup': this.endGroup(); break;
             case 'goTo': this._showGoToDialog(); break;
             case 'fullScreen': this._toggleFullScreen(); break;
             case 'toggleCaseTree': this._toggleCaseTree(); break;
             case 'toggleNames': this._toggleNames(); break;
+            case 'toggleFieldDetails': this._toggleFieldDetails(); break;
             case 'changeLanguage': this._showLanguageDialog(); break;
             case 'showResponses': this._toggleResponses(); break;
             case 'helpTopics': this._showHelp(); break;
@@ -940,17 +1001,64 @@ class CSEntryMFCView extends HTMLElement {
     }
     
     /**
-     * Show find case dialog
+     * Show find case dialog - searches the data file and opens the chosen match in modify mode
      */
-    _showFindDialog() {
-        console.log('[MFC] Find dialog - not implemented yet');
+    async _showFindDialog() {
+        if (!this.engine?.searchCases) {
+            await this._showMessage('Finding cases requires the server engine.', 'Find Case');
+            return;
+        }
+        
+        let matches;
+        try {
+            const items = await this.engine.getSearchableItems();
+            const query = await this.dialogHandler.showFindCaseDialog(items);
+            if (!query) return;
+            
+            matches = await this.engine.searchCases(query);
+        } catch (e) {
+            this._showError('Find failed: ' + e.message);
+            return;
+        }
+        
+        if (matches.length === 0) {
+            await this._showMessage('No cases match.', 'Find Case');
+            return;
+        }
+        
+        const plural = matches.length === 1 ? '' : 'es';
+        const selected = await this.dialogHandler.showCaseListDialog(matches, `Find Case - ${matches.length} match${plural}`);
+        if (!selected) return;
+        
+        await this._openCase(selected.key, 'modify');
     }
     
     /**
-     * Show go to dialog
+     * Show go to dialog - moves to the chosen field and occurrence, reporting when logic blocks the move
      */
-    _showGoToDialog() {
-        console.log('[MFC] Go To dialog - not implemented yet');
+    async _showGoToDialog() {
+        if (!this.engine?.goToField || !this.currentApp?.forms?.length) return;
+        
+        const fields = buildGoToFields(this.currentApp.forms);
+        const current = this.currentField
+            ? { name: this.currentField.name, occurrence: this.currentField.indexes?.[0] || 1 }
+            : null;
+        if (this._showFieldDetails) await this._loadDictionary();
+        const target = await this.dialogHandler.showGoToDialog(fields, current, this._fieldDisplayOptions());
+        if (!target) return;
+        
+        const page = await this.goToField(target.name, target.occurrence);
+        const landed = page?.fields?.[page.currentFieldIndex ?? 0];
+        const isRosterTarget = fields.find(f => f.name === target.name)?.rosterName;
+        const reached = landed?.name?.toUpperCase() === target.name.toUpperCase() &&
+            (!isRosterTarget || landed.indexes?.[0] === target.occurrence);
+        if (!reached) {
+            const targetText = isRosterTarget ? `${target.name}(${target.occurrence})` : target.name;
+            const landedText = landed
+                ? ` Entry is on ${landed.name}${landed.indexes?.[0] > 0 ? `(${landed.indexes[0]})` : ''}.`
+                : '';
+            await this._showMessage(`Could not move to ${targetText}.${landedText}`, 'Go To');
+        }
     }
     
     /**
@@ -973,6 +1081,7 @@ class CSEntryMFCView extends HTMLElement {
         if (panel.style.display === 'none') {
             panel.style.display = '';
             splitter.style.display = '';
+            this._buildCaseTree();
         } else {
             panel.style.display = 'none';
             splitter.style.display = 'none';
@@ -980,17 +1089,79 @@ class CSEntryMFCView extends HTMLElement {
     }
     
     /**
-     * Toggle names in case tree
+     * Toggle dictionary names vs labels in the case tree, status bar and Go To list
      */
     _toggleNames() {
-        console.log('[MFC] Toggle names - not implemented yet');
+        this._showNames = !this._showNames;
+        this._setMenuCheck('toggleNames', this._showNames);
+        if (this.currentField) {
+            this._updateStatus(this._fieldStatusText(this.currentField));
+        }
+        this._buildCaseTree();
+    }
+    
+    /**
+     * Toggle field metadata (type, length, value set) in the case tree and Go To list
+     */
+    async _toggleFieldDetails() {
+        this._showFieldDetails = !this._showFieldDetails;
+        this._setMenuCheck('toggleFieldDetails', this._showFieldDetails);
+        if (this._showFieldDetails) await this._loadDictionary();
+        this._buildCaseTree();
+    }
+    
+    /**
+     * Show language dialog - switches the engine language and re-renders labels and question text
+     */
+    async _showLanguageDialog() {
+        if (!this.engine?.getLanguages || !this.engine?.setLanguage) {
+            await this._showMessage('Changing languages needs a server session.', 'Change Language');
+            return;
+        }
+        
+        try {
+            const { current, languages } = await this.engine.getLanguages() || {};
+            if (!languages?.length || (languages.length === 1 && languages[0].name === current)) {
+                await this._showMessage('This application defines only one language.', 'Change Language');
+                return;
+            }
+            
+            const selected = await this.dialogHandler.showLanguageDialog(languages, current);
+            if (!selected || selected.name === current) return;
+            
+            const result = await this.engine.setLanguage(selected.name);
+            await this._refreshLanguage(result.page);
+            if (!result.remembered) {
+                await this._showMessage(`${selected.label || selected.name} is used for this session only: ` +
+                    'languages are remembered per operator and no operator ID was given.', 'Change Language');
+            }
+        } catch (e) {
+            console.error('[MFC] Change language failed:', e);
+            await this._showMessage(e.message, 'Change Language');
+        }
     }
     
     /**
-     * Show language dialog
+     * Re-render everything the engine labels in the current language: forms, page, question text, tree
+     * @param {Object} [page] - Current page after the change
      */
-    _showLanguageDialog() {
-        console.log('[MFC] Language dialog - not implemented yet');
+    async _refreshLanguage(page) {
+        let formData = this.engine.getFormData?.();
+        if (formData?.then) formData = await formData;
+        if (!formData?.success || !formData.formFiles?.length || !this.currentApp) return;
+        
+        // A new app object also drops dictionary labels cached for the old language
+        const formName = this.currentForm?.name;
+        this.currentApp = { ...this.currentApp, forms: formData.formFiles[0].forms || [] };
+        const form = this.currentApp.forms.find(f => f.name === formName) || this.currentApp.forms[0];
+        if (form) this._renderForm(form);
+        
+        if (page?.fields?.length) {
+            this._showPageValues(page);
+            await this._handlePageResult(page);
+        } else {
+            this._buildCaseTree();
+        }
     }
     
     /**
@@ -1133,11 +1304,15 @@ class CSEntryMFCView extends HTMLElement {
         const data = await response.json();
         
         if (!data.success || !data.sessionId) {
-            throw new Error('Failed to create server session');
+            // 503 when the server is at its session limit
+            throw new Error(data.error || 'Failed to create server session');
         }
         
         this._sessionId = data.sessionId;
         this.engine = createServerSideEngineProxy(this, this._sessionId);
+        // Heartbeat well within the server's idle timeout
+        this.engine.startHeartbeat(data.idleTimeoutMs ? Math.min(60000, data.idleTimeoutMs / 3) : undefined);
+        this.engine.subscribeEvents((type, eventData) => this._onServerEvent(type, eventData));
         console.log('[MFC] Server-side proxy initialized, sessionId:', this._sessionId);
     }
     
@@ -1178,6 +1353,14 @@ class CSEntryMFCView extends HTMLElement {
             console.error('[MFC] Available module exports:', Object.keys(this._wasmModule));
             throw new Error('CSProEngine class not found in WASM module');
         }
+        
+        // Keep data files across reloads; entry still works (in memory) without IndexedDB
+        try {
+            this._offlineStorage = await mountOfflineData(this._wasmModule.FS);
+            console.log('[MFC] Offline data storage:', this._offlineStorage);
+        } catch (e) {
+            console.warn('[MFC] Offline data storage unavailable, data files will not survive a reload:', e);
+        }
     }
     
     /**
@@ -1200,7 +1383,7 @@ class CSEntryMFCView extends HTMLElement {
                 const loadResult = await this.engine.loadApplicationWithFiles(pffContent, files);
                 if (!loadResult) throw new Error('Failed to load application on server');
                 
-                const startResult = await this.engine.start();
+                const startResult = await this.engine.start('add', null, this.getAttribute('operator-id'));
                 if (!startResult) throw new Error('Failed to start session on server');
                 
             } else if (this._wasmModule?.FS) {
@@ -1208,7 +1391,14 @@ class CSEntryMFCView extends HTMLElement {
                 console.log('[MFC] Loading application via client-side WASM');
                 
                 const FS = this._wasmModule.FS;
-                const tempDir = '/tmp/cspro_' + Date.now();
+                // With offline storage the application gets a fixed directory so its data file
+                // is found again after a reload
+                const tempDir = this._offlineStorage && this._appName
+                    ? `${OFFLINE_DATA_DIR}/${this._appName.replace(/[^a-zA-Z0-9_-]/g, '_')}`
+                    : '/tmp/cspro_' + Date.now();
+                // InputData relative to the PFF, e.g. ".\Census.csdb|CSPRODB" -> "Census.csdb"
+                const dataFile = getDataFilePath(parsePFF(pffContent))?.split('|')[0].trim()
+                    .replace(/\\/g, '/').replace(/^\.\//, '');
                 
                 try {
                     FS.mkdirTree(tempDir);
@@ -1219,6 +1409,11 @@ class CSEntryMFCView extends HTMLElement {
                 // Write all files
                 for (const [filename, content] of Object.entries(files)) {
                     const filePath = tempDir + '/' + filename;
+                    
+                    // Keep the cases entered on this device rather than the server's copy of the data file
+                    if (dataFile && filename === dataFile && getFileModifiedTime(FS, filePath) !== null) {
+                        continue;
+                    }
                     const dir = filePath.substring(0, filePath.lastIndexOf('/'));
                     
                     try {
@@ -1246,6 +1441,7 @@ class CSEntryMFCView extends HTMLElement {
                 }
                 
                 const initPath = pffPath || pffContent;
+                this._clientPffPath = pffPath;
                 console.log('[MFC] Initializing from:', initPath);
                 
                 let initResult = this.engine.initApplication(initPath);
@@ -1255,6 +1451,15 @@ class CSEntryMFCView extends HTMLElement {
                 let startResult = this.engine.start();
                 if (startResult?.then) startResult = await startResult;
                 if (!startResult) throw new Error('Failed to start session');
+                
+                if (this._offlineStorage && dataFile) {
+                    const path = `${tempDir}/${dataFile}`;
+                    this._offlineDataFile = { path, mtime: getFileModifiedTime(FS, path) };
+                    // Cases already in the data file came from the server; without one, all will be entered here
+                    if (getQueuedRevision(path) === null) {
+                        await this._queueCompletedCases().catch(() => setQueuedRevision(path, 0));
+                    }
+                }
             } else {
                 throw new Error('No engine available');
             }
@@ -1279,6 +1484,7 @@ class CSEntryMFCView extends HTMLElement {
                 };
             }
             
+            await this._loadDictionary();
             this._renderApplication();
             this._hideLoading();
             
@@ -1318,6 +1524,208 @@ class CSEntryMFCView extends HTMLElement {
             return;
         }
         
+        // Coming from modify/verify: restart entry in add mode
+        if (this._sessionId && this._entryMode !== 'add') {
+            const started = await this.engine.start('add', null, this.getAttribute('operator-id'));
+            if (!started) {
+                this._showError('Failed to start a new case');
+                return;
+            }
+            this._entryMode = 'add';
+        }
+        this._currentCaseKey = null;
+        
+        await this._showStartedCase(true);
+    }
+    
+    /**
+     * Modify an existing case - shows the data file's case listing and opens the selected case
+     */
+    async modifyCase() {
+        if (!this.engine?.getCaseList) {
+            await this._showMessage('Modifying cases requires the server engine.', 'Modify Case');
+            return;
+        }
+        
+        let cases;
+        try {
+            cases = await this.engine.getCaseList();
+        } catch (e) {
+            this._showError('Failed to list cases: ' + e.message);
+            return;
+        }
+        
+        if (cases.length === 0) {
+            await this._showMessage('There are no cases in the data file.', 'Modify Case');
+            return;
+        }
+        
+        const selected = await this.dialogHandler.showCaseListDialog(cases, 'Modify Case');
+        if (!selected) return;
+        
+        await this._openCase(selected.key, 'modify');
+    }
+    
+    /**
+     * Helper: Start entry on an existing case and display it
+     * @param {string} key - Case key
+     * @param {string} mode - 'modify' or 'verify'
+     */
+    async _openCase(key, mode) {
+        this._showLoading('Opening case...');
+        try {
+            const started = await this.engine.start(mode, key, this.getAttribute('operator-id'));
+            if (!started) throw new Error(`Could not open case ${key}`);
+            this._entryMode = mode;
+            this._currentCaseKey = key;
+            this._hideLoading();
+            await this._showStartedCase(false);
+        } catch (e) {
+            this._hideLoading();
+            this._showError('Failed to open case: ' + e.message);
+        }
+    }
+    
+    /**
+     * Insert a case - adds a new case that is written before the selected case in the data file
+     */
+    async insertCase() {
+        const selected = await this._selectCase('Insert Case Before', 'Inserting cases');
+        if (!selected) return;
+        
+        this._showLoading('Starting case...');
+        try {
+            await this.engine.insertCase(selected.key);
+            this._entryMode = 'add';
+            this._hideLoading();
+            await this._showStartedCase(true);
+        } catch (e) {
+            this._hideLoading();
+            this._showError('Failed to insert case: ' + e.message);
+        }
+    }
+    
+    /**
+     * Delete a case - the case is marked as deleted and can be recovered with Undelete Case
+     */
+    async deleteCase() {
+        const selected = await this._selectCase('Delete Case', 'Deleting cases');
+        if (!selected) return;
+        
+        const answer = await this._showMessage(`Delete case ${selected.key}?`, 'Delete Case',
+            [{ caption: 'Yes', index: 1 }, { caption: 'No', index: 2 }]);
+        if (answer !== 1) return;
+        
+        try {
+            await this.engine.deleteCase(selected.key);
+            this._buildCaseTree();
+        } catch (e) {
+            this._showError('Failed to delete case: ' + e.message);
+        }
+    }
+    
+    /**
+     * Undelete a case marked as deleted
+     */
+    async undeleteCase() {
+        const selected = await this._selectCase('Undelete Case', 'Undeleting cases', true);
+        if (!selected) return;
+        
+        try {
+            await this.engine.undeleteCase(selected.key);
+            await this._showMessage(`Case ${selected.key} was undeleted.`, 'Undelete Case');
+        } catch (e) {
+            this._showError('Failed to undelete case: ' + e.message);
+        }
+    }
+    
+    /**
+     * Helper: Pick a case from the data file's case listing
+     * @param {string} title - Dialog title
+     * @param {string} operation - What needs the listing, for the message when there is no server engine
+     * @param {boolean} [deleted] - List the deleted cases instead
+     * @returns {Promise<Object|null>} The selected case, or null
+     */
+    async _selectCase(title, operation, deleted = false) {
+        if (!this.engine?.getCaseList) {
+            await this._showMessage(`${operation} requires the server engine.`, title);
+            return null;
+        }
+        
+        let cases;
+        try {
+            cases = await this.engine.getCaseList(deleted);
+        } catch (e) {
+            this._showError('Failed to list cases: ' + e.message);
+            return null;
+        }
+        
+        if (cases.length === 0) {
+            await this._showMessage(deleted ? 'There are no deleted cases in the data file.' : 'There are no cases in the data file.', title);
+            return null;
+        }
+        
+        return await this.dialogHandler.showCaseListDialog(cases, title);
+    }
+    
+    /**
+     * Verify an existing case - the case's values are keyed again and compared with the originals
+     */
+    async verifyCase() {
+        if (!this.engine?.getCaseList) {
+            await this._showMessage('Verifying cases requires the server engine.', 'Verify Case');
+            return;
+        }
+        
+        let cases;
+        try {
+            cases = await this.engine.getCaseList();
+        } catch (e) {
+            this._showError('Failed to list cases: ' + e.message);
+            return;
+        }
+        
+        // Only complete cases that were not verified yet can be verified
+        cases = cases.filter(c => c.status === 'complete' && !c.verified);
+        if (cases.length === 0) {
+            await this._showMessage('There are no cases to verify in the data file.', 'Verify Case');
+            return;
+        }
+        
+        const selected = await this.dialogHandler.showCaseListDialog(cases, 'Verify Case');
+        if (!selected) return;
+        
+        await this._openCase(selected.key, 'verify');
+    }
+    
+    /**
+     * Show a verify mode mismatch and put the cursor back in the field to re-key it
+     * @param {Object} result - Advance result with verifyMismatch and the (unchanged) page
+     */
+    async _showVerifyMismatch(result) {
+        const { field, indexes, message } = result.verifyMismatch;
+        this._currentPageResult = result;
+        
+        await this._showMessage(message, 'Verify');
+        
+        const fieldElement = this._findFieldElement({ name: field, indexes });
+        const inputEl = fieldElement?.querySelector?.('input, select') || fieldElement;
+        if (inputEl) {
+            if ('value' in inputEl) inputEl.value = '';
+            setTimeout(() => inputEl.focus?.(), 10);
+        }
+    }
+    
+    /**
+     * Display the case the engine just started: first form, current field, CAPI and status
+     * @param {boolean} isNew - Whether this is a new case (add mode)
+     */
+    async _showStartedCase(isNew) {
+        // Whatever was interrupted before has been finished or set aside
+        this._caseDirty = false;
+        this._clearInterruptedCase();
+        this._finishInterviewRecording();
+        
         // Render first form
         if (this.currentApp?.forms?.length > 0) {
             this._renderForm(this.currentApp.forms[0]);
@@ -1330,7 +1738,8 @@ class CSEntryMFCView extends HTMLElement {
         this._currentPageResult = pageResult;
         
         if (pageResult?.fields?.length > 0) {
-            const firstField = pageResult.fields[0];
+            // A modified partial case resumes on its partial save field
+            const firstField = pageResult.fields[pageResult.currentFieldIndex ?? 0] || pageResult.fields[0];
             
             // Find and focus the field element
             let fieldElement = this._findFieldElement(firstField);
@@ -1344,15 +1753,15 @@ class CSEntryMFCView extends HTMLElement {
             }
             
             // Update status
-            const occStr = (firstField.indexes?.[0] > 0) ? `[${firstField.indexes[0]}]` : '';
             const pathMode = this.isPathOn ? 'System Path' : 'Free Movement';
-            this._updateStatus(firstField.name + occStr, '', `Add Mode | ${pathMode}`);
+            const modeName = { add: 'Add', modify: 'Modify', verify: 'Verify' }[this._entryMode] || 'Add';
+            this._updateStatus(this._fieldStatusText(firstField), '', `${modeName} Mode | ${pathMode}`);
             
             this.currentField = firstField;
             await this._showCAPI(firstField, pageResult);
             
-            // Update rosters
-            if (this._rosters) {
+            // Update rosters (not in verify mode, where the original values must stay hidden)
+            if (this._rosters && this._entryMode !== 'verify') {
                 for (const rosterName in this._rosters) {
                     this._updateRosterFromEngine(rosterName);
                 }
@@ -1360,7 +1769,7 @@ class CSEntryMFCView extends HTMLElement {
         }
         
         this._buildCaseTree();
-        this.dispatchEvent(new CustomEvent('caseStarted', { detail: { isNew: true } }));
+        this.dispatchEvent(new CustomEvent('caseStarted', { detail: { isNew } }));
     }
     
     /**
@@ -1370,7 +1779,11 @@ class CSEntryMFCView extends HTMLElement {
         if (!this.engine?.isSessionActive?.()) return;
         
         const saved = this.engine.endCase?.(true);
+        this._saveOfflineData();
         if (saved) {
+            this._caseDirty = false;
+            this._clearInterruptedCase();
+            this._finishInterviewRecording();
             this.dispatchEvent(new CustomEvent('caseSaved'));
             this._showMessage('Case saved successfully');
         } else {
@@ -1411,8 +1824,7 @@ class CSEntryMFCView extends HTMLElement {
                     this.currentField = newField;
                     await this._showCAPI(newField, result);
                     
-                    const occStr = newField.indexes?.[0] > 0 ? `[${newField.indexes[0]}]` : '';
-                    this._updateStatus(newField.name + occStr);
+                    this._updateStatus(this._fieldStatusText(newField));
                 }
             } catch (e) {
                 console.error('[MFC] Error in previousField:', e);
@@ -1422,10 +1834,41 @@ class CSEntryMFCView extends HTMLElement {
         }
     }
     
+    /**
+     * Display a page returned by the engine outside the normal navigation calls
+     * (CAPI actions, end group/roster, session resume): focus its current field and update CAPI/status
+     * @param {Object} page - Page result, or a response wrapping one in `page`
+     */
+    async _handlePageResult(page) {
+        const result = page?.fields ? page : page?.page;
+        if (!result?.fields?.length) {
+            return;
+        }
+        
+        this._currentPageResult = result;
+        const newField = result.fields[result.currentFieldIndex ?? 0] || result.fields[0];
+        if (this._showFormOf(newField)) this._showPageValues(result);
+        
+        const fieldElement = this._findFieldElement(newField);
+        if (fieldElement) {
+            const inputEl = fieldElement.querySelector?.('input, select') || fieldElement;
+            setTimeout(() => {
+                inputEl.focus?.();
+                inputEl.select?.();
+            }, 10);
+        }
+        
+        this.currentField = newField;
+        await this._showCAPI(newField, result);
+        
+        this._updateStatus(this._fieldStatusText(newField));
+    }
+    
     /**
      * Go to specific field - uses engine for CSPro navigation
      * @param {string} fieldName - Field name
      * @param {number} occurrence - Occurrence number
+     * @returns {Promise<Object|null>} The page entry is on afterwards
      */
     async goToField(fieldName, occurrence = 1) {
         if (this.engine?.goToField) {
@@ -1436,6 +1879,7 @@ class CSEntryMFCView extends HTMLElement {
                 if (result?.fields?.length > 0) {
                     this._currentPageResult = result;
                     const newField = result.fields[result.currentFieldIndex ?? 0] || result.fields[0];
+                    if (this._showFormOf(newField)) this._showPageValues(result);
                     
                     const fieldElement = this._findFieldElement(newField);
                     if (fieldElement) {
@@ -1449,8 +1893,7 @@ class CSEntryMFCView extends HTMLElement {
                     this.currentField = newField;
                     await this._showCAPI(newField, result);
                     
-                    const occStr = newField.indexes?.[0] > 0 ? `[${newField.indexes[0]}]` : '';
-                    this._updateStatus(newField.name + occStr);
+                    this._updateStatus(this._fieldStatusText(newField));
                     
                     // Update navigation index
                     const navIdx = this.navigationFields.findIndex(nf => 
@@ -1458,6 +1901,7 @@ class CSEntryMFCView extends HTMLElement {
                     );
                     if (navIdx >= 0) this.currentNavIndex = navIdx;
                 }
+                return result || null;
             } catch (e) {
                 console.error('[MFC] Error in goToField:', e);
             }
@@ -1466,115 +1910,610 @@ class CSEntryMFCView extends HTMLElement {
         }
     }
     
-    // ==================== PRIVATE METHODS ====================
+    /**
+     * Move to the first field of the next form (PgDn)
+     */
+    nextScreen() {
+        return this._moveScreen(1);
+    }
     
     /**
-     * Render the loaded application
+     * Move to the first field of the previous form (PgUp)
      */
-    _renderApplication() {
-        if (!this.currentApp) return;
-        
-        this.$.appName.textContent = this.currentApp.name;
-        
-        // Render first form if available
-        if (this.currentApp.forms?.length > 0) {
-            this._renderForm(this.currentApp.forms[0]);
-        }
-        
-        this._buildCaseTree();
+    previousScreen() {
+        return this._moveScreen(-1);
     }
     
     /**
-     * Render a form
-     * @param {Object} form - Form definition
+     * Modify mode: save the case and open the first case in key order (Ctrl+Home)
      */
-    _renderForm(form) {
-        console.log('[MFC] _renderForm called, form:', form?.name);
-        console.log('[MFC] this.$.formContainer:', this.$.formContainer);
-        
-        this.currentForm = form;
-        
-        const result = renderForm(this.$.formContainer, form, {
-            createFieldElement: (field, idx) => this._createFieldElement(field, idx),
-            createRosterTable: (roster) => this._createRosterTable(roster),
-            setupFieldEvents: (field, el) => this._setupFieldEvents(field, el)
-        });
-        
-        this._rosters = result.rosters;
-        
-        // Build navigation
-        this.navigationFields = buildNavigationFields(form);
-        this.currentNavIndex = 0;
-        
-        this._updateStatus('Ready');
+    firstCase() {
+        return this._moveToCase('first');
     }
     
     /**
-     * Create field element with event handling
+     * Modify mode: save the case and open the previous case in key order (Ctrl+PgUp)
      */
-    _createFieldElement(field, fieldIndex) {
-        return createFieldElement(field, fieldIndex, {
-            onValueChange: (f, value) => this._onCaptureTypeValueChange(f, value),
-            onCheckboxChange: (f, container) => this._onCheckboxChange(f, container)
-        });
+    previousCase() {
+        return this._moveToCase('previous');
     }
     
     /**
-     * Create roster table with event handling
+     * Modify mode: save the case and open the next case in key order (Ctrl+PgDn)
      */
-    _createRosterTable(roster) {
-        return createRosterTable(roster, {
-            onFocus: (e, field, rowIdx, r, input) => this._onRosterCellFocus(e, field, rowIdx, r, input),
-            onBlur: (e, field, rowIdx, r, input) => this._onRosterCellBlur(e, field, rowIdx, r, input),
-            onKeyDown: (e, field, rowIdx, r, input) => this._onRosterCellKeyDown(e, field, rowIdx, r, input),
-            onInput: (e, field, rowIdx, r, input) => this._onRosterCellInput(e, field, rowIdx, r, input),
-            onClick: (e, field, rowIdx, r, input) => this._onRosterCellClick(e, field, rowIdx, r, input),
-            onCheckboxChange: (field, container, rowIdx, roster) => this._onRosterCheckboxChange(field, container, rowIdx, roster),
-            onCheckboxDialogRequest: (field, container, rowIdx, roster, input) => this._onRosterCheckboxDialogRequest(field, container, rowIdx, roster, input)
-        });
+    nextCase() {
+        return this._moveToCase('next');
     }
     
     /**
-     * Handle roster checkbox dialog request - opens native checkbox selection dialog
+     * Modify mode: save the case and open the last case in key order (Ctrl+End)
      */
-    async _onRosterCheckboxDialogRequest(field, container, rowIdx, roster, input) {
-        console.log('[MFC] _onRosterCheckboxDialogRequest:', field.name, 'row:', rowIdx);
-        
-        if (!this.engine) {
-            console.warn('[MFC] No engine available for checkbox dialog');
-            return;
-        }
-        
-        try {
-            const occurrence = rowIdx + 1;
-            
-            // Get responses for this field from engine
-            // First, we need to get responses for the field (move to it briefly if needed)
-            let responses = [];
-            
-            // Try to get responses from the engine
-            if (this.engine.getResponses) {
-                responses = await this.engine.getResponses(field.name);
-            } else if (this.engine.getCurrentPage) {
-                // Try to get from current page - may need to move to field first
-                const page = await this.engine.getCurrentPage();
-                if (page?.fields?.[0]?.responses) {
-                    responses = page.fields[0].responses;
-                }
-            }
-            
-            // If no responses from engine, try to get value set from form definition
-            if (!responses || responses.length === 0) {
-                responses = field.responses || field.valueSet || [];
-            }
-            
-            if (responses.length === 0) {
-                console.warn('[MFC] No responses available for checkbox field:', field.name);
-                // Show a message to user
-                if (this.dialogHandler) {
-                    await this.dialogHandler.showSimpleMessageDialog({
-                        title: 'No Value Set',
-                        message: `No value set defined for field ${field.label || field.name}`,
+    lastCase() {
+        return this._moveToCase('last');
+    }
+    
+    /**
+     * Advance to end - forward through entered fields to the first blank one (End)
+     */
+    advanceToEnd() {
+        return this._runEngineMove('advanceToEnd');
+    }
+    
+    /**
+     * End the current group occurrence (/)
+     */
+    endGroupOcc() {
+        return this._runEngineMove('endGroupOcc');
+    }
+    
+    /**
+     * End the current group or roster (Ctrl+/)
+     */
+    endGroup() {
+        return this._runEngineMove('endGroup');
+    }
+    
+    /**
+     * Insert a group occurrence before the current one (F3)
+     */
+    insertOcc() {
+        return this._runEngineMove('insertOcc');
+    }
+    
+    /**
+     * Delete the current group occurrence after confirming (F4)
+     */
+    async deleteOcc() {
+        const occurrence = this.currentField?.indexes?.[0];
+        if (!occurrence) return null;
+        const answer = await this._showMessage(`Delete occurrence ${occurrence}?`, 'Delete Group Occ',
+            [{ caption: 'Yes', index: 1 }, { caption: 'No', index: 2 }]);
+        if (answer !== 1) return null;
+        return this._runEngineMove('deleteOcc');
+    }
+    
+    /**
+     * Sort the current group's occurrences (F5)
+     */
+    sortOcc() {
+        return this._runEngineMove('sortOcc');
+    }
+    
+    // ==================== PRIVATE METHODS ====================
+    
+    // ==================== CRASH RECOVERY ====================
+    // The case in progress is partial saved every auto-save-interval seconds and when the page is
+    // hidden or closed. The last save is remembered in localStorage, and the next launch offers to
+    // reopen that case on its last field: server sessions are resumed from their snapshot, client
+    // cases are reopened in modify mode from the data file kept in IndexedDB.
+    
+    /**
+     * Start the periodic auto-save (auto-save-interval attribute, in seconds; 0 turns it off)
+     */
+    _startAutoSave() {
+        clearInterval(this._autoSaveTimer);
+        const attribute = this.getAttribute('auto-save-interval');
+        const intervalMs = attribute !== null && !isNaN(attribute) ? Number(attribute) * 1000 : AUTO_SAVE_INTERVAL_MS;
+        this._autoSaveTimer = intervalMs > 0 ? setInterval(() => this._autoSave(), intervalMs) : null;
+    }
+    
+    /**
+     * Partial save the case in progress if values were keyed since the last save
+     * @param {Object} [options]
+     * @param {boolean} [options.keepalive] - The page is being hidden or closed
+     */
+    async _autoSave({ keepalive = false } = {}) {
+        if (!this._caseDirty || this._autoSaving || this._wasmBusy || !this.engine?.isSessionActive?.() ||
+            this._entryMode === 'verify') {
+            return;
+        }
+        
+        this._caseDirty = false;
+        this._autoSaving = (async () => {
+            const field = this._currentPageResult?.fields?.[this._currentPageResult.currentFieldIndex ?? 0];
+            const record = {
+                application: this._appName || this.currentApp?.name,
+                entryMode: this._entryMode,
+                field: field?.name || null,
+                savedAt: new Date().toISOString()
+            };
+            
+            if (this._sessionId) {
+                const result = await this.engine.snapshot({ keepalive });
+                if (!result?.success) throw new Error(result?.error || 'Snapshot failed');
+                Object.assign(record, { mode: 'server', sessionId: this._sessionId, caseKey: this._currentCaseKey });
+            } else {
+                // Without offline storage the data file would not outlive the page
+                if (!this._offlineDataFile || !this.engine.partialSave) return;
+                let saved = this.engine.partialSave();
+                if (saved?.then) saved = await saved;
+                if (saved === false) throw new Error('Partial save failed');
+                await this._saveOfflineData({ upload: false });
+                const caseKey = this._currentCaseKey ?? await this._getClientPartialCaseKey();
+                Object.assign(record, { mode: 'client', caseKey });
+            }
+            
+            localStorage.setItem(INTERRUPTED_CASE_STORAGE_KEY, JSON.stringify(record));
+            console.log('[MFC] Case auto-saved at', record.field);
+        })();
+        
+        try {
+            await this._autoSaving;
+        } catch (e) {
+            // Try again next time
+            this._caseDirty = true;
+            console.warn('[MFC] Auto-save failed:', e.message);
+        } finally {
+            this._autoSaving = null;
+        }
+    }
+    
+    _clearInterruptedCase() {
+        localStorage.removeItem(INTERRUPTED_CASE_STORAGE_KEY);
+    }
+    
+    /**
+     * On launch: offer to reopen the case that was auto-saved when the page was last closed
+     */
+    async _offerInterruptedCase() {
+        let record;
+        try {
+            record = JSON.parse(localStorage.getItem(INTERRUPTED_CASE_STORAGE_KEY));
+        } catch (e) {
+            record = null;
+        }
+        if (!record?.application || this.engine) return;
+        
+        const savedAt = new Date(record.savedAt).toLocaleString();
+        const where = record.field ? ` at ${record.field}` : '';
+        const answer = await this._showMessage(
+            `A case in ${record.application} was interrupted${where} (last saved ${savedAt}).\n\nResume the interrupted case?`,
+            'Resume Case',
+            [{ caption: 'Yes', index: 1 }, { caption: 'No', index: 2 }]
+        );
+        if (answer !== 1) {
+            this._clearInterruptedCase();
+            return;
+        }
+        
+        try {
+            if (record.mode === 'server') {
+                await this._resumeServerCase(record);
+            } else {
+                await this._resumeClientCase(record);
+            }
+        } catch (e) {
+            this._hideLoading();
+            this._showError('Could not resume the interrupted case: ' + e.message);
+        }
+    }
+    
+    /**
+     * Reattach to the server session (still running after a reload) or rebuild it from its snapshot
+     */
+    async _resumeServerCase(record) {
+        this._showLoading('Resuming case...');
+        this._sessionId = record.sessionId;
+        this._appName = record.application;
+        this.engine = createServerSideEngineProxy(this, record.sessionId);
+        
+        const alive = await this.engine.heartbeat().catch(() => false);
+        const page = alive ? await this.engine.getCurrentPage() : await this.engine.resumeSession();
+        if (!page || page.success === false) {
+            this._sessionId = null;
+            this.engine = null;
+            throw new Error(page?.error || 'The session could not be restored');
+        }
+        
+        this.engine.startHeartbeat();
+        this.engine.subscribeEvents((type, eventData) => this._onServerEvent(type, eventData));
+        
+        const formData = await this.engine.getFormData();
+        const formFile = formData?.formFiles?.[0];
+        this.isPathOn = formFile?.pathOn !== false;
+        this.currentApp = {
+            name: formData?.applicationName || record.application,
+            dictionaries: [],
+            forms: formFile?.forms || [],
+            pathOn: this.isPathOn
+        };
+        // A case keyed in add mode comes back in modify mode: the snapshot partially saved it
+        const info = await this.engine.getSessionInfo().catch(() => null);
+        this._entryMode = info?.mode || record.entryMode || 'add';
+        this._currentCaseKey = info?.caseKey ?? record.caseKey ?? null;
+        await this._loadDictionary();
+        this._renderApplication();
+        this._hideLoading();
+        
+        const pageResult = page.fields ? page : page.page;
+        this._showFormOf(pageResult?.fields?.[pageResult.currentFieldIndex ?? 0]);
+        this._showPageValues(pageResult);
+        await this._handlePageResult(pageResult);
+        this._caseDirty = true;
+    }
+    
+    /**
+     * Load the application in the client-side engine and reopen the partially saved case in modify mode
+     * The application files come from the service worker's cache when there is no connection.
+     */
+    async _resumeClientCase(record) {
+        this._showLoading('Resuming case...');
+        if (!this.engine) await this._initializeClientWasm();
+        
+        const response = await fetch(`/api/applications/${encodeURIComponent(record.application)}/files`);
+        if (!response.ok) throw new Error(`Application ${record.application} is not available offline`);
+        const data = await response.json();
+        
+        // CSEntry opens a partially saved case on its partial save field: the application is
+        // started in modify mode on the case rather than on a new one
+        const hasKey = record.caseKey !== null && record.caseKey !== undefined;
+        if (hasKey && typeof data.files?.[data.pffFile] === 'string') {
+            data.files[data.pffFile] = setPffEntries(data.files[data.pffFile], 'DataEntryInit',
+                { StartMode: 'Modify', Key: record.caseKey });
+        }
+        await this._initializeApplicationFromFiles(data.name || record.application, data.pffFile, data.files);
+        
+        if (!this._clientPffPath || !this.currentApp) return;
+        if (!hasKey) {
+            await this._showMessage('The interrupted case was partially saved in the data file but could not be reopened automatically.', 'Resume Case');
+            return;
+        }
+        
+        this._entryMode = 'modify';
+        this._currentCaseKey = record.caseKey;
+        await this._showStartedCase(false);
+        this._caseDirty = true;
+    }
+    
+    /**
+     * Client WASM mode: key of the most recently partial saved case in the data file
+     * Read with the engine's Action Invoker SQLite support, as the server lists cases.
+     */
+    async _getClientPartialCaseKey() {
+        try {
+            const rows = await this._queryClientDataFile(exec => exec(
+                'SELECT key FROM cases WHERE deleted = 0 AND partial_save_mode IS NOT NULL ' +
+                'ORDER BY last_modified_revision DESC LIMIT 1'));
+            const row = rows?.[0];
+            return row ? (Array.isArray(row) ? row[0] : row.key) : null;
+        } catch (e) {
+            console.warn('[MFC] Could not read the partial case key:', e.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Client WASM mode: run queries on the offline data file with the engine's Action Invoker SQLite support
+     * @param {Function} fn - Called with exec(sql), which resolves with a query's rows
+     * @returns {Promise<*>} What fn returns, or null without an offline data file
+     */
+    async _queryClientDataFile(fn) {
+        const path = this._offlineDataFile?.path;
+        if (!path || !this.engine?.processAction) return null;
+        
+        const run = async (action, args) => {
+            let result = this.engine.processAction(action, JSON.stringify(args));
+            if (result?.then) result = await result;
+            if (typeof result === 'string') result = JSON.parse(result);
+            if (result?.type === 'exception') throw new Error(`${action}: ${result.message || 'action failed'}`);
+            return result?.value !== undefined ? result.value : result;
+        };
+        
+        const db = await run('Sqlite.open', { path, openFlags: 'readOnly' });
+        try {
+            return await fn(sql => run('Sqlite.exec', { db, sql }));
+        } finally {
+            await run('Sqlite.close', { db }).catch(() => {});
+        }
+    }
+    
+    /**
+     * Whether a field is the first field of the application (first occurrence)
+     */
+    _isFirstFieldOfCase(field) {
+        const first = buildGoToFields(this.currentApp?.forms || [])[0];
+        return !!first && !!field && first.name.toUpperCase() === field.name.toUpperCase() && (field.indexes?.[0] ?? 0) <= 1;
+    }
+    
+    /**
+     * Client WASM mode: once the engine has written to the data file (a case was saved), persist
+     * the offline directory and queue the completed cases for upload to the server
+     * @param {Object} [options]
+     * @param {boolean} [options.upload] - Queue completed cases for upload (not for partial saves)
+     */
+    async _saveOfflineData({ upload = true } = {}) {
+        const FS = this._wasmModule?.FS;
+        const dataFile = this._offlineDataFile;
+        if (!FS || !dataFile) return;
+        
+        const mtime = getFileModifiedTime(FS, dataFile.path);
+        if (mtime === null || mtime === dataFile.mtime) return;
+        dataFile.mtime = mtime;
+        
+        try {
+            await persistOfflineData(FS);
+            if (!upload) return;
+            const queued = await this._queueCompletedCases();
+            console.log(`[MFC] Data file saved offline, ${queued} case(s) queued for upload:`, dataFile.path);
+        } catch (e) {
+            console.warn('[MFC] Failed to save data file offline:', e);
+            return;
+        }
+        this._flushOfflineUploads();
+    }
+    
+    /**
+     * Client WASM mode: queue the cases completed (or deleted) since the last call for upload
+     * The first call for a data file only records where its cases stand; they are the server's.
+     * @returns {Promise<number>} Number of cases queued
+     */
+    async _queueCompletedCases() {
+        const { path } = this._offlineDataFile;
+        const since = getQueuedRevision(path);
+        const fileName = path.substring(path.lastIndexOf('/') + 1);
+        
+        const latest = await this._queryClientDataFile(async exec => {
+            const rows = await exec('SELECT id, last_modified_revision FROM cases WHERE partial_save_mode IS NULL' +
+                (since !== null ? ` AND last_modified_revision > ${Number(since)}` : ''));
+            let revision = since ?? 0;
+            for (const row of rows || []) {
+                const [id, rowRevision] = Array.isArray(row) ? row : [row.id, row.last_modified_revision];
+                revision = Math.max(revision, Number(rowRevision));
+                if (since !== null) {
+                    await queueCaseUpload({ application: this._appName, fileName, rows: await readCaseRows(exec, id) });
+                }
+            }
+            return { revision, count: since !== null ? rows?.length || 0 : 0 };
+        });
+        if (!latest) return 0;
+        setQueuedRevision(path, latest.revision);
+        return latest.count;
+    }
+    
+    /**
+     * Upload the cases and files queued while offline; the rest are retried on the next 'online' event
+     */
+    _flushOfflineUploads() {
+        if (this._uploadFlush || !navigator.onLine || !window.indexedDB) return this._uploadFlush;
+        
+        this._uploadFlush = flushUploads()
+            .then(({ uploaded, rejected }) => {
+                if (uploaded) console.log(`[MFC] Uploaded ${uploaded} queued case(s) and file(s)`);
+                if (rejected) console.warn(`[MFC] The server rejected ${rejected} queued upload(s); they are kept on this device`);
+            })
+            .catch(e => console.warn('[MFC] Queued uploads not sent yet:', e.message))
+            .finally(() => { this._uploadFlush = null; });
+        return this._uploadFlush;
+    }
+    
+    /**
+     * Screen movement: go to the first field of the form step forms away; the engine runs
+     * the logic in between and may stop earlier (path on) or land on a later field if it is skipped
+     * @param {number} step - 1 for the next form, -1 for the previous one
+     */
+    async _moveScreen(step) {
+        const forms = this.currentApp?.forms || [];
+        if (!this.currentField || !this.engine?.goToField) return null;
+        
+        const formIndex = this._findFormIndex(this.currentField.name);
+        const target = forms[formIndex + step];
+        const firstField = target && buildGoToFields([target])[0];
+        if (formIndex < 0 || !firstField) return null;
+        
+        return await this.goToField(firstField.name, 1);
+    }
+    
+    /**
+     * Case movement in modify mode: save the current case, then open another in key order
+     * @param {string} which - 'first', 'previous', 'next' or 'last'
+     */
+    async _moveToCase(which) {
+        if (this._entryMode !== 'modify' || this._currentCaseKey === null || !this.engine?.getCaseList) {
+            await this._showMessage('Moving between cases is available while modifying a case.', 'Navigation');
+            return;
+        }
+        
+        let keys;
+        try {
+            keys = (await this.engine.getCaseList()).map(c => c.key).sort();
+        } catch (e) {
+            this._showError('Failed to list cases: ' + e.message);
+            return;
+        }
+        
+        const current = this._currentCaseKey;
+        const target = {
+            first: keys[0],
+            previous: keys.filter(key => key < current).pop(),
+            next: keys.find(key => key > current),
+            last: keys[keys.length - 1]
+        }[which];
+        if (target === undefined || target === current) {
+            const edge = which === 'first' || which === 'previous' ? 'first' : 'last';
+            await this._showMessage(`This is the ${edge} case.`, 'Navigation');
+            return;
+        }
+        
+        const saved = await this.engine.stop();
+        if (!saved) {
+            this._showError(`Failed to save case ${current}`);
+            return;
+        }
+        await this._openCase(target, 'modify');
+    }
+    
+    /**
+     * Index of the form holding a field, or -1
+     */
+    _findFormIndex(fieldName) {
+        const name = String(fieldName ?? '').toUpperCase();
+        return (this.currentApp?.forms || []).findIndex(form =>
+            buildGoToFields([form]).some(field => field.name.toUpperCase() === name));
+    }
+    
+    /**
+     * Render the form holding a field when another form is showing (the engine moved across forms)
+     * @returns {boolean} Whether a different form was rendered
+     */
+    _showFormOf(field) {
+        const form = this.currentApp?.forms?.[this._findFormIndex(field?.name)];
+        if (!form || form === this.currentForm) return false;
+        this._renderForm(form);
+        return true;
+    }
+    
+    /**
+     * Fill a freshly rendered form with the values on the engine's page
+     * Values stay hidden in verify mode, as when the case was opened.
+     */
+    _showPageValues(page) {
+        if (this._entryMode === 'verify') return;
+        for (const field of page?.fields || []) {
+            const value = field.alphaValue || (field.numericValue != null ? String(field.numericValue) : '');
+            if (value) updateFieldDisplayValue(this.$.formContainer, field, value);
+        }
+        // Toggle buttons show their value through the switch, not the checkbox's value
+        this.$.formContainer.querySelectorAll('.form-field-toggle').forEach(container => {
+            setToggleValue(container, container.querySelector('input')?.value);
+        });
+        this._showCapturedFiles();
+    }
+    
+    /**
+     * Render the loaded application
+     */
+    _renderApplication() {
+        if (!this.currentApp) return;
+        
+        this.$.appName.textContent = this.currentApp.name;
+        
+        // Render first form if available
+        if (this.currentApp.forms?.length > 0) {
+            this._renderForm(this.currentApp.forms[0]);
+        }
+        
+        this._buildCaseTree();
+    }
+    
+    /**
+     * Render a form
+     * @param {Object} form - Form definition
+     */
+    _renderForm(form) {
+        console.log('[MFC] _renderForm called, form:', form?.name);
+        console.log('[MFC] this.$.formContainer:', this.$.formContainer);
+        
+        this.currentForm = form;
+        
+        const result = renderForm(this.$.formContainer, form, {
+            createFieldElement: (field, idx) => this._createFieldElement(field, idx),
+            createRosterTable: (roster) => this._createRosterTable(roster),
+            setupFieldEvents: (field, el) => this._setupFieldEvents(field, el)
+        });
+        
+        this._rosters = result.rosters;
+        
+        // Build navigation
+        this.navigationFields = buildNavigationFields(form);
+        this.currentNavIndex = 0;
+        
+        this._updateStatus('Ready');
+    }
+    
+    /**
+     * Create field element with event handling
+     */
+    _createFieldElement(field, fieldIndex) {
+        return createFieldElement(field, fieldIndex, {
+            onValueChange: (f, value) => this._onCaptureTypeValueChange(f, value),
+            onCheckboxChange: (f, container) => this._onCheckboxChange(f, container),
+            onPhotoCapture: (f, container) => this._onPhotoCapture(f, container),
+            onSignatureCapture: (f, container, dataUrl) => this._onSignatureCapture(f, container, dataUrl),
+            onAudioCapture: (f, container, blob) => this._onAudioCapture(f, container, blob),
+            onBarcodeScan: (f, container) => this._onBarcodeScan(f, container)
+        }, {
+            // As in CSEntry: operator-controlled entry lets out-of-range values be confirmed, system-controlled doesn't
+            allowOutOfRange: !this.isPathOn,
+            dictionaryItem: this._dictionary?.items.get(String(field.name).toUpperCase())
+        });
+    }
+    
+    /**
+     * Create roster table with event handling
+     */
+    _createRosterTable(roster) {
+        return createRosterTable(roster, {
+            onFocus: (e, field, rowIdx, r, input) => this._onRosterCellFocus(e, field, rowIdx, r, input),
+            onBlur: (e, field, rowIdx, r, input) => this._onRosterCellBlur(e, field, rowIdx, r, input),
+            onKeyDown: (e, field, rowIdx, r, input) => this._onRosterCellKeyDown(e, field, rowIdx, r, input),
+            onInput: (e, field, rowIdx, r, input) => this._onRosterCellInput(e, field, rowIdx, r, input),
+            onClick: (e, field, rowIdx, r, input) => this._onRosterCellClick(e, field, rowIdx, r, input),
+            onCheckboxChange: (field, container, rowIdx, roster) => this._onRosterCheckboxChange(field, container, rowIdx, roster),
+            onCheckboxDialogRequest: (field, container, rowIdx, roster, input) => this._onRosterCheckboxDialogRequest(field, container, rowIdx, roster, input)
+        });
+    }
+    
+    /**
+     * Handle roster checkbox dialog request - opens native checkbox selection dialog
+     */
+    async _onRosterCheckboxDialogRequest(field, container, rowIdx, roster, input) {
+        console.log('[MFC] _onRosterCheckboxDialogRequest:', field.name, 'row:', rowIdx);
+        
+        if (!this.engine) {
+            console.warn('[MFC] No engine available for checkbox dialog');
+            return;
+        }
+        
+        try {
+            const occurrence = rowIdx + 1;
+            
+            // Get responses for this field from engine
+            // First, we need to get responses for the field (move to it briefly if needed)
+            let responses = [];
+            
+            // Try to get responses from the engine
+            if (this.engine.getResponses) {
+                responses = await this.engine.getResponses(field.name);
+            } else if (this.engine.getCurrentPage) {
+                // Try to get from current page - may need to move to field first
+                const page = await this.engine.getCurrentPage();
+                if (page?.fields?.[0]?.responses) {
+                    responses = page.fields[0].responses;
+                }
+            }
+            
+            // If no responses from engine, try to get value set from form definition
+            if (!responses || responses.length === 0) {
+                responses = field.responses || field.valueSet || [];
+            }
+            
+            if (responses.length === 0) {
+                console.warn('[MFC] No responses available for checkbox field:', field.name);
+                // Show a message to user
+                if (this.dialogHandler) {
+                    await this.dialogHandler.showSimpleMessageDialog({
+                        title: 'No Value Set',
+                        message: `No value set defined for field ${field.label || field.name}`,
                         buttons: [{ index: 1, caption: 'OK' }],
                         defaultButtonIndex: 1
                     });
@@ -1711,19 +2650,41 @@ class CSEntryMFCView extends HTMLElement {
             try {
                 this._wasmBusy = true;
                 console.log('[MFC] Calling engine.setFieldValueAndAdvance...');
-                let result = this.engine.setFieldValueAndAdvance(value);
+                // In server mode, tell the server which field (and occurrence) the value is for so a
+                // repeated submission can't be entered into the next field
+                const page = this._currentPageResult;
+                const keyedField = page?.fields?.[page.currentFieldIndex ?? 0];
+                let result = this._sessionId && keyedField?.name
+                    ? this.engine.setFieldValueAndAdvance(value, keyedField.name, keyedField.indexes)
+                    : this.engine.setFieldValueAndAdvance(value);
                 if (result?.then) result = await result;
                 this._wasmBusy = false;
+                this._saveOfflineData();
+                this._caseDirty = true;
                 
                 console.log('[MFC] setFieldValueAndAdvance result:', result);
                 console.log('[MFC] Result fields count:', result?.fields?.length);
                 console.log('[MFC] Result dialogs:', result?.dialogs);
                 
+                // Verify mode: the keyed value didn't match the original - the field must be re-keyed
+                if (result?.verifyMismatch) {
+                    await this._showVerifyMismatch(result);
+                    return;
+                }
+                
                 if (result?.fields?.length > 0) {
                     this._currentPageResult = result;
                     const currentFieldIndex = result.currentFieldIndex ?? 0;
                     const newField = result.fields[currentFieldIndex] || result.fields[0];
                     
+                    // Back on the first field after keying another: the engine wrote the case and started the next
+                    if (this._entryMode === 'add' && keyedField && this._isFirstFieldOfCase(newField) &&
+                        keyedField.toUpperCase() !== newField.name.toUpperCase()) {
+                        this._caseDirty = false;
+                        this._clearInterruptedCase();
+                        this._finishInterviewRecording();
+                    }
+                    
                     console.log('[MFC] New field:', newField.name, 'captureType:', newField.captureType, 'indexes:', newField.indexes);
                     console.log('[MFC] Field responses count:', newField.responses?.length || 0);
                     
@@ -1733,16 +2694,17 @@ class CSEntryMFCView extends HTMLElement {
                     const responses = newField.responses || [];
                     const hasValueSet = responses.length > 0;
                     const isRosterField = newField.indexes?.[0] > 0;
-                    const isDropDownOrCombo = captureType === CT.DropDown || captureType === CT.ComboBox;
+                    // Combo boxes on the form are typed into, with the value set as suggestions
+                    const isDropDown = captureType === CT.DropDown;
                     const isRadioButton = captureType === CT.RadioButton;
                     const isCheckBox = captureType === CT.CheckBox;
                     
-                    // Show dialog for: roster fields with value set, dropdown/combo, radio buttons, checkboxes
-                    const needsSelectDialog = hasValueSet && (isRosterField || isDropDownOrCombo || isRadioButton);
+                    // Show dialog for: roster fields with value set, dropdown, radio buttons, checkboxes
+                    const needsSelectDialog = hasValueSet && (isRosterField || isDropDown || isRadioButton);
                     const needsCheckboxDialog = hasValueSet && isCheckBox;
                     
                     console.log('[MFC] Value set check: hasValueSet=', hasValueSet, 'isRosterField=', isRosterField, 
-                                'isDropDownOrCombo=', isDropDownOrCombo, 'isRadioButton=', isRadioButton,
+                                'isDropDown=', isDropDown, 'isRadioButton=', isRadioButton,
                                 'isCheckBox=', isCheckBox, 'needsSelectDialog=', needsSelectDialog,
                                 'needsCheckboxDialog=', needsCheckboxDialog);
                     
@@ -1792,15 +2754,14 @@ class CSEntryMFCView extends HTMLElement {
                     this.currentField = newField;
                     await this._showCAPI(newField, result);
                     
-                    // Update rosters
-                    if (newField.indexes?.[0] > 0 && this._rosters) {
+                    // Update rosters (not in verify mode, where the original values must stay hidden)
+                    if (newField.indexes?.[0] > 0 && this._rosters && this._entryMode !== 'verify') {
                         for (const rosterName in this._rosters) {
                             this._updateRosterFromEngine(rosterName);
                         }
                     }
                     
-                    const occStr = newField.indexes?.[0] > 0 ? `[${newField.indexes[0]}]` : '';
-                    this._updateStatus(newField.name + occStr);
+                    this._updateStatus(this._fieldStatusText(newField));
                     return;
                 }
             } catch (e) {
@@ -1882,8 +2843,7 @@ class CSEntryMFCView extends HTMLElement {
         this._showCAPI(field);
         highlightTreeField(this.$.treeContent, field.name);
         
-        const occ = input.dataset.occurrence ? `[${input.dataset.occurrence}]` : '';
-        this._updateStatus(field.name + occ);
+        this._updateStatus(this._fieldStatusText(field, Number(input.dataset.occurrence)));
     }
     
     _onFieldBlur(field, input) {
@@ -1911,6 +2871,9 @@ class CSEntryMFCView extends HTMLElement {
     }
     
     async _onFieldInput(field, input) {
+        // Flipping a toggle button doesn't advance; Enter does
+        if (input.type === 'checkbox') return;
+        
         // Validation
         if (field.type === 'numeric' || field.captureType === CAPTURE_TYPES.NumberPad) {
             input.value = input.value.replace(/[^0-9.-]/g, '');
@@ -1939,7 +2902,7 @@ class CSEntryMFCView extends HTMLElement {
             indexes: [rowIdx + 1, 0, 0]
         };
         
-        this._updateStatus(`${field.name}[${rowIdx + 1}]`);
+        this._updateStatus(this._fieldStatusText(field, rowIdx + 1));
         await this._showCAPI(this.currentField, this._currentPageResult);
         
         // Check if this field should display an HTML dialog based on capture type
@@ -2136,6 +3099,321 @@ class CSEntryMFCView extends HTMLElement {
         this._storeFieldValue(field.name, values.join(','), 1);
     }
     
+    /**
+     * Take a photo for a photo field and advance with its path
+     * The image is written to the session's files directory (server) or beside the application
+     * (client FS) as photos/<FIELD>-<time>.jpg, the relative path logic passes to Image.load.
+     */
+    async _onPhotoCapture(field, container) {
+        if (!(await this._moveToCaptureField(field))) return;
+        
+        const current = container.querySelector('input')?.value.trim();
+        const dataUrl = await this.dialogHandler.showTakePhotoDialog(
+            field.label || field.name, current ? this._capturedFileUrl(current) : null);
+        if (!dataUrl) return;
+        
+        const fileName = await this._capturedFileName(field, 'photos', 'jpg', 'Take Photo');
+        if (!fileName || !(await this._saveCapturedFile(container, fileName, dataUrl, 'Take Photo'))) return;
+        
+        setPhotoThumbnail(container, this._capturedFileUrl(fileName));
+        await this._advanceWithValue(fileName);
+    }
+    
+    /**
+     * Save an accepted signature as a PNG and advance with its path
+     * A PNG path already in the field (e.g. set by logic) is kept, so the file lands where the
+     * application expects it; otherwise it is saved as signatures/<FIELD>-<time>.png.
+     */
+    async _onSignatureCapture(field, container, dataUrl) {
+        if (!(await this._moveToCaptureField(field))) return;
+        
+        const current = container.querySelector('input')?.value.trim() || '';
+        const fileName = /\.png$/i.test(current) ? current : await this._capturedFileName(field, 'signatures', 'png', 'Signature');
+        if (!fileName || !(await this._saveCapturedFile(container, fileName, dataUrl, 'Signature'))) return;
+        
+        await this._advanceWithValue(fileName);
+    }
+    
+    /**
+     * Save an accepted recording and advance with its path (audio/<FIELD>-<time>.webm)
+     */
+    async _onAudioCapture(field, container, blob) {
+        if (!(await this._moveToCaptureField(field))) return;
+        
+        const fileName = await this._capturedFileName(field, 'audio', getAudioFileExtension(blob.type), 'Audio');
+        if (!fileName || !(await this._saveCapturedFile(container, fileName, await this._blobToDataUrl(blob), 'Audio'))) return;
+        
+        await this._advanceWithValue(fileName);
+    }
+    
+    /**
+     * Scan a barcode or QR code for a barcode field and advance with the decoded value
+     */
+    async _onBarcodeScan(field, container) {
+        if (!(await this._moveToCaptureField(field))) return;
+        
+        const value = await this.dialogHandler.showBarcodeScanDialog(field.label || field.name);
+        if (value === null) return;
+        
+        const input = container.querySelector('input');
+        if (input) input.value = value;
+        await this._advanceWithValue(value);
+    }
+    
+    /**
+     * Go to a capture field whose button was used while another field was current
+     * @returns {Promise<boolean>} Whether the field is now the current field
+     */
+    async _moveToCaptureField(field) {
+        const isCurrent = () => String(this.currentField?.name).toUpperCase() === field.name.toUpperCase();
+        if (!isCurrent()) await this.goToField(field.name);
+        return isCurrent();
+    }
+    
+    /**
+     * Path for a new captured file, <dir>/<FIELD>-<time>.<extension>, shortened to fit the field
+     * The field stores the path, so a longer one would be cut off and no longer find the file.
+     * @returns {Promise<string|null>} null if no name fits (the operator has been told)
+     */
+    async _capturedFileName(field, dir, extension, title) {
+        const stamp = Date.now().toString(36);
+        const length = field.length || field.alphaLength;
+        const names = [`${dir}/${field.name}-${stamp}.${extension}`, `${dir}/${stamp}.${extension}`, `${stamp}.${extension}`];
+        const fileName = names.find(name => !length || name.length <= length);
+        if (!fileName) {
+            await this._showMessage(`${field.name} is too short (${length} characters) to hold the path of the file, ` +
+                `which needs at least ${names[names.length - 1].length}.`, title);
+        }
+        return fileName || null;
+    }
+    
+    /**
+     * Write a captured data URL and put its path in the capture control's input
+     * @returns {Promise<boolean>} Whether the file was saved (a failure has been reported)
+     */
+    async _saveCapturedFile(container, fileName, dataUrl, title) {
+        try {
+            await this._writeCapturedFile(fileName, dataUrl.substring(dataUrl.indexOf(',') + 1));
+        } catch (e) {
+            console.error('[MFC] Failed to save captured file:', fileName, e);
+            await this._showMessage(`${fileName} could not be saved: ${e.message}`, title);
+            return false;
+        }
+        
+        const input = container.querySelector('input');
+        if (input) input.value = fileName;
+        return true;
+    }
+    
+    // ==================== CAPTURED FILES ====================
+    // Photos (and other captured media) live beside the application so relative paths work in logic
+    
+    /**
+     * Write a captured file under the application directory
+     * @param {string} name - Path relative to the application, e.g. photos/PHOTO-lq3k2x.jpg
+     * @param {string} base64 - File contents
+     */
+    async _writeCapturedFile(name, base64) {
+        if (this._sessionId) {
+            await this.engine.writeFile(name, base64);
+            return;
+        }
+        
+        const FS = this._wasmModule?.FS;
+        if (!FS || !this._clientPffPath) {
+            throw new Error('No application is loaded');
+        }
+        const path = `${this._clientPffPath.substring(0, this._clientPffPath.lastIndexOf('/'))}/${name}`;
+        try {
+            FS.mkdirTree(path.substring(0, path.lastIndexOf('/')));
+        } catch (e) { /* may exist */ }
+        FS.writeFile(path, Uint8Array.from(atob(base64), ch => ch.charCodeAt(0)));
+        
+        // A file saved again under the same name needs a new blob URL
+        if (this._capturedFileUrls.has(name)) {
+            URL.revokeObjectURL(this._capturedFileUrls.get(name));
+            this._capturedFileUrls.delete(name);
+        }
+    }
+    
+    _blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+    
+    /**
+     * URL showing a captured file, or null if it can't be shown
+     * @param {string} name - Path relative to the application (the field value)
+     */
+    _capturedFileUrl(name) {
+        name = String(name ?? '').trim();
+        if (!name) return null;
+        if (this._sessionId) return this.engine?.getFileUrl?.(name) ?? null;
+        
+        if (!this._capturedFileUrls.has(name)) {
+            const FS = this._wasmModule?.FS;
+            if (!FS || !this._clientPffPath) return null;
+            try {
+                const data = FS.readFile(`${this._clientPffPath.substring(0, this._clientPffPath.lastIndexOf('/'))}/${name}`);
+                this._capturedFileUrls.set(name, URL.createObjectURL(new Blob([data])));
+            } catch (e) {
+                return null;
+            }
+        }
+        return this._capturedFileUrls.get(name);
+    }
+    
+    /**
+     * Whether a field of the loaded application captures an image (Photo or Signature capture type)
+     */
+    _isImageField(fieldName) {
+        const name = String(fieldName ?? '').toUpperCase();
+        for (const form of this.currentApp?.forms || []) {
+            const fields = [
+                ...(form.fields || []),
+                ...(form.rosters || []).flatMap(roster => (roster.columns || []).flatMap(col => col.fields || []))
+            ];
+            const field = fields.find(f => String(f.name).toUpperCase() === name);
+            if (field) return field.captureType === CAPTURE_TYPES.Photo || field.captureType === CAPTURE_TYPES.Signature;
+        }
+        return false;
+    }
+    
+    /**
+     * Show the photos, signatures and recordings named by the capture fields on the form
+     */
+    _showCapturedFiles() {
+        this.$.formContainer.querySelectorAll('.form-field-photo').forEach(container => {
+            setPhotoThumbnail(container, this._capturedFileUrl(container.querySelector('input')?.value));
+        });
+        this.$.formContainer.querySelectorAll('.form-field-signature').forEach(container => {
+            setSignatureImage(container, this._capturedFileUrl(container.querySelector('input')?.value));
+        });
+        this.$.formContainer.querySelectorAll('.form-field-audio').forEach(container => {
+            setAudioSource(container, this._capturedFileUrl(container.querySelector('input')?.value));
+        });
+    }
+    
+    // ==================== INTERVIEW RECORDING ====================
+    // Logic starts and stops a background recording of the interview by showing the
+    // INTERVIEW_RECORDING_DIALOG HTML dialog, which is answered here without being displayed (a server
+    // session passes it on as a named dialog). The recording goes on until logic stops it or the case
+    // ends, and is saved in recordings/ next to the data file: by the server for a server session,
+    // in client mode in the offline storage with the data file (and queued for upload).
+    
+    /**
+     * Handle a start/stop/status request from logic
+     * @param {Object} inputData - { action: 'start' | 'stop' | 'status', name }
+     * @param {Object} [options]
+     * @param {boolean} [options.server] - Answer a server session, which saves a stopped recording itself
+     * @returns {Promise<string>} JSON { recording, path, error } for logic; for a server session a
+     *          stopped recording comes back as { recording, name, data }
+     */
+    async _onInterviewRecordingRequest(inputData, { server = false } = {}) {
+        const action = String(inputData?.action || 'status').toLowerCase();
+        
+        if (action === 'start') {
+            if (this._interviewRecording) {
+                return JSON.stringify({ recording: true, path: null, error: 'The interview is already being recorded' });
+            }
+            
+            const recorder = new AudioRecorder();
+            try {
+                await recorder.start();
+            } catch (e) {
+                console.warn('[MFC] Interview recording not started:', e);
+                return JSON.stringify({ recording: false, path: null, error: e.message });
+            }
+            
+            const name = String(inputData?.name || this._currentCaseKey || 'interview').trim()
+                .replace(/[^A-Za-z0-9_.-]+/g, '_');
+            this._interviewRecording = { recorder, name: `${name}-${Date.now().toString(36)}.${getAudioFileExtension(recorder.mimeType)}` };
+            console.log('[MFC] Interview recording started:', this._interviewRecording.name);
+            return JSON.stringify({ recording: true, path: null });
+        }
+        
+        if (action === 'stop') {
+            try {
+                const recording = await this._stopInterviewRecording();
+                if (!recording) {
+                    return JSON.stringify({ recording: false, path: null });
+                }
+                if (server) {
+                    return JSON.stringify({ recording: false, ...recording });
+                }
+                return JSON.stringify({ recording: false, path: await this._saveInterviewRecording(recording) });
+            } catch (e) {
+                console.error('[MFC] Failed to save interview recording:', e);
+                return JSON.stringify({ recording: false, path: null, error: e.message });
+            }
+        }
+        
+        return JSON.stringify({ recording: !!this._interviewRecording, path: null });
+    }
+    
+    /**
+     * Stop a background recording when its case ends and save it
+     */
+    async _finishInterviewRecording() {
+        try {
+            const recording = await this._stopInterviewRecording();
+            if (recording) {
+                console.log('[MFC] Interview recording saved:', await this._saveInterviewRecording(recording));
+            }
+        } catch (e) {
+            console.error('[MFC] Failed to save interview recording:', e);
+        }
+    }
+    
+    /**
+     * Helper: Stop recording, if logic started it
+     * @returns {Promise<{name: string, data: string}|null>} The recording's file name and base64 contents
+     */
+    async _stopInterviewRecording() {
+        const recording = this._interviewRecording;
+        if (!recording) return null;
+        this._interviewRecording = null;
+        
+        const blob = await recording.recorder.stop();
+        if (!blob?.size) return null;
+        const dataUrl = await this._blobToDataUrl(blob);
+        return { name: recording.name, data: dataUrl.substring(dataUrl.indexOf(',') + 1) };
+    }
+    
+    /**
+     * Helper: Save a recording in recordings/ next to the data file
+     * @returns {Promise<string>} Its path in the engine's filesystem
+     */
+    async _saveInterviewRecording({ name, data }) {
+        if (this._sessionId) {
+            return (await this.engine.saveRecording(name, data)).path;
+        }
+        
+        const FS = this._wasmModule?.FS;
+        const dataPath = this._offlineDataFile?.path || this._clientPffPath;
+        if (!FS || !dataPath) {
+            throw new Error('No application is loaded');
+        }
+        const dir = `${dataPath.substring(0, dataPath.lastIndexOf('/'))}/recordings`;
+        const bytes = Uint8Array.from(atob(data), ch => ch.charCodeAt(0));
+        try {
+            FS.mkdirTree(dir);
+        } catch (e) { /* may exist */ }
+        FS.writeFile(`${dir}/${name}`, bytes);
+        
+        // Kept across reloads like the data file, and sent to the server with its cases
+        if (this._offlineDataFile) {
+            await persistOfflineData(FS);
+            await queueUpload({ application: this._appName, fileName: `recordings/${name}`, data: bytes });
+            this._flushOfflineUploads();
+        }
+        return `${dir}/${name}`;
+    }
+    
     // ==================== DIALOGS ====================
     
     async _showFieldSelectDialog(field) {
@@ -2161,6 +3439,9 @@ class CSEntryMFCView extends HTMLElement {
     // ==================== CAPI ====================
     
     async _showCAPI(field, pageResult = null) {
+        // Every engine move ends here, so the case tree follows the engine
+        this._buildCaseTree();
+        
         await showCAPI(
             this.$.capiPanel,
             this.$.capiIframe,
@@ -2174,13 +3455,212 @@ class CSEntryMFCView extends HTMLElement {
     
     // ==================== TREE ====================
     
-    _buildCaseTree() {
-        buildCaseTree(
-            this.$.treeContent,
-            this.currentApp,
-            this.navigationFields,
-            (fieldName, rosterName) => this.goToField(fieldName)
-        );
+    /**
+     * Refresh the case tree - from the engine's getCaseTree during entry, else from the forms
+     * Calls made while a refresh is running are coalesced into one more refresh.
+     */
+    async _buildCaseTree() {
+        if (this.$.treePanel?.style.display === 'none') return;
+        if (this._caseTreeRefresh) {
+            this._caseTreeRefresh.pending = true;
+            return;
+        }
+        
+        this._caseTreeRefresh = { pending: false };
+        try {
+            let caseTree = null;
+            if (this.engine?.getCaseTree) {
+                try {
+                    caseTree = this.engine.getCaseTree();
+                    if (caseTree?.then) caseTree = await caseTree;
+                } catch (e) {
+                    // No tree before entry starts
+                    caseTree = null;
+                }
+            }
+            
+            if (this._showFieldDetails) await this._loadDictionary();
+            
+            if (caseTree) {
+                renderEngineCaseTree(this.$.treeContent, caseTree, {
+                    currentField: this.currentField,
+                    onNodeClick: (fieldName, occurrence) => this.goToField(fieldName, occurrence),
+                    getThumbnail: (fieldName, value) => this._isImageField(fieldName) ? this._capturedFileUrl(value) : null,
+                    ...this._fieldDisplayOptions()
+                });
+            } else {
+                buildCaseTree(
+                    this.$.treeContent,
+                    this.currentApp,
+                    this.navigationFields,
+                    (fieldName, rosterName) => this.goToField(fieldName),
+                    this._fieldDisplayOptions()
+                );
+            }
+        } finally {
+            const { pending } = this._caseTreeRefresh;
+            this._caseTreeRefresh = null;
+            if (pending) this._buildCaseTree();
+        }
+    }
+    
+    // ==================== NAMES / LABELS ====================
+    
+    /**
+     * Display options shared by the case tree and the Go To list
+     */
+    _fieldDisplayOptions() {
+        return {
+            showNames: this._showNames,
+            getDetail: this._showFieldDetails ? (name) => this._fieldDetailText(name) : null
+        };
+    }
+    
+    /**
+     * Status bar text for a field: its name or label with the occurrence, e.g. AGE[2]
+     */
+    _fieldStatusText(field, occurrence = field?.indexes?.[0]) {
+        const occStr = occurrence > 0 ? `[${occurrence}]` : '';
+        if (this._showNames) return field.name + occStr;
+        const item = this._dictionary?.items.get(String(field.name).toUpperCase());
+        return (field.label || item?.label || field.name) + occStr;
+    }
+    
+    /**
+     * Metadata text for a field's dictionary item, e.g. "Numeric 1 · RELATIONSHIP_VS1"
+     */
+    _fieldDetailText(fieldName) {
+        const item = this._dictionary?.items.get(String(fieldName).toUpperCase());
+        if (!item) return '';
+        const type = item.contentType.charAt(0).toUpperCase() + item.contentType.slice(1);
+        const length = item.length === null ? '' : item.decimals > 0 ? ` ${item.length}.${item.decimals}` : ` ${item.length}`;
+        return `${type}${length}${item.valueSet ? ` · ${item.valueSet}` : ''}`;
+    }
+    
+    /**
+     * Load the item metadata of the dictionary the engine has loaded (once per application)
+     * Date fields need it for their formats, so it is loaded before the application is shown.
+     */
+    async _loadDictionary() {
+        if (this._dictionary?.app === this.currentApp) return;
+        
+        let dictionary = null;
+        try {
+            if (this.engine?.getDictionaryItems) {
+                dictionary = this.engine.getDictionaryItems();
+                if (dictionary?.then) dictionary = await dictionary;
+            } else if (this.engine?.processAction) {
+                // Client WASM mode: list the items of the engine's dictionary specification
+                let result = this.engine.processAction('Dictionary.getDictionary', '{}');
+                if (result?.then) result = await result;
+                if (typeof result === 'string') result = JSON.parse(result);
+                let spec = result?.value !== undefined ? result.value : result;
+                if (typeof spec === 'string') spec = JSON.parse(spec);
+                if (spec?.levels) dictionary = listDictionaryItems(spec);
+            }
+        } catch (e) {
+            console.warn('[MFC] Could not load dictionary items:', e.message);
+        }
+        this._dictionary = {
+            app: this.currentApp,
+            items: new Map((dictionary?.items || []).map(item => [item.name.toUpperCase(), item]))
+        };
+    }
+    
+    /**
+     * Show or clear a checkable menu item's check mark
+     */
+    _setMenuCheck(action, checked) {
+        const check = this.shadowRoot.querySelector(`.menu-dropdown-item[data-action="${action}"] .menu-check`);
+        if (check) check.textContent = checked ? '✓' : '';
+    }
+    
+    // ==================== KEYBOARD ====================
+    
+    /**
+     * Run the menu action for an accelerator key (see keyboard-handler.js)
+     * Listens in the capture phase so field and roster key handlers don't also act on the key.
+     * Ignored while a dialog is open; the menu bar takes keys while one of its menus is open.
+     * @param {KeyboardEvent} e - Key event from the document or the question text frame
+     * @param {Element|null} focused - Element with focus
+     */
+    _onAcceleratorKey(e, focused) {
+        if (e.defaultPrevented || this._isDialogOpen()) return;
+        
+        if (handleMenuKey(e, this.shadowRoot, (action) => this._runAccelerator(action, null))) {
+            e.preventDefault();
+            return;
+        }
+        
+        const focus = describeFocus(focused);
+        const action = getAcceleratorAction(e, focus);
+        if (!action) return;
+        
+        e.preventDefault();
+        e.stopPropagation();
+        this._runAccelerator(action, focus.rosterCell);
+    }
+    
+    /**
+     * Run an accelerator's action; occurrence operations act on the roster row that has focus
+     * @param {string} action - Menu action
+     * @param {Object|null} rosterCell - Focused roster cell { fieldName, occurrence }
+     */
+    async _runAccelerator(action, rosterCell) {
+        const occurrenceActions = ['insertGroupOcc', 'deleteGroupOcc', 'sortGroupOcc', 'endGroupOcc'];
+        const current = this.currentField;
+        if (rosterCell && occurrenceActions.includes(action) && this.engine?.goToField &&
+            !(current?.name?.toUpperCase() === rosterCell.fieldName.toUpperCase() && current.indexes?.[0] === rosterCell.occurrence)) {
+            await this.goToField(rosterCell.fieldName, rosterCell.occurrence);
+        }
+        
+        try {
+            this._handleMenuAction(action);
+        } catch (e) {
+            console.warn(`[MFC] Action not available: ${action}`, e);
+        }
+    }
+    
+    /**
+     * Whether a dialog (in-container or iframe) is waiting on the user
+     */
+    _isDialogOpen() {
+        return this.dialogHandler?.dialogOverlay?.style.display === 'block' ||
+            !!document.querySelector('.cspro-dialog-overlay');
+    }
+    
+    /**
+     * Run an engine call that moves entry (group, occurrence and advance operations) and show where it lands
+     * @param {string} method - Engine method, e.g. 'endGroupOcc'
+     * @returns {Promise<Object|null>} The page entry is on afterwards
+     */
+    async _runEngineMove(method) {
+        if (!this.engine?.[method]) {
+            console.warn(`[MFC] Engine ${method} not available`);
+            return null;
+        }
+        
+        try {
+            let page = this.engine[method]();
+            if (page?.then) page = await page;
+            if (!page?.fields) {
+                page = this.engine.getCurrentPage?.();
+                if (page?.then) page = await page;
+            }
+            await this._handlePageResult(page);
+            
+            // Occurrences may have moved (not in verify mode, where the original values must stay hidden)
+            if (this._rosters && this._entryMode !== 'verify') {
+                for (const rosterName in this._rosters) {
+                    this._updateRosterFromEngine(rosterName);
+                }
+            }
+            return page;
+        } catch (e) {
+            console.error(`[MFC] ${method} failed:`, e);
+            await this._showMessage(e.message, 'Data Entry');
+            return null;
+        }
     }
     
     // ==================== ROSTER UPDATES ====================
@@ -2284,6 +3764,11 @@ class CSEntryMFCView extends HTMLElement {
             return null;
         }
         
+        // Logic's interview recording uses this browser's microphone
+        if (dialog.dialogName === INTERVIEW_RECORDING_DIALOG) {
+            return await this._onInterviewRecordingRequest(dialog.inputData, { server: true });
+        }
+        
         const inputDataJson = JSON.stringify(dialog.inputData || {});
         return await this.dialogHandler.showDialogAsync(dialog.dialogName, inputDataJson);
     }
@@ -2291,6 +3776,86 @@ class CSEntryMFCView extends HTMLElement {
     _onDialogClosed() {
         // Dialog closed callback
     }
+    
+    /**
+     * Called by the server proxy when the server session expired or was lost; resumes it from its snapshot if possible
+     */
+    _onServerSessionExpired() {
+        // The heartbeat and the event stream can both report the same expiry
+        if (!this._resumingServerSession) {
+            this._resumingServerSession = this._resumeServerSession().finally(() => {
+                this._resumingServerSession = null;
+            });
+        }
+        return this._resumingServerSession;
+    }
+    
+    async _resumeServerSession() {
+        this.engine?.stopHeartbeat?.();
+        
+        // The server snapshots sessions it evicts or shuts down with; pick up on the same field if it can
+        try {
+            const resumed = await this.engine?.resumeSession?.();
+            if (resumed?.success) {
+                console.log('[MFC] Server session resumed from snapshot:', resumed.currentField);
+                this.engine.startHeartbeat(resumed.idleTimeoutMs ? Math.min(60000, resumed.idleTimeoutMs / 3) : undefined);
+                this.engine.subscribeEvents((type, eventData) => this._onServerEvent(type, eventData));
+                await this._handlePageResult(resumed);
+                return;
+            }
+        } catch (e) {
+            console.warn('[MFC] Could not resume server session:', e);
+        }
+        this._showError('Your server session expired due to inactivity. Any case in progress was partially saved; reopen the application to continue.');
+    }
+    
+    /**
+     * Handle an event pushed on the server session's event stream
+     * @param {string} type - page, status, dialog, output, warning, expiring, expired or lost
+     * @param {Object} data - Event data
+     */
+    _onServerEvent(type, data) {
+        switch (type) {
+            case 'page': {
+                // Our own calls already display the page they return (the proxy holds page events
+                // until they are done); this catches moves made by logic (move to, endlevel...)
+                // that no response of ours carried
+                const current = this._currentPageResult;
+                if (!current || !data.page?.fields?.length) break;
+                const fieldKey = (page) => {
+                    const field = page?.fields?.[page.currentFieldIndex ?? 0];
+                    return field ? `${field.name}(${(field.indexes || []).join(',')})` : '';
+                };
+                if (fieldKey(data.page) !== fieldKey(current)) {
+                    this._handlePageResult(data.page);
+                }
+                break;
+            }
+            case 'status':
+                this._serverStatus = data;
+                break;
+            case 'dialog':
+                // Pending dialogs come back on the response of the call that raised them
+                if (data.autoAcknowledged) {
+                    console.log('[MFC] Server dialog acknowledged without a client:', data.dialogName, data.inputData);
+                }
+                break;
+            case 'output':
+                console.log('[CSPro]', data.text);
+                break;
+            case 'warning':
+                console.warn('[CSPro]', data.text);
+                break;
+            case 'expiring':
+                // Our heartbeat should have prevented this (e.g. the tab was asleep); renew now
+                this.engine?.heartbeat?.().catch(() => {});
+                break;
+            case 'expired':
+            case 'lost':
+                this._onServerSessionExpired();
+                break;
+        }
+    }
 }
 
 // Register the custom element
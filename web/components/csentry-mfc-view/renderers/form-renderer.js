@@ -16,6 +16,8 @@
  */
 
 import { CAPTURE_TYPES, TICK_MARK_CONFIG, measureCharWidth, calculateFieldWidth } from '../utils/constants.js';
+import { AudioRecorder } from '../utils/audio-recorder.js';
+import { getFieldDateFormat, parseDateFormat, canBeUnknown, parseCSProDate, formatCSProDate, isValidCSProDate, daysInMonth } from '../utils/cspro-date.js';
 
 /**
  * Render form with all elements (texts, fields, boxes, rosters)
@@ -542,6 +544,80 @@ export function createDropdown(field, fieldIndex, responses, onValueChange) {
     return select;
 }
 
+/**
+ * Create combo box: a text input with type-ahead over the value set. Values outside
+ * the value set can be keyed only if the field allows out-of-range values; otherwise
+ * Enter and Tab (and filling the field) don't advance with them.
+ * @param {Object} field - Field definition
+ * @param {number} fieldIndex - Field index
+ * @param {Array} responses - Response options
+ * @param {Function} onValueChange - Callback when a suggestion is picked
+ * @param {boolean} [allowOutOfSet=false] - Whether the field accepts values outside its value set
+ * @returns {HTMLDivElement} Container with the input and its suggestion list
+ */
+export function createComboBox(field, fieldIndex, responses, onValueChange, allowOutOfSet = false) {
+    const container = document.createElement('div');
+    container.className = 'form-field-combobox';
+    container.dataset.fieldName = field.name;
+    container.dataset.fieldIndex = fieldIndex;
+    container.dataset.captureType = 'combobox';
+    
+    const isNumeric = field.isNumeric || field.type === 'numeric' ||
+        (field.integerPartLength !== undefined && field.integerPartLength > 0);
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'form-field-input' +
+        (isNumeric ? ' numeric' : '') +
+        (field.isUpperCase ? ' uppercase' : '');
+    input.dataset.fieldName = field.name;
+    input.dataset.fieldIndex = fieldIndex;
+    input.dataset.occurrence = '1';
+    input.maxLength = field.length || field.alphaLength ||
+        ((field.integerPartLength || 0) + (field.fractionalPartLength || 0)) || 20;
+    input.autocomplete = 'off';
+    if (isNumeric) input.inputMode = 'decimal';
+    
+    // Suggestions match on both the code and the label as the user types
+    const list = document.createElement('datalist');
+    list.id = `combobox_${field.name}_${fieldIndex}`;
+    responses.forEach((resp) => {
+        const opt = document.createElement('option');
+        opt.value = resp.code;
+        opt.label = resp.label;
+        list.appendChild(opt);
+    });
+    input.setAttribute('list', list.id);
+    
+    // Picking a suggestion fills the whole value (no inputType, or insertReplacementText);
+    // typed values wait for Enter like any text field
+    const codes = new Set(responses.map(resp => String(resp.code).trim()));
+    const isAccepted = () => allowOutOfSet || input.value.trim() === '' || codes.has(input.value.trim());
+    input.addEventListener('input', (e) => {
+        input.setCustomValidity('');
+        const picked = !e.inputType || e.inputType === 'insertReplacementText';
+        if (picked && codes.has(input.value) && onValueChange) {
+            onValueChange(field, input.value);
+        } else if (!isAccepted() && input.value.length >= input.maxLength) {
+            // Registered before the field's own handlers, so a full field doesn't advance
+            e.stopImmediatePropagation();
+        }
+    });
+    
+    input.addEventListener('keydown', (e) => {
+        if ((e.key === 'Enter' || (e.key === 'Tab' && !e.shiftKey)) && !isAccepted()) {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            input.setCustomValidity('Pick a value from the list');
+            input.reportValidity();
+        }
+    });
+    
+    container.appendChild(input);
+    container.appendChild(list);
+    return container;
+}
+
 /**
  * Create slider control
  * @param {Object} field - Field definition
@@ -584,20 +660,747 @@ export function createSlider(field, fieldIndex, onValueChange) {
 }
 
 /**
- * Create date input
+ * Create date input: the field's usual input (see createTextInput), keyed in the field's
+ * date format, with a calendar for picking the date. The calendar can mark parts as
+ * "don't know" and offers the value set's non-date codes (e.g. Refused) as special values.
+ * @param {Object} field - Field definition
+ * @param {number} fieldIndex - Field index
+ * @param {Array} responses - Response options
+ * @param {Function} onValueChange - Callback when a date or special value is picked
+ * @param {Object} [item] - The field's dictionary item, whose capture info has the date format
+ * @returns {HTMLDivElement} Container with the input and, if the field has a date format, the calendar
+ */
+export function createDateInput(field, fieldIndex, responses, onValueChange, item) {
+    const format = getFieldDateFormat(field, item);
+    
+    const container = document.createElement('div');
+    container.className = 'form-field-date';
+    container.dataset.fieldName = field.name;
+    container.dataset.fieldIndex = fieldIndex;
+    container.dataset.captureType = 'date';
+    
+    const inputElement = createTextInput(field, fieldIndex);
+    container.appendChild(inputElement);
+    if (!format) return container;
+    
+    const input = inputElement.matches('input') ? inputElement : inputElement.querySelector('input');
+    input.title = format;
+    container.dataset.dateFormat = format;
+    
+    const calendar = createDateCalendar(format, responses || [], (value) => {
+        input.value = value;
+        calendar.hidden = true;
+        input.focus();
+        if (onValueChange) onValueChange(field, value);
+    }, () => {
+        calendar.hidden = true;
+        input.focus();
+    });
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'form-field-date-button';
+    button.textContent = 'Date';
+    button.title = `Pick a date (${format})`;
+    button.addEventListener('click', () => {
+        if (calendar.hidden) {
+            calendar._show(input.value);
+        } else {
+            calendar.hidden = true;
+        }
+    });
+    
+    container.appendChild(button);
+    container.appendChild(calendar);
+    return container;
+}
+
+/**
+ * Calendar popup for createDateInput. Only the parts in the format are shown: a format
+ * without DD picks a month, one with only a year picks a year.
+ * @param {string} format - Date format
+ * @param {Array} responses - Response options; those that aren't dates become special value buttons
+ * @param {Function} onPick - Called with the field value
+ * @param {Function} onCancel - Called when the calendar is closed without a value
+ * @returns {HTMLDivElement} Hidden calendar; call its _show(value) to open it at a value
+ */
+function createDateCalendar(format, responses, onPick, onCancel) {
+    const parts = parseDateFormat(format);
+    const has = {
+        year: parts.some(p => p.part[0] === 'Y'),
+        month: parts.some(p => p.part === 'MM'),
+        day: parts.some(p => p.part === 'DD')
+    };
+    const yearPart = parts.find(p => p.part[0] === 'Y')?.part;
+    let state = { unknown: {} };
+    
+    const calendar = document.createElement('div');
+    calendar.className = 'form-field-date-calendar';
+    calendar.hidden = true;
+    calendar.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            onCancel();
+        }
+    });
+    
+    const makeButton = (text, className, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    };
+    
+    // Header: previous/next step by month, or by year when the format has no month
+    const header = document.createElement('div');
+    header.className = 'form-field-date-header';
+    
+    const step = (delta) => {
+        if (has.month && !state.unknown.month) {
+            const index = state.year * 12 + (state.month - 1) + delta;
+            state.year = Math.floor(index / 12);
+            state.month = (index % 12) + 1;
+        } else {
+            state.year += delta;
+        }
+        render();
+    };
+    
+    const monthSelect = document.createElement('select');
+    for (let month = 1; month <= 12; month++) {
+        const opt = document.createElement('option');
+        opt.value = month;
+        opt.textContent = new Date(2000, month - 1, 1).toLocaleString(undefined, { month: 'long' });
+        monthSelect.appendChild(opt);
+    }
+    monthSelect.addEventListener('change', () => {
+        state.month = parseInt(monthSelect.value, 10);
+        render();
+    });
+    
+    const yearInput = document.createElement('input');
+    yearInput.type = 'number';
+    yearInput.min = '1';
+    yearInput.max = '9998';
+    yearInput.addEventListener('change', () => {
+        const year = parseInt(yearInput.value, 10);
+        if (year >= 1 && year <= 9998) state.year = year;
+        render();
+    });
+    
+    header.appendChild(makeButton('‹', 'form-field-date-nav', () => step(-1)));
+    header.appendChild(monthSelect);
+    header.appendChild(yearInput);
+    header.appendChild(makeButton('›', 'form-field-date-nav', () => step(1)));
+    
+    // Day grid
+    const grid = document.createElement('div');
+    grid.className = 'form-field-date-grid';
+    
+    // "Don't know" for each part of the format that has a value for it (a two-digit year doesn't)
+    const unknownRow = document.createElement('div');
+    unknownRow.className = 'form-field-date-unknown';
+    const unknownBoxes = {};
+    [['day', 'Day', 'DD'], ['month', 'Month', 'MM'], ['year', 'Year', yearPart]].forEach(([key, label, part]) => {
+        if (!has[key] || !canBeUnknown(part)) return;
+        const option = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.addEventListener('change', () => {
+            state.unknown[key] = checkbox.checked;
+            render();
+        });
+        option.appendChild(checkbox);
+        option.appendChild(document.createTextNode(` ${label} unknown`));
+        unknownRow.appendChild(option);
+        unknownBoxes[key] = checkbox;
+    });
+    
+    // Value set codes that aren't dates, e.g. 99999998 Refused
+    const specials = document.createElement('div');
+    specials.className = 'form-field-date-specials';
+    responses
+        .filter(resp => !isValidCSProDate(String(resp.code).trim(), format, { allowUnknown: false }))
+        .forEach(resp => {
+            const button = makeButton(resp.label || String(resp.code), 'form-field-date-special',
+                () => onPick(String(resp.code).trim()));
+            button.title = String(resp.code).trim();
+            specials.appendChild(button);
+        });
+    
+    const footer = document.createElement('div');
+    footer.className = 'form-field-date-footer';
+    const okButton = makeButton('OK', 'form-field-date-ok', () => onPick(formatCSProDate(state, format)));
+    footer.appendChild(okButton);
+    footer.appendChild(makeButton('Cancel', 'form-field-date-cancel', () => onCancel()));
+    
+    function renderGrid() {
+        grid.innerHTML = '';
+        if (!has.day || state.unknown.day) return;
+        
+        // Weekdays only line up when the month is known
+        const knownMonth = has.month && !state.unknown.month;
+        const year = has.year && !state.unknown.year ? state.year : 2000;
+        const dayCount = knownMonth ? daysInMonth(year, state.month) : 31;
+        if (knownMonth) {
+            for (let i = 0; i < 7; i++) {
+                const weekday = document.createElement('span');
+                weekday.className = 'form-field-date-weekday';
+                weekday.textContent = new Date(2000, 0, 2 + i).toLocaleString(undefined, { weekday: 'narrow' });
+                grid.appendChild(weekday);
+            }
+            for (let i = new Date(year, state.month - 1, 1).getDay(); i > 0; i--) {
+                grid.appendChild(document.createElement('span'));
+            }
+        }
+        
+        const today = new Date();
+        for (let day = 1; day <= dayCount; day++) {
+            const isToday = knownMonth && year === today.getFullYear() &&
+                state.month === today.getMonth() + 1 && day === today.getDate();
+            const className = 'form-field-date-day' +
+                (day === state.day ? ' selected' : '') + (isToday ? ' today' : '');
+            grid.appendChild(makeButton(String(day), className, () => {
+                state.day = day;
+                onPick(formatCSProDate(state, format));
+            }));
+        }
+    }
+    
+    function render() {
+        header.hidden = !has.month && !has.year;
+        monthSelect.hidden = !has.month;
+        monthSelect.disabled = !!state.unknown.month;
+        monthSelect.value = state.month;
+        yearInput.hidden = !has.year;
+        yearInput.disabled = !!state.unknown.year;
+        yearInput.value = state.year;
+        
+        // A day that the new month doesn't have is picked again
+        if (state.day != null && has.month && !state.unknown.month &&
+            state.day > daysInMonth(state.unknown.year ? 2000 : state.year, state.month)) {
+            state.day = undefined;
+        }
+        renderGrid();
+        
+        okButton.disabled = has.day && !state.unknown.day && state.day == null;
+    }
+    
+    calendar._show = (value) => {
+        const date = parseCSProDate(value, format);
+        const today = new Date();
+        state = {
+            year: date?.year ?? today.getFullYear(),
+            month: date?.month ?? today.getMonth() + 1,
+            day: date?.day,
+            unknown: { ...(date?.unknown || {}) }
+        };
+        Object.entries(unknownBoxes).forEach(([key, checkbox]) => { checkbox.checked = !!state.unknown[key]; });
+        render();
+        calendar.hidden = false;
+    };
+    
+    calendar.appendChild(header);
+    calendar.appendChild(grid);
+    calendar.appendChild(unknownRow);
+    if (specials.children.length > 0) calendar.appendChild(specials);
+    calendar.appendChild(footer);
+    return calendar;
+}
+
+/**
+ * Create photo capture control
+ * The read-only input holds the field value - the photo's path relative to the application,
+ * as logic passes it to Image.load - so Enter and the engine's moves work as for any field.
  * @param {Object} field - Field definition
  * @param {number} fieldIndex - Field index
- * @returns {HTMLInputElement} Date input element
+ * @param {Function} onCapture - Called with (field, container) to take the photo
+ * @returns {HTMLDivElement} Container with the input, a Take Photo button and the thumbnail
  */
-export function createDateInput(field, fieldIndex) {
+export function createPhotoInput(field, fieldIndex, onCapture) {
+    const container = document.createElement('div');
+    container.className = 'form-field-photo';
+    container.dataset.fieldName = field.name;
+    container.dataset.fieldIndex = fieldIndex;
+    container.dataset.captureType = 'photo';
+    
     const input = document.createElement('input');
-    input.type = 'date';
-    input.className = 'form-field-date';
+    input.type = 'text';
+    input.readOnly = true;
+    input.className = 'form-field-input';
     input.dataset.fieldName = field.name;
     input.dataset.fieldIndex = fieldIndex;
-    input.dataset.captureType = 'date';
     input.dataset.occurrence = '1';
-    return input;
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'form-field-photo-button';
+    button.textContent = 'Take Photo';
+    button.addEventListener('click', () => {
+        if (onCapture) onCapture(field, container);
+    });
+    
+    const thumbnail = document.createElement('img');
+    thumbnail.className = 'form-field-photo-thumbnail';
+    thumbnail.alt = '';
+    thumbnail.hidden = true;
+    
+    container.appendChild(input);
+    container.appendChild(button);
+    container.appendChild(thumbnail);
+    return container;
+}
+
+/**
+ * Show a photo control's thumbnail
+ * @param {HTMLElement} container - Element returned by createPhotoInput
+ * @param {string|null} url - Image URL, or null to hide the thumbnail
+ */
+export function setPhotoThumbnail(container, url) {
+    const thumbnail = container?.querySelector('.form-field-photo-thumbnail');
+    if (!thumbnail) return;
+    if (url) {
+        thumbnail.src = url;
+    } else {
+        thumbnail.removeAttribute('src');
+    }
+    thumbnail.hidden = !url;
+}
+
+/**
+ * Create signature capture control: a canvas signed with the mouse, pen or a finger
+ * As for photos, the read-only input holds the field value (the PNG's path relative to the application).
+ * @param {Object} field - Field definition
+ * @param {number} fieldIndex - Field index
+ * @param {Function} onCapture - Called with (field, container, pngDataUrl) when the signature is accepted
+ * @returns {HTMLDivElement} Container with the input, the canvas and Clear/Undo/Redo/Accept buttons
+ */
+export function createSignatureInput(field, fieldIndex, onCapture) {
+    const container = document.createElement('div');
+    container.className = 'form-field-signature';
+    container.dataset.fieldName = field.name;
+    container.dataset.fieldIndex = fieldIndex;
+    container.dataset.captureType = 'signature';
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.readOnly = true;
+    input.className = 'form-field-input';
+    input.dataset.fieldName = field.name;
+    input.dataset.fieldIndex = fieldIndex;
+    input.dataset.occurrence = '1';
+    
+    const canvas = document.createElement('canvas');
+    canvas.className = 'form-field-signature-canvas';
+    canvas.width = Math.max(field.width || 0, 300);
+    canvas.height = 120;
+    
+    // Strokes are kept as point lists so Undo/Redo can redraw; a saved signature is the background
+    const strokes = [];
+    const undone = [];
+    let background = null;
+    
+    const redraw = () => {
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        if (background) ctx.drawImage(background, 0, 0, canvas.width, canvas.height);
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 2;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        for (const stroke of strokes) {
+            ctx.beginPath();
+            stroke.forEach(([x, y], idx) => idx === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y));
+            if (stroke.length === 1) ctx.lineTo(stroke[0][0] + 0.5, stroke[0][1]);
+            ctx.stroke();
+        }
+    };
+    
+    const toCanvasPoint = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        return [
+            (e.clientX - rect.left) * canvas.width / (rect.width || canvas.width),
+            (e.clientY - rect.top) * canvas.height / (rect.height || canvas.height)
+        ];
+    };
+    
+    let drawing = null;
+    canvas.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        canvas.setPointerCapture?.(e.pointerId);
+        drawing = [toCanvasPoint(e)];
+        strokes.push(drawing);
+        undone.length = 0;
+        redraw();
+    });
+    canvas.addEventListener('pointermove', (e) => {
+        if (!drawing) return;
+        drawing.push(toCanvasPoint(e));
+        redraw();
+    });
+    const endStroke = () => { drawing = null; };
+    canvas.addEventListener('pointerup', endStroke);
+    canvas.addEventListener('pointercancel', endStroke);
+    
+    const toolbar = document.createElement('div');
+    toolbar.className = 'form-field-signature-toolbar';
+    const addButton = (caption, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = caption;
+        button.addEventListener('click', onClick);
+        toolbar.appendChild(button);
+    };
+    addButton('Clear', () => {
+        strokes.length = 0;
+        undone.length = 0;
+        background = null;
+        redraw();
+    });
+    addButton('Undo', () => {
+        if (strokes.length > 0) undone.push(strokes.pop());
+        redraw();
+    });
+    addButton('Redo', () => {
+        if (undone.length > 0) strokes.push(undone.pop());
+        redraw();
+    });
+    addButton('Accept', () => {
+        if (strokes.length === 0 && !background) return;
+        if (onCapture) onCapture(field, container, canvas.toDataURL('image/png'));
+    });
+    
+    // Lets setSignatureImage show a signature saved earlier
+    container._setBackground = (image) => {
+        background = image;
+        strokes.length = 0;
+        undone.length = 0;
+        redraw();
+    };
+    redraw();
+    
+    container.appendChild(input);
+    container.appendChild(canvas);
+    container.appendChild(toolbar);
+    return container;
+}
+
+/**
+ * Show a saved signature on a signature control, replacing what was drawn
+ * @param {HTMLElement} container - Element returned by createSignatureInput
+ * @param {string|null} url - PNG URL, or null to clear the canvas
+ */
+export function setSignatureImage(container, url) {
+    if (!container?._setBackground) return;
+    if (!url) {
+        container._setBackground(null);
+        return;
+    }
+    const image = new Image();
+    image.onload = () => container._setBackground(image);
+    image.onerror = () => container._setBackground(null);
+    image.src = url;
+}
+
+/**
+ * Create audio capture control: record, play back and re-record before accepting
+ * As for photos, the read-only input holds the field value (the recording's path relative to the application).
+ * @param {Object} field - Field definition
+ * @param {number} fieldIndex - Field index
+ * @param {Function} onCapture - Called with (field, container, blob) when the recording is accepted
+ * @returns {HTMLDivElement} Container with the input, Record/Accept buttons and an audio player
+ */
+export function createAudioInput(field, fieldIndex, onCapture) {
+    const container = document.createElement('div');
+    container.className = 'form-field-audio';
+    container.dataset.fieldName = field.name;
+    container.dataset.fieldIndex = fieldIndex;
+    container.dataset.captureType = 'audio';
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.readOnly = true;
+    input.className = 'form-field-input';
+    input.dataset.fieldName = field.name;
+    input.dataset.fieldIndex = fieldIndex;
+    input.dataset.occurrence = '1';
+    
+    const toolbar = document.createElement('div');
+    toolbar.className = 'form-field-audio-toolbar';
+    
+    const recordButton = document.createElement('button');
+    recordButton.type = 'button';
+    recordButton.textContent = 'Record';
+    
+    const acceptButton = document.createElement('button');
+    acceptButton.type = 'button';
+    acceptButton.textContent = 'Accept';
+    acceptButton.disabled = true;
+    
+    const status = document.createElement('span');
+    status.className = 'form-field-audio-status';
+    
+    const player = document.createElement('audio');
+    player.className = 'form-field-audio-player';
+    player.controls = true;
+    player.hidden = true;
+    
+    const recorder = new AudioRecorder();
+    let recording = null;
+    let recordingUrl = null;
+    
+    const showRecording = (blob) => {
+        if (recordingUrl) URL.revokeObjectURL(recordingUrl);
+        recording = blob;
+        recordingUrl = blob ? URL.createObjectURL(blob) : null;
+        if (recordingUrl) player.src = recordingUrl;
+        player.hidden = !recordingUrl;
+        acceptButton.disabled = !blob;
+    };
+    
+    // Record starts a new recording (discarding one not yet accepted); pressed again it stops
+    recordButton.addEventListener('click', async () => {
+        if (recorder.isRecording) {
+            showRecording(await recorder.stop());
+            recordButton.textContent = 'Record';
+            status.textContent = '';
+            return;
+        }
+        try {
+            player.pause();
+            await recorder.start();
+            showRecording(null);
+            recordButton.textContent = 'Stop';
+            status.textContent = 'Recording...';
+        } catch (e) {
+            status.textContent = e.message;
+        }
+    });
+    
+    acceptButton.addEventListener('click', () => {
+        if (recording && onCapture) onCapture(field, container, recording);
+    });
+    
+    toolbar.appendChild(recordButton);
+    toolbar.appendChild(acceptButton);
+    toolbar.appendChild(status);
+    container.appendChild(input);
+    container.appendChild(toolbar);
+    container.appendChild(player);
+    return container;
+}
+
+/**
+ * Load a saved recording into an audio control's player
+ * @param {HTMLElement} container - Element returned by createAudioInput
+ * @param {string|null} url - Recording URL, or null to hide the player
+ */
+export function setAudioSource(container, url) {
+    const player = container?.querySelector('.form-field-audio-player');
+    if (!player) return;
+    if (url) {
+        player.src = url;
+    } else {
+        player.removeAttribute('src');
+    }
+    player.hidden = !url;
+}
+
+/**
+ * Create barcode control: a text input that can be keyed as usual, with a Scan button
+ * that reads the value from a barcode or QR code
+ * @param {Object} field - Field definition
+ * @param {number} fieldIndex - Field index
+ * @param {Function} onScan - Called with (field, container) to scan a code
+ * @returns {HTMLDivElement} Container with the input (see createTextInput) and the Scan button
+ */
+export function createBarcodeInput(field, fieldIndex, onScan) {
+    const container = document.createElement('div');
+    container.className = 'form-field-barcode';
+    container.dataset.fieldName = field.name;
+    container.dataset.fieldIndex = fieldIndex;
+    container.dataset.captureType = 'barcode';
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'form-field-barcode-button';
+    button.textContent = 'Scan';
+    button.title = 'Scan a barcode or QR code';
+    button.addEventListener('click', () => {
+        if (onScan) onScan(field, container);
+    });
+    
+    container.appendChild(createTextInput(field, fieldIndex));
+    container.appendChild(button);
+    return container;
+}
+
+/**
+ * Create toggle button: a switch between the value set's single value (on) and blank (off).
+ * The checkbox's value holds the field value so the usual Enter/Tab handling advances with it.
+ * @param {Object} field - Field definition
+ * @param {number} fieldIndex - Field index
+ * @param {Array} responses - Response options
+ * @returns {HTMLLabelElement} Toggle container
+ */
+export function createToggleButton(field, fieldIndex, responses) {
+    const [onResponse] = responses;
+    
+    const container = document.createElement('label');
+    container.className = 'form-field-toggle';
+    container.dataset.fieldName = field.name;
+    container.dataset.fieldIndex = fieldIndex;
+    container.dataset.captureType = 'toggle';
+    container.dataset.onValue = String(onResponse.code);
+    container.dataset.onLabel = onResponse.label || String(onResponse.code);
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'form-field-toggle-input';
+    checkbox.setAttribute('role', 'switch');
+    checkbox.dataset.fieldName = field.name;
+    checkbox.dataset.fieldIndex = fieldIndex;
+    checkbox.dataset.occurrence = '1';
+    
+    const track = document.createElement('span');
+    track.className = 'form-field-toggle-track';
+    
+    const text = document.createElement('span');
+    text.className = 'form-field-toggle-label';
+    
+    checkbox.addEventListener('change', () => {
+        setToggleValue(container, checkbox.checked ? container.dataset.onValue : '');
+    });
+    
+    container.appendChild(checkbox);
+    container.appendChild(track);
+    container.appendChild(text);
+    setToggleValue(container, '');
+    return container;
+}
+
+/**
+ * Show a value on a toggle button created by createToggleButton
+ * @param {HTMLElement} container - Toggle container
+ * @param {string} value - Field value
+ */
+export function setToggleValue(container, value) {
+    const checkbox = container?.querySelector('.form-field-toggle-input');
+    if (!checkbox) return;
+    
+    const { onValue, onLabel } = container.dataset;
+    const trimmed = String(value ?? '').trim();
+    const isOn = trimmed !== '' && trimmed === onValue.trim();
+    
+    // An out-of-set value is kept until the switch is flipped
+    checkbox.checked = isOn;
+    checkbox.value = isOn ? onValue : trimmed;
+    
+    const text = container.querySelector('.form-field-toggle-label');
+    if (text) text.textContent = isOn ? onLabel : trimmed;
+}
+
+/**
+ * Apply one number pad key to a numeric value, respecting the field's integer and
+ * decimal lengths. Keys: digits, '.', '-' (toggle sign), 'backspace', 'clear'.
+ * @param {string} value - Current value
+ * @param {string} key - Key pressed
+ * @param {{integerDigits: number, decimals: number}} limits - Field lengths
+ * @returns {string} New value (unchanged if the key doesn't fit)
+ */
+export function applyNumberPadKey(value, key, { integerDigits, decimals }) {
+    const current = String(value ?? '').trim();
+    
+    if (key === 'clear') return '';
+    if (key === 'backspace') return current.slice(0, -1);
+    if (key === '-') {
+        if (current.startsWith('-')) return current.slice(1);
+        // The sign takes one of the integer positions
+        const digits = current.split('.')[0].length;
+        return digits < integerDigits ? '-' + current : current;
+    }
+    
+    const [intPart, fracPart] = current.split('.');
+    if (key === '.') {
+        return decimals > 0 && fracPart === undefined ? current + '.' : current;
+    }
+    if (!/^[0-9]$/.test(key)) return current;
+    
+    if (fracPart !== undefined) {
+        return fracPart.length < decimals ? current + key : current;
+    }
+    return intPart.length < integerDigits ? current + key : current;
+}
+
+/**
+ * Create number pad control: the field's usual input (see createTextInput) with an
+ * on-screen keypad shown while it has focus. Keys go through the input's own input
+ * and keydown events, so auto-advance and Enter behave as when typing.
+ * @param {Object} field - Field definition
+ * @param {number} fieldIndex - Field index
+ * @returns {HTMLDivElement} Container with the input and the keypad
+ */
+export function createNumberPadInput(field, fieldIndex) {
+    const container = document.createElement('div');
+    container.className = 'form-field-numberpad';
+    container.dataset.fieldName = field.name;
+    container.dataset.fieldIndex = fieldIndex;
+    container.dataset.captureType = 'numberpad';
+    
+    const inputElement = createTextInput(field, fieldIndex);
+    const input = inputElement.matches('input') ? inputElement : inputElement.querySelector('input');
+    input.inputMode = 'none';  // the keypad replaces the on-screen keyboard
+    
+    const decimals = field.fractionalPartLength || field.decimalPlaces || 0;
+    const limits = {
+        integerDigits: field.integerPartLength ||
+            Math.max((input.maxLength > 0 ? input.maxLength : 20) - decimals, 1),
+        decimals
+    };
+    
+    const keypad = document.createElement('div');
+    keypad.className = 'form-field-numberpad-keys';
+    keypad.hidden = true;
+    
+    const keys = [
+        ['7', '7'], ['8', '8'], ['9', '9'],
+        ['4', '4'], ['5', '5'], ['6', '6'],
+        ['1', '1'], ['2', '2'], ['3', '3'],
+        ['-', '±'], ['0', '0'], ['.', '.'],
+        ['clear', 'C'], ['backspace', '⌫'], ['enter', 'OK']
+    ];
+    keys.forEach(([key, caption]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'form-field-numberpad-key' + (key === 'enter' ? ' enter' : '');
+        button.textContent = caption;
+        button.tabIndex = -1;
+        if (key === '.' && decimals === 0) button.disabled = true;
+        
+        // Keep focus in the input so the keypad stays open and the value is entered there
+        button.addEventListener('mousedown', (e) => e.preventDefault());
+        button.addEventListener('click', () => {
+            if (key === 'enter') {
+                input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true }));
+                return;
+            }
+            const value = applyNumberPadKey(input.value, key, limits);
+            if (value === input.value) return;
+            input.value = value;
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+        keypad.appendChild(button);
+    });
+    
+    input.addEventListener('focus', () => { keypad.hidden = false; });
+    input.addEventListener('blur', () => { keypad.hidden = true; });
+    
+    container.appendChild(inputElement);
+    container.appendChild(keypad);
+    return container;
 }
 
 /**
@@ -605,9 +1408,12 @@ export function createDateInput(field, fieldIndex) {
  * @param {Object} field - Field definition
  * @param {number} fieldIndex - Field index
  * @param {Object} callbacks - Event callbacks
+ * @param {Object} [options]
+ * @param {boolean} [options.allowOutOfRange] - Whether out-of-range values can be keyed (see createComboBox)
+ * @param {Object} [options.dictionaryItem] - The field's dictionary item (see createDateInput)
  * @returns {HTMLElement} Field element
  */
-export function createFieldElement(field, fieldIndex, callbacks = {}) {
+export function createFieldElement(field, fieldIndex, callbacks = {}, options = {}) {
     const CT = CAPTURE_TYPES;
     const captureType = field.captureType ?? CT.TextBox;
     const responses = field.responses || [];
@@ -622,11 +1428,26 @@ export function createFieldElement(field, fieldIndex, callbacks = {}) {
         return createCheckboxGroup(field, fieldIndex, responses, callbacks.onCheckboxChange);
     }
     
-    // Dropdown/ComboBox
-    if ((captureType === CT.DropDown || captureType === CT.ComboBox) && responses.length > 0) {
+    // Dropdown
+    if (captureType === CT.DropDown && responses.length > 0) {
         return createDropdown(field, fieldIndex, responses, callbacks.onValueChange);
     }
     
+    // ComboBox
+    if (captureType === CT.ComboBox && responses.length > 0) {
+        return createComboBox(field, fieldIndex, responses, callbacks.onValueChange, options.allowOutOfRange);
+    }
+    
+    // Toggle button
+    if (captureType === CT.ToggleButton && responses.length > 0) {
+        return createToggleButton(field, fieldIndex, responses);
+    }
+    
+    // Number pad
+    if (captureType === CT.NumberPad) {
+        return createNumberPadInput(field, fieldIndex);
+    }
+    
     // Slider
     if (captureType === CT.Slider) {
         return createSlider(field, fieldIndex, callbacks.onValueChange);
@@ -634,7 +1455,27 @@ export function createFieldElement(field, fieldIndex, callbacks = {}) {
     
     // Date picker
     if (captureType === CT.Date) {
-        return createDateInput(field, fieldIndex);
+        return createDateInput(field, fieldIndex, responses, callbacks.onValueChange, options.dictionaryItem);
+    }
+    
+    // Photo
+    if (captureType === CT.Photo) {
+        return createPhotoInput(field, fieldIndex, callbacks.onPhotoCapture);
+    }
+    
+    // Signature
+    if (captureType === CT.Signature) {
+        return createSignatureInput(field, fieldIndex, callbacks.onSignatureCapture);
+    }
+    
+    // Audio
+    if (captureType === CT.Audio) {
+        return createAudioInput(field, fieldIndex, callbacks.onAudioCapture);
+    }
+    
+    // Barcode
+    if (captureType === CT.Barcode) {
+        return createBarcodeInput(field, fieldIndex, callbacks.onBarcodeScan);
     }
     
     // For all other text/numeric fields, createTextInput handles tick mark logic
@@ -675,8 +1516,15 @@ export function getFieldElementValue(element) {
         return slider ? slider.value : '';
     }
     
-    if (captureType === 'date') {
-        return element.value || '';
+    if (captureType === 'toggle') {
+        const checkbox = element.querySelector('.form-field-toggle-input');
+        return checkbox ? checkbox.value : '';
+    }
+    
+    if (captureType === 'photo' || captureType === 'signature' || captureType === 'audio' || captureType === 'barcode' ||
+        captureType === 'date' || captureType === 'combobox' || captureType === 'numberpad') {
+        const input = element.querySelector('input');
+        return input ? input.value : '';
     }
     
     if (element.classList.contains('form-field-tickmark-container')) {
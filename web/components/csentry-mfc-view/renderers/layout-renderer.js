@@ -99,6 +99,10 @@ export function createMenuBar() {
                         <span class="menu-text">Delete Case</span>
                         <span class="menu-shortcut">Del</span>
                     </div>
+                    <div class="menu-dropdown-item" data-action="undeleteCase">
+                        <span class="menu-text">Undelete Case</span>
+                        <span class="menu-shortcut"></span>
+                    </div>
                     <div class="menu-dropdown-item" data-action="findCase">
                         <span class="menu-text">Find Case...</span>
                         <span class="menu-shortcut">Ctrl+F</span>
@@ -148,6 +152,10 @@ export function createMenuBar() {
                         <span class="menu-text">Last Case</span>
                         <span class="menu-shortcut">Ctrl+End</span>
                     </div>
+                    <div class="menu-dropdown-item" data-action="advanceToEnd">
+                        <span class="menu-text">Advance to End</span>
+                        <span class="menu-shortcut">End</span>
+                    </div>
                     <div class="menu-dropdown-sep"></div>
                     <div class="menu-dropdown-item" data-action="endGroupOcc">
                         <span class="menu-text">End Group Occurrence</span>
@@ -184,6 +192,10 @@ export function createMenuBar() {
                         <span class="menu-text">Names in Case Tree</span>
                         <span class="menu-shortcut">Ctrl+T</span>
                     </div>
+                    <div class="menu-dropdown-item checkable" data-action="toggleFieldDetails">
+                        <span class="menu-check"></span>
+                        <span class="menu-text">Field Details in Case Tree</span>
+                    </div>
                     <div class="menu-dropdown-sep"></div>
                     <div class="menu-dropdown-item checkable" data-action="showRefusals">
                         <span class="menu-check"></span>
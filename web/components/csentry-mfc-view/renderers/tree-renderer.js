@@ -1,5 +1,6 @@
 /**
  * Tree Renderer - Renders case tree navigation
+ * The engine's case tree is used during entry; the form-based tree is the fallback before entry starts.
  * @module components/csentry-mfc-view/renderers/tree-renderer
  */
 
@@ -9,8 +10,9 @@
  * @param {Object} currentApp - Application with forms
  * @param {Array} navigationFields - Navigation field list for values
  * @param {Function} onNodeClick - Callback when tree node is clicked
+ * @param {Object} [display] - { showNames, getDetail } as for renderEngineCaseTree
  */
-export function buildCaseTree(treeContainer, currentApp, navigationFields = [], onNodeClick) {
+export function buildCaseTree(treeContainer, currentApp, navigationFields = [], onNodeClick, display = {}) {
     treeContainer.innerHTML = '';
     
     if (!currentApp || !currentApp.forms) {
@@ -31,7 +33,8 @@ export function buildCaseTree(treeContainer, currentApp, navigationFields = [],
     formsContainer.className = 'tree-children';
     
     currentApp.forms.forEach((form, formIdx) => {
-        const formNode = createTreeNode(form.label || form.name || `Form ${formIdx + 1}`, 'form');
+        const formText = display.showNames ? form.name || form.label : form.label || form.name;
+        const formNode = createTreeNode(formText || `Form ${formIdx + 1}`, 'form');
         formNode.dataset.formIndex = formIdx;
         
         // Add fields under form
@@ -41,13 +44,13 @@ export function buildCaseTree(treeContainer, currentApp, navigationFields = [],
         
         // Standalone fields
         (form.fields || []).forEach(field => {
-            const fieldNode = createFieldTreeNode(field, navigationFields, onNodeClick);
+            const fieldNode = createFieldTreeNode(field, navigationFields, onNodeClick, null, display);
             fieldsContainer.appendChild(fieldNode);
         });
         
         // Roster fields
         (form.rosters || []).forEach(roster => {
-            const rosterNode = createTreeNode(roster.label || roster.name, 'roster');
+            const rosterNode = createTreeNode(display.showNames ? roster.name : roster.label || roster.name, 'roster');
             rosterNode.dataset.rosterName = roster.name;
             
             const rosterFields = document.createElement('div');
@@ -57,7 +60,7 @@ export function buildCaseTree(treeContainer, currentApp, navigationFields = [],
             // Add columns/fields
             (roster.columns || []).forEach(col => {
                 (col.fields || []).forEach(field => {
-                    const fieldNode = createFieldTreeNode(field, navigationFields, onNodeClick, roster.name);
+                    const fieldNode = createFieldTreeNode(field, navigationFields, onNodeClick, roster.name, display);
                     rosterFields.appendChild(fieldNode);
                 });
             });
@@ -88,6 +91,143 @@ export function buildCaseTree(treeContainer, currentApp, navigationFields = [],
     treeContainer.appendChild(root);
 }
 
+/**
+ * Render the case tree reported by the engine (getCaseTree), with real occurrences and values
+ * Nodes the user expanded stay expanded across renders; the current field's ancestors are expanded.
+ * @param {HTMLElement} treeContainer - Container for tree elements
+ * @param {Object|Array} caseTree - Engine case tree: node(s) { name, label, value, type, indexes, status, children }
+ * @param {Object} options
+ * @param {Object} [options.currentField] - Current page field { name, indexes }, highlighted
+ * @param {Function} [options.onNodeClick] - Called with (fieldName, occurrence) when a field node is clicked
+ * @param {boolean} [options.showNames] - Show dictionary names instead of labels
+ * @param {Function} [options.getDetail] - Returns a field's metadata text (type, length, value set), or ''
+ * @param {Function} [options.getThumbnail] - Called with (fieldName, value); returns an image URL for photo fields, or null
+ */
+export function renderEngineCaseTree(treeContainer, caseTree, { currentField = null, onNodeClick = null, showNames = false, getDetail = null, getThumbnail = null } = {}) {
+    // Remember what was expanded before re-rendering
+    const expandedKeys = new Set(
+        [...treeContainer.querySelectorAll('.tree-node.expanded')].map(el => el.dataset.nodeKey)
+    );
+    const firstRender = !treeContainer.querySelector('.case-tree-root.engine-tree');
+    
+    const root = document.createElement('div');
+    root.className = 'case-tree-root engine-tree';
+    
+    const roots = (Array.isArray(caseTree) ? caseTree : [caseTree]).filter(Boolean).map(normalizeCaseTreeNode);
+    let currentNode = null;
+    
+    const renderNode = (node, parentKey, depth) => {
+        const key = `${parentKey}/${node.name || node.label}(${node.indexes.join(',')})`;
+        const isField = node.children.length === 0;
+        const el = document.createElement('div');
+        el.className = `tree-node tree-${isField ? 'field' : 'group'} tree-status-${node.status}`;
+        el.dataset.nodeKey = key;
+        if (node.name) el.dataset.fieldName = node.name;
+        
+        const header = document.createElement('div');
+        header.className = 'tree-node-header';
+        
+        const toggle = document.createElement('span');
+        toggle.className = isField ? 'tree-toggle empty' : 'tree-toggle';
+        
+        const icon = document.createElement('span');
+        icon.className = 'tree-icon';
+        icon.textContent = isField ? '▪' : node.type === 'roster' ? '📋' : node.type === 'occurrence' ? '•' : '📄';
+        
+        const label = document.createElement('span');
+        label.className = 'tree-label';
+        label.textContent = showNames && node.name ? node.name : node.label;
+        label.title = node.name && node.name !== node.label ? `${node.name}: ${node.label}` : node.label;
+        
+        header.append(toggle, icon, label);
+        const detail = isField && node.name && getDetail ? getDetail(node.name) : '';
+        if (detail) {
+            header.appendChild(createDetailElement(detail));
+            label.title += ` (${detail})`;
+        }
+        if (isField && node.value !== '') {
+            const value = document.createElement('span');
+            value.className = 'tree-value';
+            value.textContent = node.value;
+            header.appendChild(value);
+        }
+        const thumbnailUrl = isField && node.value !== '' && getThumbnail ? getThumbnail(node.name, node.value) : null;
+        if (thumbnailUrl) {
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'tree-thumbnail';
+            thumbnail.src = thumbnailUrl;
+            thumbnail.alt = '';
+            header.appendChild(thumbnail);
+        }
+        el.appendChild(header);
+        
+        if (isField) {
+            const isCurrent = node.current || (currentField &&
+                node.name.toUpperCase() === String(currentField.name).toUpperCase() &&
+                (node.indexes[0] || 0) === (currentField.indexes?.[0] || 0));
+            if (isCurrent && !currentNode) {
+                currentNode = el;
+                el.classList.add('current');
+            }
+            if (onNodeClick) {
+                header.addEventListener('click', () => onNodeClick(node.name, node.indexes[0] || 1));
+            }
+        } else {
+            const children = document.createElement('div');
+            children.className = 'tree-children';
+            node.children.forEach(child => children.appendChild(renderNode(child, key, depth + 1)));
+            el.appendChild(children);
+            
+            if (expandedKeys.has(key) || (firstRender && depth === 0)) {
+                el.classList.add('expanded');
+            }
+            header.addEventListener('click', () => el.classList.toggle('expanded'));
+        }
+        return el;
+    };
+    
+    roots.forEach(node => root.appendChild(renderNode(node, '', 0)));
+    treeContainer.innerHTML = '';
+    treeContainer.appendChild(root);
+    
+    if (currentNode) {
+        for (let parent = currentNode.parentElement; parent && parent !== root; parent = parent.parentElement) {
+            if (parent.classList.contains('tree-node')) parent.classList.add('expanded');
+        }
+        currentNode.scrollIntoView?.({ block: 'nearest' });
+    }
+}
+
+/**
+ * Normalize an engine case tree node
+ * Status is 'skipped', 'protected', 'entered' or 'empty'.
+ * @param {Object} node - Engine node
+ * @returns {Object} { name, label, value, type, indexes, status, current, children }
+ */
+function normalizeCaseTreeNode(node) {
+    const children = (node.children || []).map(normalizeCaseTreeNode);
+    const indexes = node.indexes ?? node.fieldIndexes ?? node.index ?? [];
+    const value = node.value === undefined || node.value === null ? '' : String(node.value).trimEnd();
+    
+    let status = String(node.status || node.fieldStatus || '').toLowerCase();
+    if (!status) {
+        if (node.skipped || node.isSkipped) status = 'skipped';
+        else if (node.protected || node.isProtected) status = 'protected';
+        else status = value.trim() !== '' ? 'entered' : 'empty';
+    }
+    
+    return {
+        name: node.name || node.fieldName || '',
+        label: node.label || node.name || node.fieldName || '',
+        value,
+        type: String(node.type ?? '').toLowerCase(),
+        indexes: Array.isArray(indexes) ? indexes : [indexes],
+        status,
+        current: !!(node.current || node.isCurrent),
+        children
+    };
+}
+
 /**
  * Create a tree node element
  * @param {string} label - Node label
@@ -135,16 +275,29 @@ export function createTreeNode(label, type = 'item', expanded = false) {
     return node;
 }
 
+/**
+ * Create the metadata element shown after a field in detail mode
+ * @param {string} detail - Metadata text
+ * @returns {HTMLSpanElement}
+ */
+function createDetailElement(detail) {
+    const el = document.createElement('span');
+    el.className = 'tree-detail';
+    el.textContent = detail;
+    return el;
+}
+
 /**
  * Create field tree node with value display
  * @param {Object} field - Field definition
  * @param {Array} navigationFields - Navigation fields for values
  * @param {Function} onNodeClick - Click callback
  * @param {string} rosterName - Parent roster name if applicable
+ * @param {Object} [display] - { showNames, getDetail }
  * @returns {HTMLDivElement} Field tree node
  */
-function createFieldTreeNode(field, navigationFields, onNodeClick, rosterName = null) {
-    const node = createTreeNode(field.label || field.name, 'field');
+function createFieldTreeNode(field, navigationFields, onNodeClick, rosterName = null, display = {}) {
+    const node = createTreeNode(display.showNames ? field.name : field.label || field.name, 'field');
     node.dataset.fieldName = field.name;
     if (rosterName) {
         node.dataset.rosterName = rosterName;
@@ -163,6 +316,11 @@ function createFieldTreeNode(field, navigationFields, onNodeClick, rosterName =
     
     node.querySelector('.tree-label').appendChild(valueEl);
     
+    const detail = display.getDetail ? display.getDetail(field.name) : '';
+    if (detail) {
+        node.querySelector('.tree-label').appendChild(createDetailElement(detail));
+    }
+    
     // Click handler
     if (onNodeClick) {
         node.querySelector('.tree-label').addEventListener('click', (e) => {
@@ -139,7 +139,8 @@ function getMenuStyles() {
             color: #666;
         }
         
-        .menu-dropdown-item:hover {
+        .menu-dropdown-item:hover,
+        .menu-dropdown-item.focused {
             background: var(--mfc-selection);
             color: white;
         }
@@ -325,6 +326,17 @@ function getTreeStyles() {
             color: #666;
         }
 
+        .tree-detail {
+            margin-left: 8px;
+            font-size: 10px;
+            color: #808080;
+            white-space: nowrap;
+        }
+
+        .tree-node.current > .tree-node-header .tree-detail {
+            color: inherit;
+        }
+
         .tree-children {
             padding-left: 16px;
             display: none;
@@ -334,6 +346,37 @@ function getTreeStyles() {
             display: block;
         }
 
+        .tree-node.current > .tree-node-header {
+            background: var(--mfc-selection);
+            color: var(--mfc-selection-text);
+        }
+
+        .tree-node.current > .tree-node-header .tree-value {
+            color: inherit;
+        }
+
+        .tree-status-entered > .tree-node-header .tree-value {
+            color: #006400;
+        }
+
+        .tree-thumbnail {
+            margin-left: 8px;
+            width: 24px;
+            height: 24px;
+            object-fit: cover;
+            border: 1px solid var(--mfc-border);
+            vertical-align: middle;
+        }
+
+        .tree-status-skipped > .tree-node-header .tree-label {
+            color: #999;
+            font-style: italic;
+        }
+
+        .tree-status-protected > .tree-node-header .tree-label {
+            color: #6a6a9a;
+        }
+
         .mfc-splitter {
             width: 5px;
             background: var(--mfc-btn-face);
@@ -987,6 +1030,292 @@ function getFieldStyles() {
         .form-field-dropdown:focus {
             border-color: #000080;
         }
+
+        /* Photo */
+        .form-field-photo {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: flex-start;
+            gap: 4px;
+        }
+        
+        .form-field-photo .form-field-input {
+            position: static;
+            flex: 1 1 80px;
+            min-width: 0;
+        }
+        
+        .form-field-photo-button {
+            font-family: 'Segoe UI', Tahoma, sans-serif;
+            font-size: 12px;
+            padding: 1px 8px;
+            cursor: pointer;
+        }
+        
+        .form-field-photo-thumbnail {
+            display: block;
+            max-width: 160px;
+            max-height: 120px;
+            border: 1px solid var(--mfc-border);
+        }
+        
+        .form-field-photo-thumbnail[hidden] {
+            display: none;
+        }
+
+        /* Signature */
+        .form-field-signature {
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+        }
+        
+        .form-field-signature .form-field-input {
+            position: static;
+        }
+        
+        .form-field-signature-canvas {
+            width: 100%;
+            border: 2px inset #808080;
+            background: #ffffff;
+            cursor: crosshair;
+            touch-action: none;
+        }
+        
+        .form-field-signature-toolbar {
+            display: flex;
+            gap: 4px;
+        }
+        
+        .form-field-signature-toolbar button {
+            font-family: 'Segoe UI', Tahoma, sans-serif;
+            font-size: 12px;
+            padding: 1px 8px;
+            cursor: pointer;
+        }
+
+        /* Audio */
+        .form-field-audio {
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+        }
+        
+        .form-field-audio .form-field-input {
+            position: static;
+        }
+        
+        .form-field-audio-toolbar {
+            display: flex;
+            align-items: center;
+            gap: 4px;
+        }
+        
+        .form-field-audio-toolbar button {
+            font-family: 'Segoe UI', Tahoma, sans-serif;
+            font-size: 12px;
+            padding: 1px 8px;
+            cursor: pointer;
+        }
+        
+        .form-field-audio-status {
+            font-size: 11px;
+            color: #c00000;
+        }
+        
+        .form-field-audio-player {
+            width: 100%;
+            height: 32px;
+        }
+        
+        .form-field-audio-player[hidden] {
+            display: none;
+        }
+
+        /* Barcode */
+        .form-field-barcode-button {
+            position: absolute;
+            left: calc(100% + 4px);
+            top: 0;
+            font-family: 'Segoe UI', Tahoma, sans-serif;
+            font-size: 12px;
+            padding: 1px 8px;
+            cursor: pointer;
+        }
+
+        /* Date */
+        .form-field-date-button {
+            position: absolute;
+            left: calc(100% + 4px);
+            top: 0;
+            font-family: 'Segoe UI', Tahoma, sans-serif;
+            font-size: 12px;
+            padding: 1px 8px;
+            cursor: pointer;
+        }
+        
+        .form-field-date-calendar {
+            position: absolute;
+            top: 26px;  /* below the input */
+            left: 0;
+            z-index: 100;
+            width: 240px;
+            padding: 6px;
+            font-family: 'Segoe UI', Tahoma, sans-serif;
+            font-size: 12px;
+            background: var(--mfc-window-bg);
+            border: 1px solid var(--mfc-border);
+            box-shadow: 2px 2px 6px rgba(0, 0, 0, 0.3);
+        }
+        
+        .form-field-date-calendar[hidden],
+        .form-field-date-calendar [hidden] {
+            display: none;
+        }
+        
+        .form-field-date-header {
+            display: flex;
+            gap: 4px;
+            margin-bottom: 6px;
+        }
+        
+        .form-field-date-header select {
+            flex: 1;
+        }
+        
+        .form-field-date-header input {
+            width: 64px;
+        }
+        
+        .form-field-date-grid {
+            display: grid;
+            grid-template-columns: repeat(7, 1fr);
+            gap: 2px;
+            text-align: center;
+        }
+        
+        .form-field-date-weekday {
+            font-weight: 600;
+            color: #404040;
+        }
+        
+        .form-field-date-day {
+            padding: 3px 0;
+            border: 1px solid transparent;
+            background: white;
+            cursor: pointer;
+        }
+        
+        .form-field-date-day.today {
+            border-color: var(--mfc-selection);
+        }
+        
+        .form-field-date-day.selected {
+            background: var(--mfc-selection);
+            color: var(--mfc-selection-text);
+        }
+        
+        .form-field-date-unknown,
+        .form-field-date-specials,
+        .form-field-date-footer {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-top: 6px;
+        }
+        
+        .form-field-date-footer {
+            justify-content: flex-end;
+        }
+
+        /* ComboBox */
+        .form-field-combobox .form-field-input {
+            width: 100%;
+            box-sizing: border-box;
+        }
+
+        /* Toggle button */
+        .form-field-toggle {
+            display: inline-flex;
+            align-items: center;
+            gap: 6px;
+            font-family: 'Segoe UI', Tahoma, sans-serif;
+            font-size: 12px;
+            cursor: pointer;
+            user-select: none;
+        }
+        
+        .form-field-toggle-input {
+            position: absolute;
+            opacity: 0;
+            width: 1px;
+            height: 1px;
+            margin: 0;
+        }
+        
+        .form-field-toggle-track {
+            position: relative;
+            width: 34px;
+            height: 18px;
+            border-radius: 9px;
+            background: var(--mfc-border);
+            transition: background 0.15s;
+        }
+        
+        .form-field-toggle-track::after {
+            content: '';
+            position: absolute;
+            top: 2px;
+            left: 2px;
+            width: 14px;
+            height: 14px;
+            border-radius: 50%;
+            background: white;
+            transition: left 0.15s;
+        }
+        
+        .form-field-toggle-input:checked + .form-field-toggle-track {
+            background: var(--mfc-selection);
+        }
+        
+        .form-field-toggle-input:checked + .form-field-toggle-track::after {
+            left: 18px;
+        }
+        
+        .form-field-toggle-input:focus-visible + .form-field-toggle-track {
+            outline: 2px solid #000080;
+            outline-offset: 1px;
+        }
+
+        /* Number pad */
+        .form-field-numberpad-keys {
+            position: absolute;
+            top: 26px;  /* below the input */
+            left: 0;
+            z-index: 100;
+            display: grid;
+            grid-template-columns: repeat(3, 40px);
+            gap: 3px;
+            padding: 4px;
+            background: var(--mfc-btn-face);
+            border: 1px solid var(--mfc-border);
+            box-shadow: 2px 2px 6px rgba(0, 0, 0, 0.3);
+        }
+        
+        .form-field-numberpad-keys[hidden] {
+            display: none;
+        }
+        
+        .form-field-numberpad-key {
+            height: 32px;
+            font-family: 'Segoe UI', Tahoma, sans-serif;
+            font-size: 15px;
+            cursor: pointer;
+        }
+        
+        .form-field-numberpad-key.enter {
+            font-weight: 600;
+        }
     `;
 }
 
@@ -1416,6 +1745,57 @@ function getDialogStyles() {
             background: var(--mfc-selection);
             color: white;
         }
+        
+        /* Find Case Dialog */
+        .find-case-body {
+            padding: 12px;
+            display: grid;
+            grid-template-columns: auto 1fr;
+            gap: 8px 12px;
+            align-items: center;
+        }
+        
+        .find-case-body select,
+        .find-case-body input {
+            padding: 3px 4px;
+            border: 1px solid var(--mfc-border);
+        }
+        
+        .find-case-body .find-case-item-row[hidden] {
+            display: none;
+        }
+        
+        /* Go To Dialog */
+        .goto-dialog {
+            width: 460px;
+        }
+        
+        .goto-dialog-body {
+            padding: 12px;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        }
+        
+        .goto-dialog-body input,
+        .goto-dialog-body select {
+            padding: 3px 4px;
+            border: 1px solid var(--mfc-border);
+        }
+        
+        .goto-dialog-body select[size] {
+            height: 240px;
+        }
+        
+        .goto-occurrence-row {
+            display: flex;
+            gap: 8px;
+            align-items: center;
+        }
+        
+        .goto-occurrence-row[hidden] {
+            display: none;
+        }
     `;
 }
 
@@ -0,0 +1,95 @@
+/**
+ * Audio Recorder - microphone recording with MediaRecorder
+ * Used by Audio capture fields and the background interview recording.
+ * @module components/csentry-mfc-view/utils/audio-recorder
+ */
+
+// Preferred formats, first supported wins (Safari only records MP4)
+const AUDIO_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+/**
+ * Whether this browser can record audio
+ * @returns {boolean}
+ */
+export function isAudioRecordingSupported() {
+    return typeof MediaRecorder !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+}
+
+/**
+ * File extension for a recording's MIME type
+ * @param {string} mimeType - e.g. 'audio/webm;codecs=opus'
+ * @returns {string} e.g. 'webm'
+ */
+export function getAudioFileExtension(mimeType) {
+    const type = String(mimeType || '').split(';')[0];
+    if (type === 'audio/mp4') return 'm4a';
+    if (type === 'audio/ogg') return 'ogg';
+    return 'webm';
+}
+
+/**
+ * One recording at a time from the microphone
+ */
+export class AudioRecorder {
+    constructor() {
+        this._stream = null;
+        this._recorder = null;
+        this._chunks = [];
+    }
+
+    get isRecording() {
+        return this._recorder?.state === 'recording';
+    }
+
+    /** MIME type of the recording, known once it has started */
+    get mimeType() {
+        return this._recorder?.mimeType || '';
+    }
+
+    /**
+     * Ask for the microphone and start recording
+     * Rejects if recording isn't supported or the microphone is denied.
+     */
+    async start() {
+        if (this.isRecording) return;
+        if (!isAudioRecordingSupported()) {
+            throw new Error('Audio recording is not supported by this browser');
+        }
+
+        this._stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        const mimeType = AUDIO_MIME_TYPES.find(type => MediaRecorder.isTypeSupported?.(type));
+        this._recorder = new MediaRecorder(this._stream, mimeType ? { mimeType } : undefined);
+        this._chunks = [];
+        this._recorder.addEventListener('dataavailable', (e) => {
+            if (e.data?.size > 0) this._chunks.push(e.data);
+        });
+        // Collect data every second so a long recording isn't held in one piece
+        this._recorder.start(1000);
+    }
+
+    /**
+     * Stop recording and release the microphone
+     * @returns {Promise<Blob|null>} The recording, or null if nothing was being recorded
+     */
+    stop() {
+        const recorder = this._recorder;
+        if (!recorder || recorder.state === 'inactive') {
+            this._releaseStream();
+            return Promise.resolve(null);
+        }
+
+        return new Promise((resolve) => {
+            recorder.addEventListener('stop', () => {
+                this._releaseStream();
+                resolve(new Blob(this._chunks, { type: recorder.mimeType }));
+                this._chunks = [];
+            }, { once: true });
+            recorder.stop();
+        });
+    }
+
+    _releaseStream() {
+        this._stream?.getTracks().forEach(track => track.stop());
+        this._stream = null;
+    }
+}
@@ -140,6 +140,25 @@ export function calculateFieldWidth(fieldLength, charWidth = null) {
     return Math.ceil(cw * fieldLength + (fieldLength - 1) * GRIDSEP_SIZE + 2 * fieldLength + 2 * BORDER_WIDTH);
 }
 
+/**
+ * Crash recovery: default interval between automatic partial saves of the case in progress
+ * (the component's auto-save-interval attribute, in seconds, overrides it; 0 turns it off)
+ */
+export const AUTO_SAVE_INTERVAL_MS = 60000;
+
+/**
+ * localStorage key of the last automatically saved case, offered for resuming on the next launch
+ */
+export const INTERRUPTED_CASE_STORAGE_KEY = 'csentry-interrupted-case';
+
+/**
+ * HTML dialog logic shows to control the background interview recording; the component handles it
+ * without displaying anything. Input: { "action": "start" | "stop" | "status", "name": file name }
+ * e.g. htmldialog("Audio-backgroundRecording.html", maketext('{"action":"start","name":"%s"}', key(CEN2000)))
+ * Answer: { "recording": true | false, "path": where a stopped recording was saved, "error": message }
+ */
+export const INTERVIEW_RECORDING_DIALOG = 'Audio-backgroundRecording';
+
 export default { 
     CAPTURE_TYPES, 
     FREE_MOVEMENT, 
@@ -149,5 +168,8 @@ export default {
     FIELD_COLORS,
     TICK_MARK_CONFIG,
     measureCharWidth,
-    calculateFieldWidth
+    calculateFieldWidth,
+    AUTO_SAVE_INTERVAL_MS,
+    INTERRUPTED_CASE_STORAGE_KEY,
+    INTERVIEW_RECORDING_DIALOG
 };
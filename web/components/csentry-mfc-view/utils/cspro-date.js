@@ -0,0 +1,148 @@
+/**
+ * CSPro Dates - values for Date capture fields in the dictionary's date formats
+ * A format is made of YYYY, YY, MM and DD parts in any order (YYYYMMDD, MMYYYY, DDMMYY, ...).
+ * A year of 9999, month of 99 or day of 99 is "don't know"; a two-digit year has no such value,
+ * so YY 99 is 1999.
+ * @module components/csentry-mfc-view/utils/cspro-date
+ */
+
+// Parts a date format is made of, longest first so YYYY isn't read as YY YY
+const DATE_FORMAT_PART_PATTERN = /YYYY|YY|MM|DD/g;
+
+// Used when the dictionary item has no format, by field length
+const DEFAULT_DATE_FORMATS = { 8: 'YYYYMMDD', 6: 'YYMMDD', 4: 'YYYY' };
+
+// "Don't know" value of each part that has one
+const UNKNOWN_PART_VALUES = { YYYY: '9999', MM: '99', DD: '99' };
+
+/**
+ * Split a date format into its parts
+ * @param {string} format - e.g. 'DDMMYYYY'
+ * @returns {Array<{part: string, start: number, length: number}>|null} Parts in order,
+ *          or null if the format has other characters or repeats a part
+ */
+export function parseDateFormat(format) {
+    const text = String(format || '').toUpperCase();
+    const parts = [];
+    let start = 0;
+
+    for (const match of text.matchAll(DATE_FORMAT_PART_PATTERN)) {
+        if (match.index !== start) return null;
+        const part = match[0];
+        if (parts.some(p => p.part[0] === part[0])) return null;
+        parts.push({ part, start, length: part.length });
+        start += part.length;
+    }
+
+    return parts.length > 0 && start === text.length ? parts : null;
+}
+
+/**
+ * Whether a part of a date format has a "don't know" value
+ * @param {string} part - 'YYYY', 'YY', 'MM' or 'DD'
+ * @returns {boolean}
+ */
+export function canBeUnknown(part) {
+    return part in UNKNOWN_PART_VALUES;
+}
+
+/**
+ * Date format of a Date capture field
+ * @param {Object} field - Field definition
+ * @param {Object} [item] - The field's dictionary item (see listDictionaryItems), whose capture info has the format
+ * @returns {string|null} Format such as 'YYYYMMDD', or null if the field can't hold a date
+ */
+export function getFieldDateFormat(field, item) {
+    const format = String(item?.capture?.format || '').toUpperCase();
+    if (parseDateFormat(format)) return format;
+
+    const length = field?.length || field?.integerPartLength || field?.alphaLength;
+    return DEFAULT_DATE_FORMATS[length] || null;
+}
+
+/**
+ * Number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - 1-12
+ * @returns {number}
+ */
+export function daysInMonth(year, month) {
+    return new Date(year, month, 0).getDate();
+}
+
+/**
+ * Full year for a two-digit year: no later than the current year, within the last century
+ * @param {number} yy - 0-99
+ * @returns {number}
+ */
+export function expandTwoDigitYear(yy) {
+    const now = new Date().getFullYear();
+    const year = now - (now % 100) + yy;
+    return year > now ? year - 100 : year;
+}
+
+/**
+ * Read a field value in a date format
+ * @param {string} value - Field value, e.g. '20240105'
+ * @param {string} format - Date format
+ * @returns {{year?: number, month?: number, day?: number, unknown: {year?: boolean, month?: boolean, day?: boolean}}|null}
+ *          Parts present in the format (a two-digit year is expanded), or null if the value doesn't fit it
+ */
+export function parseCSProDate(value, format) {
+    const parts = parseDateFormat(format);
+    const text = String(value ?? '').trim();
+    if (!parts || !/^\d+$/.test(text) || text.length !== String(format).length) return null;
+
+    const date = { unknown: {} };
+    for (const { part, start, length } of parts) {
+        const digits = text.substr(start, length);
+        const key = part[0] === 'Y' ? 'year' : (part === 'MM' ? 'month' : 'day');
+        if (digits === UNKNOWN_PART_VALUES[part]) {
+            date.unknown[key] = true;
+        } else {
+            const number = parseInt(digits, 10);
+            date[key] = part === 'YY' ? expandTwoDigitYear(number) : number;
+        }
+    }
+    return date;
+}
+
+/**
+ * Build the field value for a date in a date format
+ * Parts marked unknown (or missing) are written as their "don't know" value.
+ * @param {{year?: number, month?: number, day?: number, unknown?: Object}} date - Date parts
+ * @param {string} format - Date format
+ * @returns {string|null} e.g. '05011999' for DDMMYYYY, or null if a two-digit year is unknown
+ */
+export function formatCSProDate(date, format) {
+    const parts = parseDateFormat(format) || [];
+    const values = parts.map(({ part, length }) => {
+        const key = part[0] === 'Y' ? 'year' : (part === 'MM' ? 'month' : 'day');
+        const number = date[key];
+        if (date.unknown?.[key] || number == null) return UNKNOWN_PART_VALUES[part] ?? null;
+        return String(part === 'YY' ? number % 100 : number).padStart(length, '0').slice(-length);
+    });
+    return values.includes(null) ? null : values.join('');
+}
+
+/**
+ * Whether a value is a date in the format; unknown parts are allowed, impossible dates aren't
+ * @param {string} value - Field value
+ * @param {string} format - Date format
+ * @param {Object} [options]
+ * @param {boolean} [options.allowUnknown=true] - Accept "don't know" parts
+ * @returns {boolean}
+ */
+export function isValidCSProDate(value, format, { allowUnknown = true } = {}) {
+    const date = parseCSProDate(value, format);
+    if (!date) return false;
+    if (!allowUnknown && Object.keys(date.unknown).length > 0) return false;
+
+    if (date.month != null && (date.month < 1 || date.month > 12)) return false;
+    if (date.day != null) {
+        // Without a known year or month, allow any day a month can have
+        const maxDay = date.month != null ? daysInMonth(date.year ?? 2000, date.month) : 31;
+        if (date.day < 1 || date.day > maxDay) return false;
+    }
+    return true;
+}
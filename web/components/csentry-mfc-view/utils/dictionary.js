@@ -0,0 +1,68 @@
+/**
+ * CSPro Dictionaries - items of a dictionary's JSON specification
+ * Shared with the server (cspro-wasm-service.js), which lists them for server sessions.
+ * @module components/csentry-mfc-view/utils/dictionary
+ */
+
+/**
+ * The label text for a language (labels of other languages carry a language name), else the first
+ * @param {Array<{text: string, language?: string}>} labels - Labels of a dictionary entry
+ * @param {string} [language] - Language name
+ * @returns {string}
+ */
+export function getDictionaryLabel(labels, language) {
+    const match = language && labels?.find((label) => String(label.language || '').toUpperCase() === language.toUpperCase());
+    return (match || labels?.[0])?.text || '';
+}
+
+/**
+ * Call fn(item, levelNumber, record) for each id item (record null), record item and subitem
+ * @param {Object} dictionary - JSON specification, e.g. from Dictionary.getDictionary
+ * @param {Function} fn - Called for each item
+ */
+export function forEachDictionaryItem(dictionary, fn) {
+    (dictionary.levels || []).forEach((level, index) => {
+        for (const item of level.ids?.items || []) {
+            fn(item, index + 1, null);
+        }
+        for (const record of level.records || []) {
+            for (const item of record.items || []) {
+                fn(item, index + 1, record);
+                for (const subitem of item.subitems || []) {
+                    fn(subitem, index + 1, record);
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Metadata of a dictionary's items
+ * @param {Object} dictionary - JSON specification
+ * @param {string} [language] - Language of the labels
+ * @returns {{name: string, label: string, items: Array<Object>}} Items as { name, label, record, level,
+ *          contentType, length, decimals, valueSet, capture }; capture is the item's capture info
+ *          ({ type, format }), e.g. the date format of a Date capture
+ */
+export function listDictionaryItems(dictionary, language) {
+    const labelOf = (entry) => getDictionaryLabel(entry.labels, language) || entry.name;
+    const items = [];
+    forEachDictionaryItem(dictionary, (item, level, record) => {
+        items.push({
+            name: item.name,
+            label: labelOf(item),
+            record: record?.name ?? null,
+            level,
+            contentType: item.contentType || 'numeric',
+            length: item.length ?? null,
+            decimals: item.decimals ?? 0,
+            valueSet: item.valueSets?.[0]?.name ?? null,
+            capture: item.capture ?? null
+        });
+    });
+    return {
+        name: dictionary.name,
+        label: labelOf(dictionary),
+        items
+    };
+}
@@ -6,3 +6,6 @@
 export * from './constants.js';
 export * from './html-utils.js';
 export * from './pff-parser.js';
+export * from './audio-recorder.js';
+export * from './cspro-date.js';
+export * from './dictionary.js';
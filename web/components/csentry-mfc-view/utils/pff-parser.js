@@ -60,6 +60,9 @@ export function getApplicationPath(pff) {
  * @returns {string|null} Data file path
  */
 export function getDataFilePath(pff) {
+    if (pff.files?.inputdata) {
+        return pff.files.inputdata;
+    }
     if (pff.data?.inputdata) {
         return pff.data.inputdata;
     }
@@ -104,4 +107,53 @@ export function resolvePaths(pff, pffPath) {
     return resolved;
 }
 
-export default { parsePFF, getApplicationPath, getDataFilePath, getOperatorId, resolvePaths };
+/**
+ * Set entries of a PFF section in PFF text, replacing existing values
+ * The section is added at the end if the PFF does not have it; empty values remove the entry.
+ * Also used by the server (cspro-wasm-service.js) to start sessions in modify/verify mode.
+ * @param {string} content - PFF file content
+ * @param {string} section - Section name without brackets, e.g. 'DataEntryInit'
+ * @param {Object} entries - Entry values keyed by name, e.g. { StartMode: 'Modify', Key: '0101' }
+ * @returns {string} PFF content with the entries set
+ */
+export function setPffEntries(content, section, entries) {
+    const lines = content.split(/\r?\n/);
+    const remaining = new Map(Object.entries(entries));
+    const header = `[${section}]`.toLowerCase();
+    let sectionStart = -1;
+    let sectionEnd = lines.length;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim().replace(/^\uFEFF/, '');
+        if (line.startsWith('[')) {
+            if (sectionStart >= 0) {
+                sectionEnd = i;
+                break;
+            }
+            if (line.toLowerCase() === header) sectionStart = i;
+            continue;
+        }
+        if (sectionStart < 0) continue;
+
+        const name = line.substring(0, line.indexOf('=')).trim();
+        const key = [...remaining.keys()].find(k => k.toLowerCase() === name.toLowerCase());
+        if (key) {
+            lines[i] = remaining.get(key) === '' ? null : `${key}=${remaining.get(key)}`;
+            remaining.delete(key);
+        }
+    }
+
+    const added = [...remaining].filter(([, value]) => value !== '').map(([key, value]) => `${key}=${value}`);
+    if (sectionStart < 0) {
+        while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+        lines.push('', `[${section}]`, ...added);
+    } else {
+        // Keep new entries ahead of the blank lines that separate sections
+        let insertAt = sectionEnd;
+        while (insertAt > sectionStart + 1 && lines[insertAt - 1]?.trim() === '') insertAt--;
+        lines.splice(insertAt, 0, ...added);
+    }
+    return lines.filter(line => line !== null).join('\r\n');
+}
+
+export default { parsePFF, getApplicationPath, getDataFilePath, getOperatorId, resolvePaths, setPffEntries };
@@ -107,8 +107,10 @@ class CSProApiClient {
     /**
      * Start data entry
      * @param {string} mode - 'add', 'modify', or 'verify'
+     * @param {string} key - Key of the case to open (modify/verify)
+     * @param {string} [operatorId] - Operator credited in verification statistics
      */
-    async startEntry(mode = 'add') {
+    async startEntry(mode = 'add', key = null, operatorId = null) {
         if (!this.sessionId) {
             throw new Error('No session. Call loadApplication first.');
         }
@@ -116,12 +118,94 @@ class CSProApiClient {
         const response = await fetch(`${this.baseUrl}/api/cspro/session/${this.sessionId}/start`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ mode })
+            body: JSON.stringify({ mode, key, operatorId })
         });
         
         return await response.json();
     }
 
+    /**
+     * List the cases in the application's data file
+     * @param {boolean} deleted - List the deleted cases instead
+     */
+    async listCases(deleted = false) {
+        if (!this.sessionId) {
+            throw new Error('No session');
+        }
+
+        const query = deleted ? '?deleted=true' : '';
+        const response = await fetch(`${this.baseUrl}/api/cspro/session/${this.sessionId}/cases${query}`);
+        const data = await response.json();
+        
+        return data.success ? data.cases : [];
+    }
+
+    /**
+     * Search the application's data file
+     * @param {Object} query - { caseId } key or uuid, { keyPrefix }, or { item, value }
+     */
+    async searchCases(query) {
+        if (!this.sessionId) {
+            throw new Error('No session');
+        }
+
+        const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value !== undefined && value !== null));
+        const response = await fetch(`${this.baseUrl}/api/cspro/session/${this.sessionId}/cases/search?${params}`);
+        const data = await response.json();
+        
+        return data.success ? data.cases : [];
+    }
+
+    /**
+     * Mark a case as deleted (recoverable with undeleteCase)
+     * @param {string} key - Case key
+     */
+    async deleteCase(key) {
+        return await this._postCaseOperation('delete-case', { key });
+    }
+
+    /**
+     * Recover a deleted case
+     * @param {string} key - Case key
+     */
+    async undeleteCase(key) {
+        return await this._postCaseOperation('undelete-case', { key });
+    }
+
+    /**
+     * Start adding a case that is inserted before an existing case
+     * @param {string} beforeKey - Key of the case the new case goes before
+     */
+    async insertCase(beforeKey) {
+        return await this._postCaseOperation('insert-case', { beforeKey });
+    }
+
+    async _postCaseOperation(operation, body) {
+        if (!this.sessionId) {
+            throw new Error('No session');
+        }
+
+        const response = await fetch(`${this.baseUrl}/api/cspro/session/${this.sessionId}/${operation}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        
+        return await response.json();
+    }
+
+    /**
+     * Get verify mode statistics per operator
+     * @param {string} [operatorId] - Only this operator's statistics
+     */
+    async getVerificationStats(operatorId = null) {
+        const query = operatorId ? `?operatorId=${encodeURIComponent(operatorId)}` : '';
+        const response = await fetch(`${this.baseUrl}/api/cspro/verification/stats${query}`);
+        const data = await response.json();
+        
+        return data.success ? data.operators : {};
+    }
+
     /**
      * Stop data entry
      * @param {boolean} save - Whether to save the case
@@ -374,9 +458,58 @@ class CSProHybridClient {
     /**
      * Start entry - delegates to appropriate client
      */
-    async startEntry(mode = 'add') {
+    async startEntry(mode = 'add', key = null, operatorId = null) {
+        if (this.useServerSide) {
+            return await this.apiClient.startEntry(mode, key, operatorId);
+        } else {
+            throw new Error('Client-side execution: use direct WASM module');
+        }
+    }
+
+    /**
+     * List cases - delegates to appropriate client
+     */
+    async listCases(deleted = false) {
+        if (this.useServerSide) {
+            return await this.apiClient.listCases(deleted);
+        } else {
+            throw new Error('Client-side execution: use direct WASM module');
+        }
+    }
+
+    /**
+     * Search cases - delegates to appropriate client
+     */
+    async searchCases(query) {
+        if (this.useServerSide) {
+            return await this.apiClient.searchCases(query);
+        } else {
+            throw new Error('Client-side execution: use direct WASM module');
+        }
+    }
+
+    /**
+     * Delete, undelete or insert a case - delegates to appropriate client
+     */
+    async deleteCase(key) {
+        if (this.useServerSide) {
+            return await this.apiClient.deleteCase(key);
+        } else {
+            throw new Error('Client-side execution: use direct WASM module');
+        }
+    }
+
+    async undeleteCase(key) {
+        if (this.useServerSide) {
+            return await this.apiClient.undeleteCase(key);
+        } else {
+            throw new Error('Client-side execution: use direct WASM module');
+        }
+    }
+
+    async insertCase(beforeKey) {
         if (this.useServerSide) {
-            return await this.apiClient.startEntry(mode);
+            return await this.apiClient.insertCase(beforeKey);
         } else {
             throw new Error('Client-side execution: use direct WASM module');
         }
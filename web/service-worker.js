@@ -0,0 +1,139 @@
+/**
+ * CSEntry Web Service Worker - lets data entry start and continue without a connection
+ *
+ * - Precaches the page, the component modules and the CSPro WASM engine (CSPro.js/.wasm/.data)
+ * - Other static files (dialogs, styles, external libraries) are cached as they are used
+ * - Application listings and files are fetched from the network first, falling back to the copy
+ *   cached when they were last opened, so a previously opened application loads offline
+ * - The /api/cspro engine API is never cached: without a server the component runs the engine
+ *   client-side, keeping its data files in IndexedDB (see engine/offline-storage.js)
+ */
+
+// Bump when the precached files change so clients pick up the new ones
+const CACHE_VERSION = 'v4';
+const STATIC_CACHE = `csentry-static-${CACHE_VERSION}`;
+const APPLICATION_CACHE = `csentry-applications-${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    '/',
+    '/index.html',
+    '/manifest.webmanifest',
+    '/icons/csentry.svg',
+    '/CSPro.js',
+    '/CSPro.wasm',
+    '/CSPro.data',
+    '/csentry-mfc-view-modular.js',
+    '/components/csentry-mfc-view/index.js',
+    '/components/csentry-mfc-view/styles.js',
+    '/components/csentry-mfc-view/engine/index.js',
+    '/components/csentry-mfc-view/engine/engine-proxy.js',
+    '/components/csentry-mfc-view/engine/offline-storage.js',
+    '/components/csentry-mfc-view/handlers/index.js',
+    '/components/csentry-mfc-view/handlers/cspro-logic-handler.js',
+    '/components/csentry-mfc-view/handlers/dialog-handler.js',
+    '/components/csentry-mfc-view/handlers/keyboard-handler.js',
+    '/components/csentry-mfc-view/handlers/navigation-handler.js',
+    '/components/csentry-mfc-view/handlers/question-text-handler.js',
+    '/components/csentry-mfc-view/loaders/index.js',
+    '/components/csentry-mfc-view/loaders/application-loader.js',
+    '/components/csentry-mfc-view/renderers/index.js',
+    '/components/csentry-mfc-view/renderers/capi-renderer.js',
+    '/components/csentry-mfc-view/renderers/form-renderer.js',
+    '/components/csentry-mfc-view/renderers/layout-renderer.js',
+    '/components/csentry-mfc-view/renderers/roster-renderer.js',
+    '/components/csentry-mfc-view/renderers/tick-mark-manager.js',
+    '/components/csentry-mfc-view/renderers/tree-renderer.js',
+    '/components/csentry-mfc-view/utils/index.js',
+    '/components/csentry-mfc-view/utils/audio-recorder.js',
+    '/components/csentry-mfc-view/utils/constants.js',
+    '/components/csentry-mfc-view/utils/cspro-date.js',
+    '/components/csentry-mfc-view/utils/dictionary.js',
+    '/components/csentry-mfc-view/utils/html-utils.js',
+    '/components/csentry-mfc-view/utils/pff-parser.js',
+    '/css/common.css',
+    '/css/dialogs.css',
+    '/dialogs/action-invoker.js',
+    '/dialogs/choice.html',
+    '/dialogs/errmsg.html',
+    '/dialogs/select.html',
+    '/dialogs/text-input.html'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(STATIC_CACHE);
+        // One missing file (e.g. CSPro.data in a development checkout) must not stop the install
+        const results = await Promise.allSettled(PRECACHE_URLS.map(url => cache.add(url)));
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                console.warn('[ServiceWorker] Not precached:', PRECACHE_URLS[index], result.reason?.message);
+            }
+        });
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = [STATIC_CACHE, APPLICATION_CACHE];
+        for (const name of await caches.keys()) {
+            if (name.startsWith('csentry-') && !current.includes(name)) {
+                await caches.delete(name);
+            }
+        }
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.startsWith('/api/cspro/')) return;
+
+    if (url.pathname === '/api/applications' ||
+        /^\/api\/applications\/[^/]+\/files$/.test(url.pathname) ||
+        url.pathname.startsWith('/applications/')) {
+        event.respondWith(networkFirst(request, APPLICATION_CACHE));
+        return;
+    }
+
+    if (url.pathname.startsWith('/api/')) return;
+
+    event.respondWith(cacheFirst(request, STATIC_CACHE));
+});
+
+/**
+ * Serve from the network and refresh the cached copy; use the cached copy when offline
+ */
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serve the cached copy, refreshing it in the background; fetch and cache on a miss
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const refresh = fetch(request).then(async (response) => {
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    });
+
+    if (cached) {
+        refresh.catch(() => {});
+        return cached;
+    }
+    return refresh;
+}